@@ -4,6 +4,9 @@
 // It is event-driven and runs only when needed.
 // -----------------------------------------------------------------------------
 
+// Shared helpers (this is a classic service worker, so no ES modules)
+importScripts('sites.js', 'storage.js');
+
 // -----------------------------------------------------------------------------
 // LOGGING UTILITY
 // Simple logging system to provide consistent, prefixed log messages.
@@ -17,16 +20,768 @@ const Logger = {
   error: (message, ...args) => console.error(`[Text Replacement ERROR] ${message}`, ...args)
 };
 
-// Runs when you install the extension for the first time.
+// -----------------------------------------------------------------------------
+// BADGE SETTINGS
+// The number shown on the toolbar icon is the count of replacements on the page.
+// When the extension isn't replacing anything on a tab, a short word says why.
+// -----------------------------------------------------------------------------
+const BADGE_COLOR = '#4facfe';          // Matches the --secondary color of the Manage page
+const BADGE_INACTIVE_COLOR = '#94a3b8'; // Matches the --text-muted color of the Manage page
+const BADGE_MAX_COUNT = 999;            // Larger counts are shown as "999+" to fit the badge
+
+// Badge text and icon tooltip for each tab status (see getTabStatus)
+const TAB_STATUS_BADGES = {
+  active: { text: null, title: "Avic's Text Replacement" },
+  off: { text: 'OFF', title: "Avic's Text Replacement (switched off)" },
+  paused: { text: '||', title: "Avic's Text Replacement (paused here)" },
+  originals: { text: 'ORIG', title: "Avic's Text Replacement (showing the original text)" }
+};
+
+// Runs when you install the extension for the first time, and after every update.
 chrome.runtime.onInstalled.addListener(() => {
   Logger.info('Extension installed successfully!');
   Logger.debug('Installation details:', chrome.runtime.getManifest());
+
+  // The right-click menu is kept by Chrome, so it only needs creating here
+  createContextMenu();
+
+  // Older versions kept every rule in a single sync item; split it up once
+  migrateLegacyRules((error) => {
+    if (error) {
+      Logger.error('Failed to migrate rules:', error);
+    }
+  });
+});
+
+// Set every time the service worker starts, so the color survives browser restarts.
+chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+
+// -----------------------------------------------------------------------------
+// PAUSED TABS & TABS SHOWING ORIGINALS
+// Tabs paused from the toolbar popup ("Pause for this tab only"), and tabs
+// temporarily showing the original text (keyboard shortcut), are kept in
+// chrome.storage.session: it survives the service worker going to sleep, but is
+// cleared when the browser closes. Nothing about single tabs is ever synced.
+// -----------------------------------------------------------------------------
+const PAUSED_TABS_KEY = 'pausedTabs';
+const ORIGINALS_TABS_KEY = 'originalsTabs';
+
+/**
+ * Loads a list of tab IDs (paused tabs, or tabs showing originals).
+ *
+ * @param {string} key - PAUSED_TABS_KEY or ORIGINALS_TABS_KEY
+ * @param {Function} callback - Called with an array of tab IDs
+ */
+function getTabList(key, callback) {
+  chrome.storage.session.get(key, (data) => {
+    if (chrome.runtime.lastError) {
+      Logger.error('Failed to load tab list:', key, chrome.runtime.lastError);
+      callback([]);
+      return;
+    }
+    callback(data[key] || []);
+  });
+}
+
+/**
+ * Adds a tab to a list of tab IDs, or removes it.
+ *
+ * @param {string} key - PAUSED_TABS_KEY or ORIGINALS_TABS_KEY
+ * @param {number} tabId - The tab
+ * @param {boolean} included - True to add, false to remove
+ * @param {Function} callback - Called with true once saved, false on failure
+ */
+function setTabListed(key, tabId, included, callback) {
+  getTabList(key, (tabIds) => {
+    const others = tabIds.filter(id => id !== tabId);
+    const updated = included ? [...others, tabId] : others;
+
+    chrome.storage.session.set({ [key]: updated }, () => {
+      if (chrome.runtime.lastError) {
+        Logger.error('Failed to save tab list:', key, chrome.runtime.lastError);
+        callback(false);
+        return;
+      }
+      callback(true);
+    });
+  });
+}
+
+/**
+ * Pauses or resumes replacements in a single tab, and tells every frame
+ * in that tab about it so the page updates immediately.
+ *
+ * @param {number} tabId - The tab to pause or resume
+ * @param {boolean} paused - True to pause, false to resume
+ * @param {Function} callback - Called once the new state is saved
+ */
+function setTabPaused(tabId, paused, callback) {
+  setTabListed(PAUSED_TABS_KEY, tabId, paused, (success) => {
+    if (success) {
+      chrome.tabs.sendMessage(tabId, { type: 'setTabPaused', paused }, () => {
+        // The tab may have no content script (e.g. chrome:// pages). That's fine.
+        void chrome.runtime.lastError;
+      });
+      Logger.debug('Tab', tabId, paused ? 'paused' : 'resumed');
+      updateBadge(tabId);
+    }
+    callback(success);
+  });
+}
+
+/**
+ * Shows the original text in a single tab, or goes back to the replaced text.
+ * Unlike pausing, this is meant as a quick look: it's what the keyboard
+ * shortcut and the popup's "Show original text in this tab" switch toggle.
+ *
+ * @param {number} tabId - The tab
+ * @param {boolean} showOriginals - True to show the original text
+ * @param {Function} callback - Called once the new state is saved
+ */
+function setTabShowingOriginals(tabId, showOriginals, callback) {
+  setTabListed(ORIGINALS_TABS_KEY, tabId, showOriginals, (success) => {
+    if (success) {
+      chrome.tabs.sendMessage(tabId, { type: 'setShowOriginals', showOriginals }, () => {
+        void chrome.runtime.lastError; // No content script on this page
+      });
+      Logger.debug('Tab', tabId, showOriginals ? 'shows originals' : 'shows replacements');
+      updateBadge(tabId);
+    }
+    callback(success);
+  });
+}
+
+// Forget closed tabs, so the tab lists and counts don't grow forever
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearTabCounts(tabId);
+
+  for (const key of [PAUSED_TABS_KEY, ORIGINALS_TABS_KEY]) {
+    getTabList(key, (tabIds) => {
+      if (tabIds.includes(tabId)) {
+        chrome.storage.session.set({ [key]: tabIds.filter(id => id !== tabId) });
+      }
+    });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// REPLACEMENT COUNTS
+// Every frame of a tab (the page itself plus any iframes) reports its own
+// per-rule counts. They're added up here for the badge and the popup, and kept
+// in chrome.storage.session so they survive the service worker going to sleep.
+// -----------------------------------------------------------------------------
+
+// Loaded once per service worker start; all updates go through this one object
+const tabCountsReady = new Promise((resolve) => {
+  chrome.storage.session.get('tabCounts', (data) => {
+    if (chrome.runtime.lastError) {
+      Logger.error('Failed to load replacement counts:', chrome.runtime.lastError);
+    }
+    resolve((data && data.tabCounts) || {});
+  });
+});
+
+/**
+ * Saves the latest counts reported by one frame, then refreshes the badge.
+ *
+ * @param {number} tabId - The tab the frame belongs to
+ * @param {number} frameId - The frame (0 is the page itself)
+ * @param {Object} counts - Rule key -> number of replacements in that frame
+ */
+function recordFrameCounts(tabId, frameId, counts) {
+  tabCountsReady.then((tabCounts) => {
+    tabCounts[tabId] = tabCounts[tabId] || {};
+    tabCounts[tabId][frameId] = counts;
+    chrome.storage.session.set({ tabCounts });
+    updateBadge(tabId);
+  });
+}
+
+/**
+ * Adds up the counts of every frame in a tab.
+ *
+ * @param {Object} tabCounts - All recorded counts (tab -> frame -> rule -> count)
+ * @param {number} tabId - The tab to add up
+ * @returns {{counts: Object, total: number}}
+ */
+function getTabCounts(tabCounts, tabId) {
+  const counts = {};
+  let total = 0;
+  for (const frameCounts of Object.values(tabCounts[tabId] || {})) {
+    for (const [key, count] of Object.entries(frameCounts)) {
+      counts[key] = (counts[key] || 0) + count;
+      total += count;
+    }
+  }
+  return { counts, total };
+}
+
+/**
+ * Forgets the counts of a tab (when it's closed or loads a new page).
+ *
+ * @param {number} tabId - The tab to forget
+ */
+function clearTabCounts(tabId) {
+  tabCountsReady.then((tabCounts) => {
+    if (tabCounts[tabId]) {
+      delete tabCounts[tabId];
+      chrome.storage.session.set({ tabCounts });
+    }
+  });
+}
+
+// A full page load starts counting from zero (the old page's iframes are gone),
+// and a new address may be paused by the site filter
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading' && changeInfo.url) {
+    clearTabCounts(tabId);
+    updateBadge(tabId);
+  }
+});
+
+/**
+ * Works out whether the extension is replacing text in a tab, and if not, why.
+ *
+ * @param {number} tabId - The tab
+ * @param {Function} callback - Called with 'active', 'off', 'paused' or 'originals'
+ */
+function getTabStatus(tabId, callback) {
+  chrome.storage.sync.get(['extensionEnabled', 'siteFilter'], (settings) => {
+    chrome.storage.session.get([PAUSED_TABS_KEY, ORIGINALS_TABS_KEY], (session) => {
+      chrome.tabs.get(tabId, (tab) => {
+        if (chrome.runtime.lastError || !tab) {
+          callback('active'); // Closed in the meantime; nothing to show anyway
+          return;
+        }
+
+        let siteAllowed = true;
+        try {
+          siteAllowed = isSiteAllowed(settings.siteFilter, new URL(tab.url));
+        } catch (error) {
+          // No URL access (e.g. chrome:// pages): the site filter doesn't apply
+        }
+
+        if (settings.extensionEnabled === false) {
+          callback('off');
+        } else if ((session[ORIGINALS_TABS_KEY] || []).includes(tabId)) {
+          callback('originals');
+        } else if ((session[PAUSED_TABS_KEY] || []).includes(tabId) || !siteAllowed) {
+          callback('paused');
+        } else {
+          callback('active');
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Shows the number of replacements made in a tab on the toolbar icon, or a
+ * short word (OFF, ||, ORIG) when the extension isn't replacing text there.
+ *
+ * @param {number} tabId - The tab to update
+ */
+function updateBadge(tabId) {
+  tabCountsReady.then((tabCounts) => {
+    getTabStatus(tabId, (status) => {
+      const total = getTabCounts(tabCounts, tabId).total;
+      const badge = TAB_STATUS_BADGES[status];
+      const countText = total > BADGE_MAX_COUNT ? `${BADGE_MAX_COUNT}+` : total > 0 ? String(total) : '';
+
+      // The tab may have been closed in the meantime, hence the lastError checks
+      chrome.action.setBadgeText({ tabId, text: badge.text === null ? countText : badge.text }, () => {
+        void chrome.runtime.lastError;
+      });
+      chrome.action.setBadgeBackgroundColor({ tabId, color: status === 'active' ? BADGE_COLOR : BADGE_INACTIVE_COLOR }, () => {
+        void chrome.runtime.lastError;
+      });
+      chrome.action.setTitle({ tabId, title: badge.title }, () => {
+        void chrome.runtime.lastError;
+      });
+    });
+  });
+}
+
+/**
+ * Updates the badge of every open tab (after a setting that affects them all).
+ */
+function updateAllBadges() {
+  chrome.tabs.query({}, (tabs) => {
+    for (const tab of tabs || []) {
+      updateBadge(tab.id);
+    }
+  });
+}
+
+// The Master Switch and the site filter change the badge of every tab
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && (changes.extensionEnabled || changes.siteFilter)) {
+    updateAllBadges();
+  }
+});
+
+// -----------------------------------------------------------------------------
+// CONTEXT MENU
+// Right-clicking selected text on a page offers "Replace "…"…". It opens the
+// Manage page in a small window with only the add form, with the selected text
+// already filled in. The new rule is saved like any other, so every open page
+// (including the one you right-clicked) applies it right away.
+// -----------------------------------------------------------------------------
+const CONTEXT_MENU_ID = 'replaceSelection';
+const QUICK_ADD_WINDOW_WIDTH = 640;  // Size of the small "add a rule" window
+const QUICK_ADD_WINDOW_HEIGHT = 420;
+
+/**
+ * Creates the "Replace "…"…" entry of the right-click menu.
+ */
+function createContextMenu() {
+  // Start from scratch: creating an entry that already exists (after an update) is an error
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ID,
+      title: 'Replace "%s"…', // Chrome puts the selected text in place of %s
+      contexts: ['selection']
+    }, () => {
+      if (chrome.runtime.lastError) {
+        Logger.error('Failed to create context menu:', chrome.runtime.lastError);
+      }
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID || !info.selectionText) return;
+
+  // See QUICK ADD in manage.js
+  const query = new URLSearchParams({ quickAdd: info.selectionText.trim() });
+  chrome.windows.create({
+    url: chrome.runtime.getURL(`manage.html?${query}`),
+    type: 'popup',
+    width: QUICK_ADD_WINDOW_WIDTH,
+    height: QUICK_ADD_WINDOW_HEIGHT
+  }, () => {
+    if (chrome.runtime.lastError) {
+      Logger.error('Failed to open the add window:', chrome.runtime.lastError);
+    }
+  });
+});
+
+// -----------------------------------------------------------------------------
+// SUBSCRIPTIONS
+// Rule lists published at a web address (see SUBSCRIPTIONS in storage.js) are
+// downloaded here: right after subscribing, every few hours (using an alarm,
+// which wakes the service worker up), and when "Refresh" is clicked in the
+// Manage page. A failed download keeps the rules of the last good one.
+// -----------------------------------------------------------------------------
+const SUBSCRIPTION_ALARM = 'refreshSubscriptions';
+const SUBSCRIPTION_REFRESH_MINUTES = 360;     // Download every subscription every 6 hours
+const SUBSCRIPTION_TIMEOUT_MS = 30000;        // Give up on a download after 30 seconds
+const MAX_SUBSCRIBED_RULES = 10000;           // Same as MAX_RULES in manage.js
+const MAX_SUBSCRIBED_TEXT_LENGTH = 255;       // Same as MAX_PATTERN_LENGTH in manage.js
+
+/**
+ * Makes sure the refresh alarm exists. Chrome may drop alarms when the
+ * browser restarts, so this runs every time the service worker starts.
+ */
+function ensureSubscriptionAlarm() {
+  chrome.alarms.get(SUBSCRIPTION_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(SUBSCRIPTION_ALARM, { periodInMinutes: SUBSCRIPTION_REFRESH_MINUTES });
+    }
+  });
+}
+
+ensureSubscriptionAlarm();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SUBSCRIPTION_ALARM) {
+    refreshSubscriptions(null, () => {});
+  }
+});
+
+/**
+ * Keeps only well-formed rules from a downloaded list, with only the settings
+ * a subscribed rule may have (no groups, no per-rule sync).
+ * The list comes from someone else's server, so nothing in it is trusted.
+ *
+ * @param {Object} rules - The "rules" of the downloaded list
+ * @returns {{rules: Object, skipped: number}}
+ */
+function sanitizeSubscribedRules(rules) {
+  const result = {};
+  let skipped = 0;
+
+  for (const [original, data] of Object.entries(rules)) {
+    const isValid = data && typeof data === 'object' && typeof data.replacement === 'string' &&
+      original.trim() !== '' && original.length <= MAX_SUBSCRIBED_TEXT_LENGTH &&
+      data.replacement.length <= MAX_SUBSCRIBED_TEXT_LENGTH;
+    if (!isValid || Object.keys(result).length >= MAX_SUBSCRIBED_RULES) {
+      skipped++;
+      continue;
+    }
+
+    const rule = {
+      replacement: data.replacement,
+      caseSensitive: data.caseSensitive === true,
+      enabled: data.enabled !== false
+    };
+    if (data.preserveCase === true && !rule.caseSensitive) {
+      rule.preserveCase = true;
+    }
+    if (data.isRegex === true) {
+      // A pattern the Manage page would refuse (broken, matching empty text,
+      // unknown flags) would garble or slow down every page, so it is dropped
+      const flags = typeof data.flags === 'string' ? data.flags : '';
+      if (validateRegexRule(original, flags, rule.caseSensitive)) {
+        skipped++;
+        continue;
+      }
+      rule.isRegex = true;
+      rule.flags = flags;
+    }
+    if (['substring', 'start', 'end'].includes(data.matchMode)) {
+      rule.matchMode = data.matchMode;
+    }
+    if (data.ignoreAccents === true) {
+      rule.ignoreAccents = true;
+    }
+    if (['NFC', 'NFKC'].includes(data.normalize)) {
+      rule.normalize = data.normalize;
+    }
+    if (data.convert && typeof data.convert === 'object' &&
+        typeof data.convert.from === 'string' && typeof data.convert.to === 'string') {
+      // Unknown units are skipped by the content script
+      const { from, to, rate, decimals, keepOriginal } = data.convert;
+      rule.convert = { from, to };
+      if (typeof rate === 'number') rule.convert.rate = rate;
+      if (Number.isInteger(decimals)) rule.convert.decimals = decimals;
+      if (keepOriginal === true) rule.convert.keepOriginal = true;
+    }
+    if (MASK_ACTIONS.includes(data.action)) {
+      rule.action = data.action;
+      if (data.reveal === true) {
+        rule.reveal = true;
+      }
+    }
+    if (Array.isArray(data.sites) && data.sites.length > 0) {
+      rule.sites = data.sites.filter(site => typeof site === 'string');
+    }
+    result[original] = rule;
+  }
+
+  return { rules: result, skipped };
+}
+
+/**
+ * Downloads one rule list.
+ *
+ * @param {string} url - The address of the list (JSON, like "Export Rules")
+ * @returns {Promise<{rules: Object, skipped: number}>} - Rejects with a readable message
+ */
+function downloadRuleList(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SUBSCRIPTION_TIMEOUT_MS);
+
+  return fetch(url, { cache: 'no-cache', credentials: 'omit', signal: controller.signal })
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`The server answered ${response.status} ${response.statusText}`.trim());
+      }
+      return response.json().catch(() => {
+        throw new Error('Not a rule list (the file is not JSON)');
+      });
+    })
+    .then((list) => {
+      if (!list || !list.rules || typeof list.rules !== 'object' || Array.isArray(list.rules)) {
+        throw new Error('Not a rule list (no "rules" in the file)');
+      }
+      return sanitizeSubscribedRules(list.rules);
+    })
+    .catch((error) => {
+      throw new Error(error.name === 'AbortError' ? 'The server took too long to answer' : error.message);
+    })
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Downloads subscriptions and saves their rules and status. Data of
+ * subscriptions that were removed is cleaned up at the same time.
+ *
+ * @param {string[]|null} ids - The subscriptions to download, or null for every switched-on one
+ * @param {Function} callback - Called once everything is saved
+ */
+function refreshSubscriptions(ids, callback) {
+  chrome.storage.sync.get(SUBSCRIPTIONS_KEY, (data) => {
+    if (chrome.runtime.lastError) {
+      Logger.error('Failed to load subscriptions:', chrome.runtime.lastError);
+      callback();
+      return;
+    }
+
+    const subscriptions = data[SUBSCRIPTIONS_KEY] || [];
+    const chosen = subscriptions.filter(subscription =>
+      ids ? ids.includes(subscription.id) : subscription.enabled !== false);
+
+    const downloads = chosen.map(subscription => downloadRuleList(subscription.url).then(
+      (list) => ({ id: subscription.id, ...list, error: null }),
+      (error) => ({ id: subscription.id, error: error.message })
+    ));
+
+    Promise.all(downloads).then((results) => {
+      // Read the saved data only now: downloads can take a while
+      chrome.storage.local.get(SUBSCRIPTION_DATA_KEY, (localData) => {
+        const previous = (localData && localData[SUBSCRIPTION_DATA_KEY]) || {};
+        const subscriptionData = {};
+        const now = Date.now();
+
+        for (const subscription of subscriptions) {
+          if (previous[subscription.id]) {
+            subscriptionData[subscription.id] = previous[subscription.id];
+          }
+        }
+
+        for (const result of results) {
+          const old = subscriptionData[result.id] || {};
+          subscriptionData[result.id] = result.error
+            ? { ...old, lastChecked: now, error: result.error }
+            : { rules: result.rules, skipped: result.skipped, lastUpdated: now, lastChecked: now, error: null };
+          if (result.error) {
+            Logger.warn('Failed to download subscription:', result.id, result.error);
+          }
+        }
+
+        chrome.storage.local.set({ [SUBSCRIPTION_DATA_KEY]: subscriptionData }, () => {
+          if (chrome.runtime.lastError) {
+            Logger.error('Failed to save subscriptions:', chrome.runtime.lastError);
+          }
+          Logger.debug('Subscriptions refreshed:', results.length);
+          callback();
+        });
+      });
+    });
+  });
+}
+
+// Download new (or switched back on) subscriptions right away, on every
+// computer the list syncs to, and forget the rules of removed ones
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes[SUBSCRIPTIONS_KEY]) return;
+
+  const before = new Map((changes[SUBSCRIPTIONS_KEY].oldValue || []).map(subscription => [subscription.id, subscription]));
+  const added = (changes[SUBSCRIPTIONS_KEY].newValue || [])
+    .filter(subscription => subscription.enabled !== false)
+    .filter(subscription => !before.has(subscription.id) || before.get(subscription.id).enabled === false ||
+      before.get(subscription.id).url !== subscription.url)
+    .map(subscription => subscription.id);
+  const after = new Set((changes[SUBSCRIPTIONS_KEY].newValue || []).map(subscription => subscription.id));
+  const removed = [...before.keys()].some(id => !after.has(id));
+
+  if (added.length > 0 || removed) {
+    refreshSubscriptions(added, () => {});
+  }
+});
+
+// -----------------------------------------------------------------------------
+// BACKUPS
+// A copy of your rules and settings is saved every day, and a few minutes
+// after they change (see BACKUPS in storage.js). Each change restarts the
+// wait, so an editing session ends up as a single backup.
+// -----------------------------------------------------------------------------
+const DAILY_BACKUP_ALARM = 'dailyBackup';
+const CHANGE_BACKUP_ALARM = 'backupAfterChange';
+const DAILY_BACKUP_MINUTES = 24 * 60;   // One backup a day (skipped if nothing changed)
+const CHANGE_BACKUP_DELAY_MINUTES = 5;  // Wait this long after the last change
+
+/**
+ * Makes sure the daily backup alarm exists (see ensureSubscriptionAlarm).
+ */
+function ensureBackupAlarm() {
+  chrome.alarms.get(DAILY_BACKUP_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(DAILY_BACKUP_ALARM, { periodInMinutes: DAILY_BACKUP_MINUTES });
+    }
+  });
+}
+
+ensureBackupAlarm();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== DAILY_BACKUP_ALARM && alarm.name !== CHANGE_BACKUP_ALARM) return;
+
+  createBackup(alarm.name === DAILY_BACKUP_ALARM ? 'daily' : 'change', (error, created) => {
+    if (error) {
+      Logger.error('Failed to back up rules:', error);
+    } else {
+      Logger.debug('Backup', created ? 'saved' : 'skipped (nothing changed)');
+    }
+  });
+});
+
+// Rules or backed-up settings changed: (re)start the wait before a backup.
+// An alarm (unlike a timer) still fires if the service worker is stopped meanwhile.
+chrome.storage.onChanged.addListener((changes, area) => {
+  const settingsChanged = area === 'sync' && BACKED_UP_SETTINGS.some(key => key in changes);
+  if (settingsChanged || isRuleStorageChange(changes, area)) {
+    chrome.alarms.create(CHANGE_BACKUP_ALARM, { delayInMinutes: CHANGE_BACKUP_DELAY_MINUTES });
+  }
 });
 
-// Listens for clicks on the Extension Icon in the browser toolbar.
-// We use this to open the full 'manage.html' page instead of a small popup,
-// giving the user a better interface to manage their rules.
-chrome.action.onClicked.addListener(() => {
-  Logger.debug('Extension icon clicked, opening management page');
-  chrome.tabs.create({ url: 'manage.html' });
+// -----------------------------------------------------------------------------
+// KEYBOARD SHORTCUTS
+// Declared under "commands" in manifest.json. Chrome lets you change the keys
+// at chrome://extensions/shortcuts.
+// -----------------------------------------------------------------------------
+
+/**
+ * Switches the Master Switch on or off (same as the switch in the Manage page).
+ */
+function toggleExtension() {
+  chrome.storage.sync.get('extensionEnabled', (data) => {
+    if (chrome.runtime.lastError) {
+      Logger.error('Failed to load the master switch:', chrome.runtime.lastError);
+      return;
+    }
+    const extensionEnabled = data.extensionEnabled === false;
+    chrome.storage.sync.set({ extensionEnabled }, () => {
+      if (chrome.runtime.lastError) {
+        Logger.error('Failed to save the master switch:', chrome.runtime.lastError);
+        return;
+      }
+      Logger.debug('Extension switched', extensionEnabled ? 'on' : 'off', 'by shortcut');
+    });
+  });
+}
+
+/**
+ * Pauses the extension on the site of a tab, or resumes it
+ * (same as "Pause on this site" in the toolbar popup).
+ *
+ * @param {Object} tab - The tab whose site to pause or resume
+ */
+function toggleSitePaused(tab) {
+  let url;
+  try {
+    url = new URL(tab.url);
+  } catch (error) {
+    return; // No URL access (e.g. chrome:// pages)
+  }
+  // Only web pages can be paused by site (local files have no site, and the
+  // extension never runs on chrome:// pages anyway)
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) return;
+
+  chrome.storage.sync.get('siteFilter', (data) => {
+    if (chrome.runtime.lastError) {
+      Logger.error('Failed to load site filter:', chrome.runtime.lastError);
+      return;
+    }
+    const paused = isSiteAllowed(data.siteFilter, url);
+    chrome.storage.sync.set({ siteFilter: setSitePaused(data.siteFilter, url, paused) }, () => {
+      if (chrome.runtime.lastError) {
+        Logger.error('Failed to save site filter:', chrome.runtime.lastError);
+        return;
+      }
+      Logger.debug('Site', paused ? 'paused' : 'resumed', 'by shortcut:', url.hostname);
+    });
+  });
+}
+
+/**
+ * Runs a keyboard shortcut on a tab.
+ *
+ * @param {string} command - The command name from manifest.json
+ * @param {Object} tab - The active tab
+ */
+function runCommand(command, tab) {
+  switch (command) {
+    case 'toggle-extension':
+      toggleExtension();
+      break;
+
+    case 'pause-site':
+      toggleSitePaused(tab);
+      break;
+
+    case 'toggle-originals':
+      getTabList(ORIGINALS_TABS_KEY, (tabIds) => {
+        setTabShowingOriginals(tab.id, !tabIds.includes(tab.id), () => {});
+      });
+      break;
+
+    case 'open-manager':
+      chrome.tabs.create({ url: chrome.runtime.getURL('manage.html') });
+      break;
+
+    default:
+      Logger.warn('Unknown command:', command);
+  }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (tab) {
+    runCommand(command, tab);
+    return;
+  }
+  // Older Chrome versions don't pass the tab
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs && tabs.length > 0) {
+      runCommand(command, tabs[0]);
+    }
+  });
+});
+
+// -----------------------------------------------------------------------------
+// MESSAGES
+// From content scripts (badge counts, "is my tab paused?") and from the popup.
+// Returning true keeps the channel open for replies sent asynchronously.
+// -----------------------------------------------------------------------------
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message.type) {
+    case 'replacementCount':
+      if (sender.tab) {
+        recordFrameCounts(sender.tab.id, sender.frameId, message.counts || {});
+      }
+      return false;
+
+    case 'getTabCounts':
+      tabCountsReady.then((tabCounts) => {
+        sendResponse(getTabCounts(tabCounts, message.tabId));
+      });
+      return true;
+
+    case 'getTabState':
+      if (!sender.tab) {
+        sendResponse({ paused: false, showOriginals: false });
+        return false;
+      }
+      chrome.storage.session.get([PAUSED_TABS_KEY, ORIGINALS_TABS_KEY], (session) => {
+        sendResponse({
+          paused: (session[PAUSED_TABS_KEY] || []).includes(sender.tab.id),
+          showOriginals: (session[ORIGINALS_TABS_KEY] || []).includes(sender.tab.id)
+        });
+      });
+      return true;
+
+    case 'refreshSubscriptions':
+      // From the Manage page's "Refresh" buttons (no IDs = every subscription)
+      refreshSubscriptions(Array.isArray(message.ids) ? message.ids : null, () => {
+        sendResponse({ success: true });
+      });
+      return true;
+
+    case 'setTabPaused':
+      setTabPaused(message.tabId, Boolean(message.paused), (success) => {
+        sendResponse({ success });
+      });
+      return true;
+
+    case 'setShowOriginals':
+      setTabShowingOriginals(message.tabId, Boolean(message.showOriginals), (success) => {
+        sendResponse({ success });
+      });
+      return true;
+
+    default:
+      Logger.warn('Unknown message type:', message.type);
+      return false;
+  }
 });
@@ -6,16 +6,26 @@
 // PRIVACY NOTICE:
 // - This script does NOT send any data to external servers.
 // - It does NOT track your browsing history.
-// - All replacement rules are stored locally in your Chrome browser sync storage.
+// - All replacement rules are stored in your Chrome browser: in its sync storage,
+//   or only on this computer when Rule Storage is "This computer only" (except
+//   rules you mark "Sync across devices").
 // -----------------------------------------------------------------------------
 
 // -----------------------------------------------------------------------------
-// SAFETY CONFIGURATION
-// This timeout prevents the extension from hanging if regex operations take too long.
-// If processing a single text node takes more than this limit, we skip it safely.
-// This protects against complex patterns on very large text blocks.
+// LOOP PROTECTION
+// Some websites put their own text back as soon as we change it. Without a limit
+// the website and the extension would keep overwriting each other forever.
+// If a single text node is rewritten more often than this, we leave it alone.
 // -----------------------------------------------------------------------------
-const REGEX_TIMEOUT_MS = 100; // Maximum time (in milliseconds) to process a single text node
+const MAX_NODE_REWRITES = 20;         // Rewrites allowed per text node...
+const REWRITE_WINDOW_MS = 1000;       // ...within this many milliseconds
+
+// -----------------------------------------------------------------------------
+// RULE RELOADING
+// Saving rules may write several storage items in a row. We wait this long
+// after the last change before reloading, so the page is only re-scanned once.
+// -----------------------------------------------------------------------------
+const RULE_RELOAD_DELAY_MS = 50;
 
 // -----------------------------------------------------------------------------
 // LOGGING UTILITY
@@ -61,91 +71,55 @@ const Logger = {
   }
 };
 
-/**
- * Escapes special characters in a string to safe-guard against Regular Expression issues.
- * This prevents a "Regex Injection" attack and ensures that characters like "." or "*"
- * are treated as literal text, not special commands.
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+// NOTE: The site matching helpers used below (isSiteAllowed, ruleAppliesToPage)
+// live in sites.js, and the replacement engine (updateRegexes, replaceText,
+// findMatches, ...) in engine.js. The manifest loads both before this file.
+
+// Global variables to hold our current state.
+let ruleGroups = [];         // Named rule groups, in order (see storage.js)
+let extensionEnabled = true; // Master switch state
+let siteAllowed = true;      // Global site allowlist/blocklist result for this page
+let tabPaused = false;       // "Pause for this tab only" switch in the toolbar popup
+let showingOriginals = false; // "Show originals" keyboard shortcut, for this tab only
+let chainReplacements = false; // "Chain Replacements" setting (see replaceText in engine.js)
 
 /**
- * Compiles a list of words into a single, optimized Regular Expression.
- * This allows the extension to search for ALL your words at once, rather than
- * looping through the entire page hundreds of times (which would be slow).
- * 
- * @param {string[]} words - Array of words to find.
- * @param {boolean} caseSensitive - Whether to match exact casing.
+ * Returns true if the extension should touch this page right now:
+ * the Master Switch is on, this site isn't excluded by the site filter,
+ * this tab hasn't been paused from the toolbar popup, and it isn't
+ * showing the original text.
  */
-function buildRegex(words, caseSensitive) {
-  if (words.length === 0) return null;
-
-  // Sort words by length (longest first) to ensure "superman" is found before "super".
-  // This prevents partial replacements from breaking longer words.
-  const patterns = words.map(word => {
-    const escaped = escapeRegExp(word);
-
-    // Add "word boundaries" (\b) if the word starts/ends with a letter/number.
-    // This ensures that replacing "cat" doesn't turn "catch" into "dogch".
-    const prefix = /^\w/.test(word) ? '\\b' : '';
-    const suffix = /\w$/.test(word) ? '\\b' : '';
-    return `${prefix}${escaped}${suffix}`;
-  });
-
-  patterns.sort((a, b) => b.length - a.length);
-
-  // Create the final Regex. 'g' = global (find all), 'i' = case-insensitive.
-  return new RegExp(patterns.join('|'), caseSensitive ? 'g' : 'gi');
+function isActive() {
+  return extensionEnabled && siteAllowed && !tabPaused && !showingOriginals;
 }
 
-// Global variables to hold our current state.
-let sensitiveRegex = null;   // For Case-Sensitive rules
-let insensitiveRegex = null; // For Case-Insensitive rules
-let wordMapCache = {};       // Quick lookup for replacements (exact match)
-let wordMapCacheLower = {};  // Quick lookup for case-insensitive matches (lowercase keys)
-let extensionEnabled = true; // Master switch state
-
 /**
- * Updates the internal rules based on settings loaded from storage.
- * This is called whenever you change settings in the Manage page.
+ * Returns the address of the page this script is working for.
+ * For about:blank and srcdoc frames (which have no address of their own),
+ * that's the page that created them, so site filters still apply correctly.
  *
- * PERFORMANCE: Builds optimized lookup maps to avoid slow linear searches during replacement.
+ * @returns {URL}
  */
-function updateRegexes(wordMap) {
-  const sensitiveWords = [];
-  const insensitiveWords = [];
-  const activeMap = {};
-  const activeLowerMap = {}; // Lowercase version for fast case-insensitive lookups
-
-  for (const [word, data] of Object.entries(wordMap)) {
-    // Only include rules that are explicitly enabled
-    if (data.enabled !== false) {
-      activeMap[word] = data;
-
-      // Build lowercase lookup map for case-insensitive rules
-      // This allows O(1) lookup instead of O(n) iteration during replacement
-      if (!data.caseSensitive) {
-        activeLowerMap[word.toLowerCase()] = data;
-      }
-
-      if (data.caseSensitive) {
-        sensitiveWords.push(word);
-      } else {
-        insensitiveWords.push(word);
-      }
+function getPageUrl() {
+  let win = window;
+  while (win.location.protocol === 'about:' && win !== win.parent) {
+    try {
+      void win.parent.location.href; // Throws if the parent is cross-origin
+      win = win.parent;
+    } catch (error) {
+      break;
     }
   }
-
-  wordMapCache = activeMap;
-  wordMapCacheLower = activeLowerMap;
-  sensitiveRegex = buildRegex(sensitiveWords, true);
-  insensitiveRegex = buildRegex(insensitiveWords, false);
+  return new URL(win.location.href);
 }
 
+// The element wrapped around each replacement in highlight mode (see HIGHLIGHTING)
+const HIGHLIGHT_TAG = 'text-replacement-mark';
+
 // A list of HTML tags we NEVER touch. 
 // Modifying these could break websites or annoying users while typing.
-const ignoredTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT']);
+// Our own highlight markers are listed too, so we never replace inside a replacement.
+const ignoredTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT', HIGHLIGHT_TAG.toUpperCase()]);
 
 /**
  * Checks if a node is editable (like a text box).
@@ -157,6 +131,22 @@ function isEditable(node) {
   return false;
 }
 
+// -----------------------------------------------------------------------------
+// ORIGINAL TEXT TRACKING
+// Every text node we change is remembered together with its original text and
+// the text we wrote. This lets us put the page back exactly as it was when you
+// turn the extension off, or disable/remove/edit a rule, without a page reload.
+//
+// We also store the text WE wrote, so we can tell if the website itself changed
+// the node afterwards. In that case the website's new text wins and we forget
+// our old copy (restoring it would undo the website's own update).
+// -----------------------------------------------------------------------------
+const replacedNodes = new Map(); // Text node -> { original, replaced, added? } (added: see HIGHLIGHTING)
+const nodeRewrites = new WeakMap(); // Text node -> { count, windowStart } (see LOOP PROTECTION)
+
+// How many replacements each rule has made on this page (shown in the toolbar popup)
+const replacementCounts = new Map(); // Rule key -> count
+
 /**
  * The core function that actually changes text.
  * It looks at a single text node, checks for matches, and swaps them.
@@ -165,92 +155,632 @@ function isEditable(node) {
  */
 function processNode(node) {
   // Safety checks: stop if disabled, or if it's a dangerous tag/editable area.
-  if (!extensionEnabled) return;
+  if (!isActive()) return;
+  if (!node.parentNode) return; // Already removed from the page
   if (ignoredTags.has(node.parentNode.tagName) || isEditable(node.parentNode)) return;
 
-  let text = node.nodeValue;
-  let changed = false;
+  // Original text we put back between highlight markers, untouched since
+  if (highlightPieces.get(node) === node.nodeValue) return;
+
+  const record = replacedNodes.get(node);
+  if (record) {
+    // Already replaced and unchanged since: running the rules again could
+    // replace inside our own replacement text, so leave it alone.
+    if (node.nodeValue === record.replaced) return;
+
+    // The website changed this text after we did: its new text is the new original,
+    // and markers showing replacements of the old text are out of date.
+    removeHighlights(record);
+    replacedNodes.delete(node);
+  }
+
+  const original = node.nodeValue;
+  if ((highlightSettings.enabled || hasMarkedRules()) && canHoldMarkers(node) && markNode(node, original)) {
+    return;
+  }
+
+  const text = replaceAndCount(original);
+
+  // Only update the DOM if we actually changed something.
+  if (text !== original) {
+    rewriteNode(node, text);
+  }
+}
+
+/**
+ * Writes new text into a node and remembers what was there before.
+ * If we had already changed this node, the very first original is kept,
+ * so restoring always goes back to the website's own text.
+ *
+ * @param {Text} node - The text node to change
+ * @param {string} text - The new text
+ */
+function rewriteNode(node, text) {
+  if (!allowRewrite(node)) return;
+
+  const record = replacedNodes.get(node);
+  // Keeping the old record also keeps any highlight markers listed in it
+  const updated = record && node.nodeValue === record.replaced
+    ? { ...record, replaced: text }
+    : { original: node.nodeValue, replaced: text };
+  node.nodeValue = text;
+  replacedNodes.set(node, updated);
+}
+
+/**
+ * Counts how often we rewrite a node, and refuses once a website is clearly
+ * fighting back (see LOOP PROTECTION at the top of this file).
+ *
+ * @param {Text} node - The text node about to be rewritten
+ * @returns {boolean} - True if the rewrite may go ahead
+ */
+function allowRewrite(node) {
+  const now = performance.now();
+  let stats = nodeRewrites.get(node);
+  if (!stats || now - stats.windowStart > REWRITE_WINDOW_MS) {
+    stats = { count: 0, windowStart: now };
+    nodeRewrites.set(node, stats);
+  }
+
+  stats.count++;
+  if (stats.count === MAX_NODE_REWRITES + 1) {
+    Logger.debug('Text keeps changing back, leaving it alone:', node.nodeValue?.substring(0, 50));
+  }
+  return stats.count <= MAX_NODE_REWRITES;
+}
+
+/**
+ * Runs the rules over one piece of page text (a text node or an attribute),
+ * and adds the replacements made to the per-rule counts.
+ *
+ * SAFETY: If the rules time out, the text is returned unchanged.
+ *
+ * @param {string} original - The text as it is on the page
+ * @returns {string} - The new text (or the original if nothing matched)
+ */
+function replaceAndCount(original) {
+  try {
+    // Collect the rules that fired, and only count them once the whole text
+    // succeeded (a timeout halfway through means nothing was changed).
+    const firedRules = [];
+    const text = replaceText(original, key => firedRules.push(key));
+
+    if (text !== original) {
+      for (const key of firedRules) {
+        replacementCounts.set(key, (replacementCounts.get(key) || 0) + 1);
+      }
+      reportReplacementCount();
+    }
+    return text;
+  } catch (error) {
+    // If timeout occurs, silently skip this text and continue.
+    // This is better than hanging the entire browser!
+    // The user won't notice - only this one text block is skipped.
+    if (error.message === 'Regex timeout') {
+      Logger.warn('Regex timeout on node (skipping):', original?.substring(0, 50));
+      return original;
+    }
+    // Re-throw unexpected errors for debugging
+    throw error;
+  }
+}
+
+/**
+ * Adds one match (see findMatches in engine.js) to the per-rule counts.
+ * With "Chain Replacements" on, every rule that worked on it is counted,
+ * just like replaceAndCount() does.
+ *
+ * @param {Object} span - The match
+ */
+function countMatch(span) {
+  for (const key of span.keys || [span.key]) {
+    replacementCounts.set(key, (replacementCounts.get(key) || 0) + 1);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// HIGHLIGHTING (opt-in)
+// When switched on in the Manage page, every replacement is wrapped in a small
+// marker element with a background color, and hovering it shows the original
+// text. The marker uses a made-up tag name, so the website's own styles (for
+// span, mark, ...) don't apply to it, and "all: unset" clears anything else:
+// it takes exactly the room the text would take anyway, so the layout is kept.
+//
+// The text node keeps the text before the first match; markers and the text
+// between them are inserted after it, and listed in its record so they can be
+// removed again. Our markers are in ignoredTags and our in-between text is in
+// highlightPieces, so the MutationObserver never processes what we inserted.
+//
+// Masking rules that blur, black out or reveal on click (see MASKING in
+// engine.js) get markers too, even with highlighting off.
+//
+// Text that can't hold elements (the tab title, drop-down options, drawings)
+// and matches across formatting are still replaced, just without a marker.
+// -----------------------------------------------------------------------------
+const DEFAULT_HIGHLIGHT_COLOR = '#ffd54f'; // Keep in sync with DEFAULT_HIGHLIGHT_COLOR in manage.js
+const HIGHLIGHT_ALPHA = '66';               // Marker background opacity (hex, about 40%), so any text stays readable
+const NO_MARKER_PARENTS = new Set(['TITLE', 'OPTION']);
+const MASK_STYLES = {                       // Extra marker style of each masking action
+  blur: 'filter: blur(5px); user-select: none;',
+  blackout: 'background-color: #000; color: #000; border-radius: 2px; user-select: none;'
+};
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+let highlightSettings = {
+  enabled: false,                  // Off unless switched on in the Manage page
+  color: DEFAULT_HIGHLIGHT_COLOR   // Marker color, "#rrggbb"
+};
+
+const highlightPieces = new WeakMap(); // Text node we inserted between markers -> the text we wrote
+
+/**
+ * Checks whether a text node's replacements can be wrapped in markers.
+ *
+ * @param {Text} node - The text node
+ * @returns {boolean}
+ */
+function canHoldMarkers(node) {
+  const parent = node.parentNode;
+  if (parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE) return true; // Directly in a shadow root
+  return parent.nodeType === Node.ELEMENT_NODE && parent.namespaceURI === HTML_NAMESPACE &&
+    !NO_MARKER_PARENTS.has(parent.tagName);
+}
+
+/**
+ * Replaces the matches in a text node, wrapping replacements in markers: all
+ * of them when highlighting is on, otherwise only the masked ones that need one.
+ * With "Chain Replacements" on, the markers hold the chained result, and a
+ * marker's original is the page's own text it stands for (see findMatches).
+ *
+ * @param {Text} node - The text node
+ * @param {string} original - Its current text
+ * @returns {boolean} - False if no match needs a marker (the caller then
+ *   replaces the text as usual); true if the node was handled
+ */
+function markNode(node, original) {
+  let spans;
+  try {
+    spans = findMatches(original);
+  } catch (error) {
+    if (error.message === 'Regex timeout') {
+      Logger.warn('Regex timeout on node (skipping):', original.substring(0, 50));
+      return true;
+    }
+    throw error;
+  }
+
+  if (spans.length === 0) return true; // Nothing to replace (with or without chaining)
 
-  // Start timer to enforce timeout limit and prevent browser freezing
-  const startTime = performance.now();
+  const marked = spans.map(span => highlightSettings.enabled || maskNeedsMarker(span.mask));
+  if (!marked.includes(true)) return false;
+  if (!allowRewrite(node)) return true;
 
-  // This function decides what replacement text to use for a match.
-  // PERFORMANCE: Uses O(1) hash map lookups instead of O(n) iteration!
-  const replaceCallback = (match) => {
-    // Timeout safety check: if we've been processing too long, abort!
-    // This prevents the extension from hanging the browser on pathological patterns.
-    if (performance.now() - startTime > REGEX_TIMEOUT_MS) {
-      throw new Error('Regex timeout'); // Will be caught below
+  // The node keeps the text before the first marker; the text after each
+  // marker (with any replacements that aren't marked) is a new text node.
+  const added = [];
+  let nodeText = null;
+  let pending = '';
+  let cursor = 0;
+  const flush = () => {
+    if (nodeText === null) {
+      nodeText = pending;
+    } else if (pending) {
+      const piece = document.createTextNode(pending);
+      highlightPieces.set(piece, pending);
+      added.push(piece);
     }
+    pending = '';
+  };
 
-    // 1. Check exact match (for case-sensitive rules)
-    if (wordMapCache[match]) return wordMapCache[match].replacement;
+  spans.forEach((span, index) => {
+    pending += original.slice(cursor, span.start);
+    cursor = span.end;
+    countMatch(span);
 
-    // 2. Check case-insensitive match using our pre-built lowercase map
-    // OLD CODE: Looped through ALL keys - O(n) complexity! Slow with many rules.
-    // NEW CODE: Direct hash lookup - O(1) complexity! Instant even with 255 rules.
-    const lowerMatch = match.toLowerCase();
-    if (wordMapCacheLower[lowerMatch]) {
-      return wordMapCacheLower[lowerMatch].replacement;
+    if (!marked[index]) {
+      pending += span.replacement;
+      return;
     }
+    flush();
+    added.push(createMarker(span, original.slice(span.start, span.end)));
+  });
+  pending += original.slice(cursor);
+  flush();
+
+  const fragment = document.createDocumentFragment();
+  fragment.append(...added);
+  node.nodeValue = nodeText;
+  node.parentNode.insertBefore(fragment, node.nextSibling);
+  replacedNodes.set(node, { original, replaced: nodeText, added });
+  reportReplacementCount();
+  return true;
+}
 
-    // 3. Fallback (shouldn't happen if regex works correctly)
-    return match;
+/**
+ * Creates the marker element for one replacement.
+ * A highlighted replacement shows the original text on hover. Masked text
+ * never does: it is only shown when the rule allows revealing it, on a click
+ * (a second click hides it again).
+ *
+ * @param {Object} span - The match (see findMatches in engine.js)
+ * @param {string} found - The text that was found
+ * @returns {HTMLElement}
+ */
+function createMarker(span, found) {
+  const color = /^#[0-9a-f]{6}$/i.test(highlightSettings.color) ? highlightSettings.color : DEFAULT_HIGHLIGHT_COLOR;
+  const highlightStyle = highlightSettings.enabled ? `background-color: ${color}${HIGHLIGHT_ALPHA}; border-radius: 2px;` : '';
+  const marker = document.createElement(HIGHLIGHT_TAG);
+
+  if (!span.mask) {
+    marker.textContent = span.replacement;
+    marker.title = `Original: ${found}`;
+    marker.style.cssText = `all: unset; ${highlightStyle} cursor: help;`;
+    return marker;
+  }
+
+  // Blurred text stays readable for the blur to look like text; the rest shows the stand-in
+  const hidden = {
+    text: span.mask.action === 'blur' ? found : span.replacement,
+    style: `all: unset; ${MASK_STYLES[span.mask.action] || highlightStyle}`
   };
+  marker.textContent = hidden.text;
+  marker.style.cssText = hidden.style;
 
-  try {
-    // Run Case-Sensitive replacements first
-    if (sensitiveRegex) {
-      const newText = text.replace(sensitiveRegex, replaceCallback);
-      if (newText !== text) {
-        text = newText;
-        changed = true;
+  if (span.mask.reveal) {
+    let revealed = false;
+    marker.title = 'Click to show the hidden text';
+    marker.style.cursor = 'pointer';
+    marker.addEventListener('click', (event) => {
+      // Don't follow a link or press a button the text is in
+      event.preventDefault();
+      event.stopPropagation();
+      revealed = !revealed;
+      marker.textContent = revealed ? found : hidden.text;
+      marker.style.cssText = `${revealed ? `all: unset; ${highlightStyle}` : hidden.style} cursor: pointer;`;
+      marker.title = revealed ? 'Click to hide the text again' : 'Click to show the hidden text';
+    });
+  }
+  return marker;
+}
+
+/**
+ * Removes the markers (and the text between them) that markNode() added
+ * after a text node.
+ *
+ * @param {Object} record - The text node's record from replacedNodes
+ */
+function removeHighlights(record) {
+  if (!record.added) return;
+  for (const addedNode of record.added) {
+    addedNode.remove();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// MATCHING ACROSS ELEMENTS (opt-in)
+// A phrase like "Acme <b>Corp</b>" is split over two text nodes, so the normal
+// node-by-node pass can never match it. When switched on in the Manage page,
+// we also join the text of neighbouring nodes inside the same block (paragraph,
+// list item, table cell, ...) and look for matches that cross a node boundary.
+//
+// The replacement is written into the node where the match starts, and the
+// rest of the match is removed from the following nodes. Elements themselves
+// (<b>, <a>, <span>, ...) are never removed, so links and styling keep working.
+// -----------------------------------------------------------------------------
+
+// Elements that flow inside a line of text. Anything else ends a "block".
+const inlineTags = new Set([
+  'A', 'ABBR', 'B', 'BDI', 'BDO', 'CITE', 'CODE', 'DATA', 'DEL', 'DFN', 'EM', 'FONT', 'I',
+  'INS', 'KBD', 'LABEL', 'MARK', 'Q', 'S', 'SAMP', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP',
+  'TIME', 'U', 'VAR'
+]);
+
+let matchAcrossElements = false; // Off unless switched on in the Manage page
+
+/**
+ * Finds the nearest ancestor that isn't an inline element (e.g. the <p> around a <b>).
+ *
+ * @param {Node} node - A text node or element
+ * @returns {Node} - The block element (or shadow root / document) containing it
+ */
+function getBlockAncestor(node) {
+  let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode;
+  while (current && current.nodeType === Node.ELEMENT_NODE && inlineTags.has(current.tagName) && current.parentNode) {
+    current = current.parentNode;
+  }
+  return current;
+}
+
+/**
+ * Looks for matches that cross text node boundaries under a root, and applies them.
+ *
+ * @param {Node} root - The element, shadow root or block to scan
+ */
+function processCrossNodeMatches(root) {
+  if (!isActive() || !matchAcrossElements || !hasActiveRules() || !root) return;
+
+  // Group neighbouring text nodes that share the same block into "runs"
+  const runs = [];
+  let currentRun = null;
+  let currentBlock = null;
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      if (ignoredTags.has(node.parentNode.tagName) || isEditable(node.parentNode)) {
+        return NodeFilter.FILTER_REJECT;
       }
+      return NodeFilter.FILTER_ACCEPT;
     }
+  });
 
-    // Run Case-Insensitive replacements second
-    if (insensitiveRegex) {
-      const newText = text.replace(insensitiveRegex, replaceCallback);
-      if (newText !== text) {
-        text = newText;
-        changed = true;
-      }
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+
+    // Highlighted text is split around markers whose text is skipped, so it
+    // must not be joined up (the pieces would read as if the replacement wasn't there)
+    const record = replacedNodes.get(node);
+    if (highlightPieces.has(node) || (record && record.added)) {
+      currentBlock = null;
+      continue;
     }
 
-    // Only update the DOM if we actually changed something.
-    if (changed) {
-      node.nodeValue = text;
+    const block = getBlockAncestor(node);
+    if (block !== currentBlock) {
+      currentRun = [];
+      runs.push(currentRun);
+      currentBlock = block;
     }
+    currentRun.push(node);
+  }
+
+  for (const run of runs) {
+    if (run.length > 1) {
+      processRun(run);
+    }
+  }
+}
+
+/**
+ * Applies the matches that cross node boundaries within one run of text nodes.
+ * Matches inside a single node are left to processNode().
+ *
+ * @param {Text[]} nodes - Neighbouring text nodes of the same block, in page order
+ */
+function processRun(nodes) {
+  // Where each node's text starts in the joined-up text
+  const starts = [];
+  let joined = '';
+  for (const node of nodes) {
+    starts.push(joined.length);
+    joined += node.nodeValue;
+  }
+
+  let spans;
+  try {
+    spans = findMatches(joined);
   } catch (error) {
-    // If timeout occurs, silently skip this node and continue.
-    // This is better than hanging the entire browser!
-    // The user won't notice - only this one text block is skipped.
     if (error.message === 'Regex timeout') {
-      Logger.warn('Regex timeout on node (skipping):', node.nodeValue?.substring(0, 50));
+      Logger.warn('Regex timeout on text block (skipping):', joined.substring(0, 50));
       return;
     }
-    // Re-throw unexpected errors for debugging
     throw error;
   }
+
+  // Index of the node containing a position of the joined-up text
+  const nodeIndexAt = (position) => {
+    let index = 0;
+    while (index + 1 < nodes.length && starts[index + 1] <= position) index++;
+    return index;
+  };
+
+  // Work backwards, so earlier positions inside each node stay valid
+  for (const span of spans.reverse()) {
+    const first = nodeIndexAt(span.start);
+    const last = nodeIndexAt(span.end - 1);
+    if (first === last) continue; // Not crossing a boundary: processNode() handles it
+
+    for (let index = first; index <= last; index++) {
+      const node = nodes[index];
+      const value = node.nodeValue;
+      let text;
+      if (index === first) {
+        text = value.slice(0, span.start - starts[index]) + span.replacement;
+      } else if (index === last) {
+        text = value.slice(span.end - starts[index]);
+      } else {
+        text = ''; // Fully inside the match
+      }
+      rewriteNode(node, text);
+    }
+
+    countMatch(span);
+  }
+  reportReplacementCount();
 }
 
+// -----------------------------------------------------------------------------
+// ATTRIBUTES & PAGE TITLE (opt-in)
+// Some visible text isn't in text nodes at all: tooltips (title), image
+// descriptions (alt), input placeholders, screen reader labels (aria-label),
+// and the tab title. When switched on in the Manage page, the same rules are
+// applied to those attributes and to the <title> of the page.
+// -----------------------------------------------------------------------------
+
+// Keep in sync with DEFAULT_REPLACED_ATTRIBUTES in manage.js
+const DEFAULT_REPLACED_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label'];
+
+let attributeSettings = {
+  enabled: false,                             // Off unless switched on in the Manage page
+  attributes: DEFAULT_REPLACED_ATTRIBUTES,    // Attribute names to rewrite
+  includeTitle: true                          // Also rewrite the tab title
+};
+
+const replacedAttributes = new Map(); // Element -> Map(attribute name -> { original, replaced })
+
 /**
- * Scans the entire document for text to replace.
- * Uses a "TreeWalker" which is the most efficient way to browse the DOM.
+ * Applies the rules to a single attribute of a single element.
+ * Works like processNode(), including remembering the original value.
  *
- * NOTE: This function is only used for the initial page load.
- * For dynamic content, we use processElement() to only scan new nodes (much faster!).
+ * @param {Element} element - The element owning the attribute
+ * @param {string} name - The attribute name, e.g. "title"
  */
-function processDocument() {
-  if (!extensionEnabled) return;
-  if (!sensitiveRegex && !insensitiveRegex) return;
-  if (!document.body) return; // Safety check: don't run if body doesn't exist yet
+function processAttribute(element, name) {
+  if (!isActive() || !attributeSettings.enabled) return;
+  if (!attributeSettings.attributes.includes(name)) return;
+
+  const value = element.getAttribute(name);
+  if (!value) return;
 
+  let records = replacedAttributes.get(element);
+  const record = records && records.get(name);
+  if (record) {
+    // Our own value, still untouched: nothing to do (this also stops our own
+    // setAttribute() call below from looping through the MutationObserver)
+    if (value === record.replaced) return;
+    records.delete(name);
+  }
+
+  const text = replaceAndCount(value);
+  if (text !== value) {
+    element.setAttribute(name, text);
+    if (!records) {
+      records = new Map();
+      replacedAttributes.set(element, records);
+    }
+    records.set(name, { original: value, replaced: text });
+  }
+}
+
+/**
+ * Applies the rules to the configured attributes of an element and everything inside it.
+ * Elements inside nested shadow roots are handled when the walk reaches them.
+ *
+ * @param {Element|ShadowRoot} root - The element (or shadow root) to scan
+ */
+function processAttributes(root) {
+  if (!isActive() || !attributeSettings.enabled) return;
+  if (attributeSettings.attributes.length === 0) return;
+
+  const selector = attributeSettings.attributes.map(name => `[${CSS.escape(name)}]`).join(',');
+  const elements = [...root.querySelectorAll(selector)];
+  // Shadow roots can't match a selector themselves, only elements can
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+    elements.push(root);
+  }
+
+  for (const element of elements) {
+    for (const name of attributeSettings.attributes) {
+      processAttribute(element, name);
+    }
+  }
+}
+
+/**
+ * Applies the rules to the page title (the text shown on the browser tab).
+ * The title's text node is tracked like any other, so it's restored the same way.
+ */
+function processTitle() {
+  if (!isActive() || !attributeSettings.enabled || !attributeSettings.includeTitle) return;
+
+  const titleElement = document.querySelector('title');
+  if (!titleElement) return;
+
+  for (const child of titleElement.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      processNode(child);
+    }
+  }
+}
+
+/**
+ * Puts back the original text of every node we changed.
+ * Used when the extension is switched off, and before re-applying changed rules.
+ *
+ * Nodes that were removed from the page, or whose text the website has
+ * changed since, are simply forgotten.
+ */
+function restoreOriginals() {
+  for (const [node, record] of replacedNodes) {
+    removeHighlights(record);
+    if (node.isConnected && node.nodeValue === record.replaced) {
+      node.nodeValue = record.original;
+    }
+  }
+  replacedNodes.clear();
+
+  for (const [element, records] of replacedAttributes) {
+    for (const [name, record] of records) {
+      if (element.isConnected && element.getAttribute(name) === record.replaced) {
+        element.setAttribute(name, record.original);
+      }
+    }
+  }
+  replacedAttributes.clear();
+
+  replacementCounts.clear();
+  resetTemplateCounters(); // Re-applied rules count {{count}} from 1 again
+  reportReplacementCount();
+  Logger.debug('Restored original text on the page');
+}
+
+/**
+ * Re-applies the current rules to the whole page, starting from the original text.
+ * This is what makes editing, disabling and removing rules take effect live.
+ */
+function reprocessDocument() {
+  restoreOriginals();
+  processDocument();
+}
+
+// -----------------------------------------------------------------------------
+// SHADOW DOM
+// Web components (used by YouTube, Salesforce and many design systems) render
+// text inside "shadow roots", which are invisible to a normal walk through the
+// page and to an observer on document.body. We look inside every OPEN shadow
+// root we come across, and watch each one for changes too.
+// (Closed shadow roots can't be reached by any extension, by design.)
+// -----------------------------------------------------------------------------
+const knownShadowRoots = new Set();
+
+/**
+ * Processes a newly discovered shadow root and starts watching it for changes.
+ *
+ * @param {ShadowRoot} shadowRoot - The open shadow root of an element
+ */
+function processShadowRoot(shadowRoot) {
+  if (!knownShadowRoots.has(shadowRoot)) {
+    knownShadowRoots.add(shadowRoot);
+    observer.observe(shadowRoot, getObserverOptions());
+  }
+  walkAndProcess(shadowRoot);
+  processCrossNodeMatches(shadowRoot);
+}
+
+/**
+ * Walks through every text node under a root (a document, element or shadow root),
+ * stepping into open shadow roots along the way, and applies the rules.
+ * Uses a "TreeWalker" which is the most efficient way to browse the DOM.
+ *
+ * @param {Node} root - Where to start
+ */
+function walkAndProcess(root) {
+  const shadowRoots = []; // Processed after this walk, not in the middle of it
   const walker = document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_TEXT,
+    root,
+    NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
     {
       acceptNode: (node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          // Skip ignored tags and editable areas (and everything inside them)
+          if (ignoredTags.has(node.tagName) || node.isContentEditable) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          if (node.shadowRoot) {
+            shadowRoots.push(node.shadowRoot);
+          }
+          // Keep walking into the element's children, but don't return it
+          return NodeFilter.FILTER_SKIP;
+        }
+
         // Skip ignored tags immediately for performance
         if (ignoredTags.has(node.parentNode.tagName) || isEditable(node.parentNode)) {
           return NodeFilter.FILTER_REJECT;
@@ -263,6 +793,35 @@ function processDocument() {
   while (walker.nextNode()) {
     processNode(walker.currentNode);
   }
+
+  processAttributes(root);
+
+  for (const shadowRoot of shadowRoots) {
+    processShadowRoot(shadowRoot);
+  }
+}
+
+/**
+ * Scans the entire document for text to replace.
+ *
+ * NOTE: This function is only used for the initial page load and after settings change.
+ * For dynamic content, we use processElement() to only scan new nodes (much faster!).
+ */
+function processDocument() {
+  if (!isActive()) return;
+  if (!hasActiveRules()) return;
+  if (!document.body) return; // Safety check: don't run if body doesn't exist yet
+
+  // Forget shadow roots whose element has left the page
+  for (const shadowRoot of knownShadowRoots) {
+    if (!shadowRoot.host.isConnected) {
+      knownShadowRoots.delete(shadowRoot);
+    }
+  }
+
+  walkAndProcess(document.body);
+  processCrossNodeMatches(document.body);
+  processTitle();
 }
 
 /**
@@ -275,8 +834,8 @@ function processDocument() {
  * @param {Element} element - The DOM element to process
  */
 function processElement(element) {
-  if (!extensionEnabled) return;
-  if (!sensitiveRegex && !insensitiveRegex) return;
+  if (!isActive()) return;
+  if (!hasActiveRules()) return;
 
   // If it's a text node, process it directly
   if (element.nodeType === Node.TEXT_NODE) {
@@ -284,25 +843,14 @@ function processElement(element) {
     return;
   }
 
-  // If it's an element node, walk through its text nodes
+  // If it's an element node, walk through its text nodes.
+  // The walker never returns its own root, so check the element itself first.
   if (element.nodeType === Node.ELEMENT_NODE) {
-    const walker = document.createTreeWalker(
-      element,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          // Skip ignored tags immediately for performance
-          if (ignoredTags.has(node.parentNode.tagName) || isEditable(node.parentNode)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          return NodeFilter.FILTER_ACCEPT;
-        }
-      }
-    );
-
-    while (walker.nextNode()) {
-      processNode(walker.currentNode);
+    if (ignoredTags.has(element.tagName) || isEditable(element)) return;
+    if (element.shadowRoot) {
+      processShadowRoot(element.shadowRoot);
     }
+    walkAndProcess(element);
   }
 }
 
@@ -316,6 +864,32 @@ function debounce(func, wait) {
   };
 }
 
+// -----------------------------------------------------------------------------
+// TOOLBAR BADGE
+// Tells the background service worker how many replacements were made in this
+// frame, so it can show the number on the extension icon. Every frame of a tab
+// reports separately and the background adds them up. Debounced, because a
+// busy page can make hundreds of replacements per second.
+// -----------------------------------------------------------------------------
+const reportReplacementCount = debounce(() => {
+  let total = 0;
+  for (const count of replacementCounts.values()) {
+    total += count;
+  }
+
+  try {
+    const counts = Object.fromEntries(replacementCounts);
+    chrome.runtime.sendMessage({ type: 'replacementCount', total, counts }, () => {
+      // Reading lastError stops Chrome from logging "Receiving end does not exist"
+      // when the background service worker is asleep or restarting.
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    // The extension was reloaded or removed while this page stayed open
+    Logger.debug('Could not report replacement count:', error.message);
+  }
+}, 300);
+
 // -----------------------------------------------------------------------------
 // DYNAMIC OBSERVER
 // This watches for new content (like "Load More" buttons or infinite scroll).
@@ -330,7 +904,10 @@ function debounce(func, wait) {
 // -----------------------------------------------------------------------------
 
 const observer = new MutationObserver((mutations) => {
-  if (!extensionEnabled) return;
+  if (!isActive()) return;
+
+  // Blocks whose text changed, re-checked for cross-element matches at the end
+  const changedBlocks = new Set();
 
   // PERFORMANCE OPTIMIZATION:
   // Instead of re-scanning the ENTIRE page on every change, we only process
@@ -339,89 +916,319 @@ const observer = new MutationObserver((mutations) => {
   // Example: When Twitter adds 10 new tweets, we only scan those 10 tweets,
   // not the entire page with thousands of existing tweets.
   for (const mutation of mutations) {
-    // Only care about added nodes (ignore attribute/text changes to existing nodes)
+    // Attribute changes are only observed when attribute replacement is on
+    if (mutation.type === 'attributes') {
+      processAttribute(mutation.target, mutation.attributeName);
+      continue;
+    }
+
+    // Text changed in place (React, Vue & co. update existing text nodes).
+    // Our own writes also land here, but processNode() recognizes them
+    // (the text still equals what we wrote) and leaves them alone.
+    if (mutation.type === 'characterData') {
+      processNode(mutation.target);
+      if (matchAcrossElements) changedBlocks.add(getBlockAncestor(mutation.target));
+      continue;
+    }
+
+    // Otherwise, only care about added nodes
     if (mutation.addedNodes.length > 0) {
       for (const node of mutation.addedNodes) {
         // Process the newly-added node (and its children if it's an element)
         processElement(node);
+        if (matchAcrossElements) changedBlocks.add(getBlockAncestor(node));
       }
     }
   }
+
+  for (const block of changedBlocks) {
+    // Only blocks still on the page (a later mutation may have removed them)
+    if (block && block.isConnected) {
+      processCrossNodeMatches(block);
+    }
+  }
 });
 
+/**
+ * Returns the MutationObserver options matching the current settings.
+ *
+ * childList: watch for nodes being added/removed
+ * subtree: watch the entire tree, not just direct children
+ * characterData: watch for text changing inside existing text nodes
+ * attributes: only when attribute replacement is on, and only for the chosen names
+ */
+function getObserverOptions() {
+  const watchAttributes = attributeSettings.enabled && attributeSettings.attributes.length > 0;
+  return {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    ...(watchAttributes ? { attributes: true, attributeFilter: attributeSettings.attributes } : {})
+  };
+}
+
+/**
+ * Starts (or restarts) the MutationObserver on the page and on every shadow
+ * root found so far. Calling it again replaces the previous options.
+ */
+function startObserver() {
+  // Handle anything already queued before we reconfigure
+  const pending = observer.takeRecords();
+  observer.disconnect();
+
+  const options = getObserverOptions();
+  if (document.body) {
+    observer.observe(document.body, options);
+  }
+  for (const shadowRoot of knownShadowRoots) {
+    observer.observe(shadowRoot, options);
+  }
+
+  // The <title> lives in <head>, outside document.body. Sites that update it
+  // (e.g. "(3) Inbox") replace or edit its text node.
+  const titleElement = document.querySelector('title');
+  if (titleElement && attributeSettings.enabled && attributeSettings.includeTitle) {
+    observer.observe(titleElement, { childList: true, subtree: true, characterData: true });
+  }
+
+  if (pending.length > 0 && isActive()) {
+    for (const mutation of pending) {
+      for (const node of mutation.addedNodes) {
+        processElement(node);
+      }
+    }
+  }
+}
+
 // Start watching immediately (even before rules load)
 // This prevents race conditions where content loads before settings are ready
-// childList: watch for nodes being added/removed
-// subtree: watch the entire tree, not just direct children
-if (document.body) {
-  observer.observe(document.body, { childList: true, subtree: true });
-}
+startObserver();
 
 // -----------------------------------------------------------------------------
 // INITIALIZATION
 // Load settings and process the initial page.
 // This runs asynchronously, but the observer above is already watching!
 // -----------------------------------------------------------------------------
-chrome.storage.sync.get(['wordMap', 'extensionEnabled'], (data) => {
-  // Handle errors gracefully
-  if (chrome.runtime.lastError) {
-    Logger.error('Failed to load settings:', chrome.runtime.lastError);
-    return;
-  }
+function loadSettingsAndProcess() {
+  chrome.storage.sync.get(['extensionEnabled', 'siteFilter', 'attributeSettings', 'matchAcrossElements', 'chainReplacements', 'highlightSettings', RULE_GROUPS_KEY], (data) => {
+    // Handle errors gracefully
+    if (chrome.runtime.lastError) {
+      Logger.error('Failed to load settings:', chrome.runtime.lastError);
+      return;
+    }
 
-  extensionEnabled = data.extensionEnabled !== false;
-  Logger.debug('Settings loaded. Extension enabled:', extensionEnabled);
-  Logger.debug('Number of rules loaded:', data.wordMap ? Object.keys(data.wordMap).length : 0);
+    extensionEnabled = data.extensionEnabled !== false;
+    siteAllowed = isSiteAllowed(data.siteFilter, getPageUrl());
+    Logger.debug('Settings loaded. Extension enabled:', extensionEnabled, '| Site allowed:', siteAllowed);
 
-  // Build the rules and run the first pass
-  if (data.wordMap && extensionEnabled) {
-    updateRegexes(data.wordMap);
-    processDocument();
-    Logger.debug('Initial document processing complete');
-  }
-});
+    matchAcrossElements = data.matchAcrossElements === true;
+    chainReplacements = data.chainReplacements === true;
+    highlightSettings = { ...highlightSettings, ...data.highlightSettings };
+    ruleGroups = data[RULE_GROUPS_KEY] || [];
+
+    // Attribute replacement changes what the observer needs to watch
+    if (data.attributeSettings) {
+      attributeSettings = { ...attributeSettings, ...data.attributeSettings };
+      startObserver();
+    }
+
+    // Your rules (maybe split over several storage items) and subscribed rules, see storage.js
+    loadActiveRules((wordMap, error) => {
+      if (error) {
+        Logger.error('Failed to load rules:', error);
+        return;
+      }
+      Logger.debug('Number of rules loaded:', Object.keys(wordMap).length);
+
+      // Always build the rules (cheap), so that turning the extension on later
+      // works instantly without another trip to storage.
+      updateRegexes(wordMap, ruleGroups, getPageUrl(), chainReplacements);
+
+      // Run the first pass
+      if (isActive()) {
+        processDocument();
+        Logger.debug('Initial document processing complete');
+      }
+    });
+  });
+}
+
+// Ask the background service worker whether this tab was paused from the
+// toolbar popup (or shows the originals) BEFORE the first pass, so a paused
+// tab never flickers.
+try {
+  chrome.runtime.sendMessage({ type: 'getTabState' }, (response) => {
+    if (chrome.runtime.lastError) {
+      Logger.debug('Tab state unavailable:', chrome.runtime.lastError.message);
+    } else if (response) {
+      tabPaused = Boolean(response.paused);
+      showingOriginals = Boolean(response.showOriginals);
+    }
+    loadSettingsAndProcess();
+  });
+} catch (error) {
+  Logger.debug('Tab state unavailable:', error.message);
+  loadSettingsAndProcess();
+}
 
 // -----------------------------------------------------------------------------
 // SETTINGS LISTENER
 // Updates live when you change settings in the menu.
 // -----------------------------------------------------------------------------
+/**
+ * Reloads every rule and re-applies them to the page.
+ * Saving rules can touch several storage items one after another (see
+ * storage.js), so reloads are bunched together.
+ */
+const reloadRules = debounce(() => {
+  loadActiveRules((wordMap, error) => {
+    if (error) {
+      Logger.error('Failed to reload rules:', error);
+      return;
+    }
+
+    // GRANULAR CHANGE DETECTION:
+    // We rebuild the regexes (necessary), but only reprocess the page if
+    // the extension is currently enabled. Reprocessing starts from the
+    // original text, so disabled or removed rules are undone as well.
+    updateRegexes(wordMap, ruleGroups, getPageUrl(), chainReplacements);
+    if (isActive()) {
+      reprocessDocument();
+    }
+  });
+}, RULE_RELOAD_DELAY_MS);
+
 chrome.storage.onChanged.addListener((changes, area) => {
+  // Check if Rules changed (they live in sync and/or local storage, plus subscriptions)
+  if (isRuleStorageChange(changes, area) || isSubscriptionChange(changes, area)) {
+    reloadRules();
+  }
+
+  // Check if groups were switched on/off, renamed, reordered, ...
+  if (area === 'sync' && changes[RULE_GROUPS_KEY]) {
+    ruleGroups = changes[RULE_GROUPS_KEY].newValue || [];
+    reloadRules();
+  }
+
+  // Check if chaining was switched on/off (the rules are compiled with it)
+  if (area === 'sync' && changes.chainReplacements) {
+    chainReplacements = changes.chainReplacements.newValue === true;
+    reloadRules();
+  }
+
   if (area === 'sync') {
     // Track what actually changed to avoid unnecessary work
-    let needsRebuild = false;
     let needsReprocess = false;
 
+    const wasActive = isActive();
+
     // Check if Master Switch changed
     if (changes.extensionEnabled) {
-      const wasEnabled = extensionEnabled;
-      extensionEnabled = changes.extensionEnabled.newValue;
+      extensionEnabled = changes.extensionEnabled.newValue !== false;
+    }
+
+    // Check if the global site allowlist/blocklist changed
+    if (changes.siteFilter) {
+      siteAllowed = isSiteAllowed(changes.siteFilter.newValue, getPageUrl());
+    }
+
+    // If we're turning ON for this page (was off, now on), we need to process the page
+    if (!wasActive && isActive()) {
+      needsReprocess = true;
+    }
 
-      // If we're turning ON (was off, now on), we need to process the page
-      if (!wasEnabled && extensionEnabled) {
+    // If we're turning OFF for this page, put the original text back right away
+    if (wasActive && !isActive()) {
+      restoreOriginals();
+    }
+
+    // Check if matching across elements was switched on/off
+    if (changes.matchAcrossElements) {
+      matchAcrossElements = changes.matchAcrossElements.newValue === true;
+      if (isActive()) {
+        needsReprocess = true;
+      }
+    }
+
+    // Check if highlighting was switched on/off, or its color changed
+    if (changes.highlightSettings) {
+      highlightSettings = { enabled: false, color: DEFAULT_HIGHLIGHT_COLOR, ...changes.highlightSettings.newValue };
+      if (isActive()) {
         needsReprocess = true;
       }
-      // If we're turning OFF, no need to do anything (processDocument checks the flag)
     }
 
-    // Check if Rules changed
-    if (changes.wordMap) {
-      // GRANULAR CHANGE DETECTION:
-      // We rebuild the regexes (necessary), but only reprocess the page if:
-      // 1. Extension is currently enabled, AND
-      // 2. The rules actually changed (not just toggled off/on)
-      updateRegexes(changes.wordMap.newValue || {});
-      needsRebuild = true;
+    // Check if attribute/title replacement settings changed
+    if (changes.attributeSettings) {
+      attributeSettings = {
+        enabled: false,
+        attributes: DEFAULT_REPLACED_ATTRIBUTES,
+        includeTitle: true,
+        ...changes.attributeSettings.newValue
+      };
+      startObserver();
 
-      // Only reprocess if extension is enabled
-      if (extensionEnabled) {
+      // Undo or apply attribute replacements right away
+      if (isActive()) {
         needsReprocess = true;
       }
     }
 
     // OPTIMIZATION: Only re-scan the document if we actually need to
-    // This prevents unnecessary work when toggling a rule off (which doesn't require re-scanning)
-    if (needsReprocess && extensionEnabled) {
-      processDocument();
+    // This prevents unnecessary work when the extension is switched off
+    if (needsReprocess && isActive()) {
+      reprocessDocument();
+    }
+  }
+});
+
+// -----------------------------------------------------------------------------
+// TOOLBAR POPUP MESSAGES
+// The popup asks for this page's replacement counts, and can pause this tab.
+// The background passes on the "show originals" keyboard shortcut.
+// Only messages from our own extension ever reach this listener.
+// -----------------------------------------------------------------------------
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'getPageStats') {
+    let total = 0;
+    for (const count of replacementCounts.values()) {
+      total += count;
+    }
+
+    sendResponse({
+      counts: Object.fromEntries(replacementCounts),
+      total,
+      extensionEnabled,
+      siteAllowed,
+      tabPaused,
+      showingOriginals
+    });
+    return;
+  }
+
+  if (message.type === 'setTabPaused') {
+    const wasActive = isActive();
+    tabPaused = Boolean(message.paused);
+    Logger.debug('Tab paused:', tabPaused);
+
+    if (wasActive && !isActive()) {
+      restoreOriginals();
+    } else if (!wasActive && isActive()) {
+      reprocessDocument();
+    }
+    sendResponse({ tabPaused });
+  }
+
+  if (message.type === 'setShowOriginals') {
+    const wasActive = isActive();
+    showingOriginals = Boolean(message.showOriginals);
+    Logger.debug('Showing originals:', showingOriginals);
+
+    if (wasActive && !isActive()) {
+      restoreOriginals();
+    } else if (!wasActive && isActive()) {
+      reprocessDocument();
     }
+    sendResponse({ showingOriginals });
   }
 });
@@ -0,0 +1,1275 @@
+// engine.js
+// -----------------------------------------------------------------------------
+// The replacement engine: turns your rules into regular expressions, and runs
+// them over a piece of text.
+//
+// This file is shared: it is loaded by the content script (before content.js),
+// which runs it over the text of web pages, and by the Manage page, whose Rule
+// Tester runs it over sample text. Both get exactly the same results.
+// It never touches the page and never reads or writes storage by itself.
+// -----------------------------------------------------------------------------
+
+// -----------------------------------------------------------------------------
+// SAFETY CONFIGURATION
+// This timeout prevents the extension from hanging if regex operations take too long.
+// If processing a single text node takes more than this limit, we skip it safely.
+// This protects against complex patterns on very large text blocks.
+// -----------------------------------------------------------------------------
+const REGEX_TIMEOUT_MS = 100; // Maximum time (in milliseconds) to process a single text node
+
+/**
+ * Escapes special characters in a string to safe-guard against Regular Expression issues.
+ * This prevents a "Regex Injection" attack and ensures that characters like "." or "*"
+ * are treated as literal text, not special commands.
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// -----------------------------------------------------------------------------
+// WORDS IN EVERY LANGUAGE
+// The classic regex "word boundary" (\b) only knows English letters (a-z), so
+// "Öl" or "кот" would match inside other words. These use Unicode classes
+// instead: letters, accents, digits and "_" of every language.
+// -----------------------------------------------------------------------------
+const WORD_CHARACTER_CLASS = '[\\p{L}\\p{M}\\p{N}\\p{Pc}]';
+const WORD_CHARACTER = new RegExp(WORD_CHARACTER_CLASS, 'u');
+const WORD_START = `(?<!${WORD_CHARACTER_CLASS})`; // Not preceded by a word character
+const WORD_END = `(?!${WORD_CHARACTER_CLASS})`;    // Not followed by a word character
+
+// Scripts written without spaces between words (Chinese, Japanese, Thai, ...).
+// Words can't be told apart there, so rules always match inside the text.
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// Letters that look accented but don't break apart into "letter + accent"
+// in Unicode, so "Ignore accents" has to be told what they are
+const UNACCENTED_LETTERS = { ø: 'o', Ø: 'O', ł: 'l', Ł: 'L', đ: 'd', Đ: 'D', ħ: 'h', Ħ: 'H', ı: 'i' };
+
+/**
+ * Works out where a literal rule needs a word boundary, from its Match setting:
+ *   'word' (the default) - whole words only: "cat" doesn't match in "catalog"
+ *   'start'              - at the start of a word: "cat" matches "catalog", not "bobcat"
+ *   'end'                - at the end of a word: "cat" matches "bobcat", not "catalog"
+ *   'substring'          - anywhere, also inside words
+ * A side that isn't a word character (like "!" or " "), or that is written in
+ * a script without spaces, never gets a boundary.
+ *
+ * @param {string} text - The text the rule finds (already folded, see foldText)
+ * @param {string} [matchMode] - The rule's Match setting
+ * @returns {{boundaryBefore: boolean, boundaryAfter: boolean}}
+ */
+function wordBoundaries(text, matchMode) {
+  const characters = [...text];
+  const isWordEdge = (character) => WORD_CHARACTER.test(character) && !UNSPACED_SCRIPT.test(character);
+  return {
+    boundaryBefore: matchMode !== 'substring' && matchMode !== 'end' && isWordEdge(characters[0]),
+    boundaryAfter: matchMode !== 'substring' && matchMode !== 'start' && isWordEdge(characters[characters.length - 1])
+  };
+}
+
+/**
+ * Compiles a list of words into a single, optimized Regular Expression.
+ * This allows the extension to search for ALL your words at once, rather than
+ * looping through the entire page hundreds of times (which would be slow).
+ *
+ * Where several words match at the same place, the one listed first is found.
+ *
+ * @param {Object[]} words - The words to find, the most important first:
+ *   { text, boundaryBefore, boundaryAfter } (see wordBoundaries)
+ * @param {boolean} caseSensitive - Whether to match exact casing.
+ */
+function buildRegex(words, caseSensitive) {
+  if (words.length === 0) return null;
+
+  // Add "word boundaries" where the rules need them.
+  // This ensures that replacing "cat" doesn't turn "catch" into "dogch".
+  // PERFORMANCE: Words next to each other that need the same boundaries share
+  // them ("before(?:cat|dog)after"), which keeps the order of the words but
+  // is many times faster than a boundary around every single word.
+  const runs = [];
+  for (const { text, boundaryBefore, boundaryAfter } of words) {
+    const last = runs[runs.length - 1];
+    if (last && last.boundaryBefore === boundaryBefore && last.boundaryAfter === boundaryAfter) {
+      last.patterns.push(escapeRegExp(text));
+    } else {
+      runs.push({ boundaryBefore, boundaryAfter, patterns: [escapeRegExp(text)] });
+    }
+  }
+  const pattern = runs.map(({ boundaryBefore, boundaryAfter, patterns }) =>
+    `${boundaryBefore ? WORD_START : ''}(?:${patterns.join('|')})${boundaryAfter ? WORD_END : ''}`).join('|');
+
+  // Create the final Regex. 'g' = global (find all), 'i' = case-insensitive,
+  // 'u' = Unicode (needed for the word boundaries above).
+  return new RegExp(pattern, caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Tells whether a literal rule's word boundaries hold around a match.
+ * The regex already checked them for the rule it found; this is for other
+ * rules that find the same text (e.g. "cat" as a whole word and "cat" anywhere).
+ *
+ * @param {Object} rule - The compiled rule (see updateRegexes)
+ * @param {string} text - The text searched
+ * @param {number} start - Where the match starts
+ * @param {number} end - Where the match ends
+ * @returns {boolean}
+ */
+function fitsWordBoundaries(rule, text, start, end) {
+  // Two UTF-16 units are enough to hold the whole character next to the match
+  if (rule.boundaryBefore && WORD_CHARACTER.test([...text.slice(Math.max(0, start - 2), start)].pop() || '')) {
+    return false;
+  }
+  return !(rule.boundaryAfter && WORD_CHARACTER.test([...text.slice(end, end + 2)][0] || ''));
+}
+
+/**
+ * Tells how a literal rule compares text besides Match Case, or null when it
+ * compares it as it is. Rules are only merged into one pass when this is the same.
+ *
+ * @param {Object} data - The rule settings (ignoreAccents, normalize)
+ * @returns {{normalize: string|null, ignoreAccents: boolean}|null}
+ */
+function textFolding(data) {
+  const normalize = ['NFC', 'NFKC'].includes(data.normalize) ? data.normalize : null;
+  if (!normalize && !data.ignoreAccents) return null;
+  return { normalize, ignoreAccents: Boolean(data.ignoreAccents) };
+}
+
+/**
+ * Rewrites text the way a rule with "Ignore accents" or "Normalize" compares it:
+ *   - Normalize NFC: letters written as "letter + accent" become one character,
+ *     so "é" is found however the page wrote it.
+ *   - Normalize NFKC: also turns look-alike forms into plain ones: "ﬁ" → "fi",
+ *     "Ａ" (full width) → "A", "²" → "2".
+ *   - Ignore accents: accents and other marks are dropped: "Café" → "Cafe".
+ * Each character (with its accents) is rewritten on its own, so every position
+ * of the result can be traced back to the original text.
+ *
+ * @param {string} text - The text
+ * @param {Object} folding - See textFolding()
+ * @returns {{text: string, positions: number[]}} - The rewritten text, and for each of
+ *   its positions (and its end) where that is in the original text; -1 inside a
+ *   character that became several (a match may not start or end there)
+ */
+function foldText(text, folding) {
+  let folded = '';
+  const positions = [];
+
+  for (const found of text.matchAll(/\P{M}\p{M}*|\p{M}+/gu)) {
+    let piece = folding.normalize ? found[0].normalize(folding.normalize) : found[0];
+    if (folding.ignoreAccents) {
+      piece = piece.normalize('NFD').replace(/\p{M}/gu, '').replace(/./gu, letter => UNACCENTED_LETTERS[letter] || letter);
+    }
+    for (let index = 0; index < piece.length; index++) {
+      positions.push(index === 0 ? found.index : -1);
+    }
+    folded += piece;
+  }
+  positions.push(text.length);
+
+  return { text: folded, positions };
+}
+
+/**
+ * Compiles a single "regex mode" rule into its own Regular Expression.
+ * Unlike normal rules, the original text is used as a real pattern (not escaped),
+ * so it can't be merged into the big alternation built by buildRegex().
+ *
+ * Returns null (and logs a warning) if the pattern is invalid, so one broken
+ * rule can never stop the rest of your rules from working.
+ *
+ * @param {string} pattern - The regular expression source, e.g. "(\\w+)@example\\.com"
+ * @param {Object} data - The rule settings (caseSensitive, flags)
+ * @returns {RegExp|null}
+ */
+function buildPatternRegex(pattern, data) {
+  // 'g' is always needed to replace every match; 'i' comes from the Match Case toggle.
+  // Any extra flags (m, s, u) are stored on the rule itself.
+  const extraFlags = (data.flags || '').replace(/[^msu]/g, '');
+  const flags = 'g' + (data.caseSensitive ? '' : 'i') + extraFlags;
+
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    Logger.warn('Skipping invalid regex rule:', pattern, error.message);
+    return null;
+  }
+}
+
+/**
+ * Expands "$" references in a regex rule's replacement text, exactly like
+ * String.prototype.replace() does: $1..$99, $<name>, $&, $`, $' and $$.
+ *
+ * We do this ourselves (instead of passing the replacement string straight to
+ * replace()) so that the timeout check in replaceText() still runs on every match.
+ *
+ * @param {string} replacement - The replacement template, e.g. "$2, $1"
+ * @param {string} match - The full matched text
+ * @param {string[]} captures - The numbered capture groups
+ * @param {number} offset - Where the match starts in the input
+ * @param {string} input - The full text being searched
+ * @param {Object|undefined} groups - The named capture groups (if any)
+ * @returns {string}
+ */
+function expandReplacement(replacement, match, captures, offset, input, groups) {
+  return replacement.replace(/\$(\$|&|`|'|<([^>]*)>|(\d\d?))/g, (token, kind, name, digits) => {
+    if (kind === '$') return '$';
+    if (kind === '&') return match;
+    if (kind === '`') return input.slice(0, offset);
+    if (kind === "'") return input.slice(offset + match.length);
+
+    if (name !== undefined) {
+      // "$<name>" is only special when the pattern actually has named groups
+      if (!groups) return token;
+      return groups[name] ?? '';
+    }
+
+    // Prefer a two-digit group number ($12) if that group exists, otherwise
+    // fall back to a single digit followed by a literal character ($1 + "2").
+    const twoDigit = parseInt(digits, 10);
+    if (digits.length === 2 && twoDigit >= 1 && twoDigit <= captures.length) {
+      return captures[twoDigit - 1] ?? '';
+    }
+    const oneDigit = parseInt(digits[0], 10);
+    if (oneDigit >= 1 && oneDigit <= captures.length) {
+      return (captures[oneDigit - 1] ?? '') + digits.slice(1);
+    }
+    return token;
+  });
+}
+
+/**
+ * Copies the capitalization of the matched text onto the replacement.
+ * Used by rules in "preserve case" mode, so one case-insensitive rule
+ * "cloud → butt" turns "Cloud" into "Butt" and "CLOUD" into "BUTT".
+ *
+ * The casing pattern of the match is detected in this order:
+ *   1. all lower case        ("cloud")       → "butt"
+ *   2. all capitals          ("CLOUD")       → "BUTT"
+ *   3. title case            ("Cloud Data")  → "Butt Stuff"
+ *   4. anything else, mixed  ("cLoUd")       → copied letter by letter ("bUtT")
+ *
+ * @param {string} match - The text found on the page
+ * @param {string} replacement - The rule's replacement text
+ * @returns {string}
+ */
+function applyCasePattern(match, replacement) {
+  const isLetter = (char) => char.toLowerCase() !== char.toUpperCase();
+  const isUpper = (char) => isLetter(char) && char === char.toUpperCase();
+  const letters = [...match].filter(isLetter);
+
+  // Nothing to copy (e.g. the match was only digits or symbols)
+  if (letters.length === 0) return replacement;
+
+  if (letters.every(char => !isUpper(char))) return replacement.toLowerCase();
+
+  // A single capital letter ("A") is treated as title case, not all caps
+  if (letters.length > 1 && letters.every(isUpper)) return replacement.toUpperCase();
+
+  // Title case: every word starts with a capital and continues in lower case
+  const words = match.split(/[^\p{L}]+/u).filter(word => word.length > 0);
+  const isTitleCase = words.every(word => isUpper(word[0]) && [...word.slice(1)].every(char => !isUpper(char)));
+  if (isTitleCase) {
+    return toTitleCase(replacement);
+  }
+
+  // Mixed case: copy the case of each character position, as far as the match goes.
+  // Characters past the end of the match keep the replacement's own casing.
+  const matchChars = [...match];
+  return [...replacement].map((char, index) => {
+    if (index >= matchChars.length || !isLetter(matchChars[index])) return char;
+    return isUpper(matchChars[index]) ? char.toUpperCase() : char.toLowerCase();
+  }).join('');
+}
+
+/**
+ * Writes text in title case: "hello WORLD" → "Hello World".
+ *
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function toTitleCase(text) {
+  return text.toLowerCase().replace(/(^|[^\p{L}])(\p{L})/gu, (all, before, letter) => before + letter.toUpperCase());
+}
+
+// -----------------------------------------------------------------------------
+// REPLACEMENT TEMPLATES
+// A replacement can contain {{...}} tags, filled in for every match:
+//   {{match}}                the text that was found: "{{match}} (formerly Acme)"
+//   {{random:a,b,c}}         one of the choices, picked at random every time
+//   {{date}}, {{date:long}}  today's date; {{date:iso}} writes 2024-05-31
+//   {{time}}                 the current time
+//   {{count}}                1 for the rule's first replacement on the page, then 2, 3, ...
+// Any tag can end with "|upper", "|lower" or "|title", e.g. {{match|upper}}.
+// Write "\{{" for a "{{" that isn't a tag. Tags only ever produce text, so a
+// template can never run code or change anything but the replaced text.
+// -----------------------------------------------------------------------------
+const TEMPLATE_FILTERS = {           // "|name" -> how it changes the tag's text
+  upper: text => text.toUpperCase(),
+  lower: text => text.toLowerCase(),
+  title: toTitleCase
+};
+const TEMPLATE_DATE_FORMATS = ['short', 'long', 'iso']; // Choices of {{date:...}}
+
+// Replacements made so far by each rule with a {{count}} tag (see resetTemplateCounters)
+const templateCounters = new Map(); // Rule key -> count
+
+/**
+ * Reads one {{...}} tag of a template.
+ *
+ * @param {string} body - The text between "{{" and "}}", e.g. "match|upper"
+ * @returns {Object} - { name, choices, format, filters } or { error }
+ */
+function parseTemplateTag(body) {
+  const [head, ...filters] = body.split('|').map(piece => piece.trim());
+  const colon = head.indexOf(':');
+  const name = (colon === -1 ? head : head.slice(0, colon)).trim().toLowerCase();
+  const argument = colon === -1 ? null : head.slice(colon + 1).trim();
+  const tag = { name, filters: filters.map(filter => filter.toLowerCase()) };
+
+  if (name === 'random') {
+    tag.choices = (argument || '').split(',').map(choice => choice.trim());
+    if (tag.choices.length < 2) {
+      return { error: `"{{${body}}}" needs at least two choices separated by commas, like {{random:cat,dog}}` };
+    }
+  } else if (name === 'date') {
+    tag.format = (argument || 'short').toLowerCase();
+    if (!TEMPLATE_DATE_FORMATS.includes(tag.format)) {
+      return { error: `"{{${body}}}": unknown date format (use ${TEMPLATE_DATE_FORMATS.join(', ')})` };
+    }
+  } else if (['match', 'time', 'count'].includes(name)) {
+    if (argument !== null) {
+      return { error: `"{{${body}}}": {{${name}}} has no ":" setting` };
+    }
+  } else {
+    return { error: `Unknown template tag "{{${body}}}". Use {{match}}, {{random:a,b}}, {{date}}, {{time}} or {{count}}.` };
+  }
+
+  const unknownFilter = tag.filters.find(filter => !Object.prototype.hasOwnProperty.call(TEMPLATE_FILTERS, filter));
+  if (unknownFilter !== undefined) {
+    return { error: `"{{${body}}}": unknown filter "|${unknownFilter}" (use ${Object.keys(TEMPLATE_FILTERS).join(', ')})` };
+  }
+  return tag;
+}
+
+/**
+ * Splits a replacement template into plain text and tags.
+ *
+ * @param {string} template - The replacement, e.g. "{{match}} (formerly Acme)"
+ * @returns {Object} - { parts } (strings for plain text, objects for tags) or { error }
+ */
+function parseTemplate(template) {
+  const parts = [];
+  let text = ''; // Plain text since the last tag
+  let cursor = 0;
+  const tokens = /\\\{\{|\{\{(.*?)\}\}|\{\{/gs;
+  let found;
+
+  while ((found = tokens.exec(template)) !== null) {
+    text += template.slice(cursor, found.index);
+    cursor = tokens.lastIndex;
+
+    if (found[0] === '\\{{') {
+      text += '{{';
+      continue;
+    }
+    if (found[1] === undefined) {
+      return { error: 'A "{{" is never closed with "}}". Write "\\{{" for a "{{" that isn\'t a tag.' };
+    }
+
+    const tag = parseTemplateTag(found[1]);
+    if (tag.error) return tag;
+    if (text) parts.push(text);
+    parts.push(tag);
+    text = '';
+  }
+
+  text += template.slice(cursor);
+  if (text) parts.push(text);
+  return { parts };
+}
+
+/**
+ * Prepares a rule's replacement for updateRegexes(): the parts of its
+ * template, or null when it's plain text. A broken template (only possible in
+ * rules saved by hand or subscribed to) is written as it is.
+ *
+ * @param {string} replacement - The rule's replacement
+ * @returns {Array|null}
+ */
+function compileTemplate(replacement) {
+  if (!replacement.includes('{{')) return null;
+  const { parts, error } = parseTemplate(replacement);
+  if (error) {
+    Logger.warn('Writing a broken replacement template as plain text:', replacement, error);
+    return null;
+  }
+  return parts;
+}
+
+/**
+ * Fills in a template for one match.
+ *
+ * @param {Array} parts - From parseTemplate()
+ * @param {Object} context - match: the text found; key: the rule's key (for
+ *   {{count}}, or null to always count 1, like the Add form's preview);
+ *   expandText: applied to the plain text (regex rules expand "$1" there)
+ * @returns {string}
+ */
+function renderTemplate(parts, { match, key, expandText = text => text }) {
+  let count = null; // Several {{count}} tags in one replacement show the same number
+
+  return parts.map((part) => {
+    if (typeof part === 'string') return expandText(part);
+
+    let value = '';
+    if (part.name === 'match') {
+      value = match;
+    } else if (part.name === 'random') {
+      value = part.choices[Math.floor(Math.random() * part.choices.length)];
+    } else if (part.name === 'date') {
+      const now = new Date();
+      if (part.format === 'iso') {
+        const pad = number => String(number).padStart(2, '0');
+        value = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+      } else {
+        value = now.toLocaleDateString(undefined, { dateStyle: part.format === 'long' ? 'long' : 'short' });
+      }
+    } else if (part.name === 'time') {
+      value = new Date().toLocaleTimeString(undefined, { timeStyle: 'short' });
+    } else if (part.name === 'count') {
+      if (count === null) {
+        count = key === null ? 1 : (templateCounters.get(key) || 0) + 1;
+        if (key !== null) templateCounters.set(key, count);
+      }
+      value = String(count);
+    }
+
+    return part.filters.reduce((text, filter) => TEMPLATE_FILTERS[filter](text), value);
+  }).join('');
+}
+
+/**
+ * Starts every {{count}} over at 1. Called when a page's text is put back
+ * before the rules are applied again, and before each run of the Rule Tester.
+ */
+function resetTemplateCounters() {
+  templateCounters.clear();
+}
+
+// -----------------------------------------------------------------------------
+// MASKING
+// Instead of writing its replacement, a rule can hide what it finds (for
+// screen sharing and demos). Its "action" (one of MASK_ACTIONS, see RULE
+// ACTIONS in storage.js) says how:
+//   'bullets'  - "•••••" of the same length (spaces are kept)
+//   'redact'   - "[REDACTED]"
+//   'blur'     - the text, blurred
+//   'blackout' - a black box of the same length
+// Blurring and black boxes need a marker element around the text (see
+// HIGHLIGHTING in content.js); where there can't be one (the tab title,
+// attributes, ...) the text is replaced with bullets instead. The same goes
+// for "reveal", which lets a click on the hidden text show it.
+// Rules without an action write their replacement, as always.
+// -----------------------------------------------------------------------------
+const MASK_CHARACTER = '•';        // Written for every character of hidden text
+const REDACTED_TEXT = '[REDACTED]'; // Written instead of the text by 'redact'
+
+/**
+ * Reads a rule's masking settings.
+ *
+ * @param {Object} data - The rule settings (action, reveal)
+ * @returns {{action: string, reveal: boolean}|null} - null for a normal replacement
+ */
+function maskSettings(data) {
+  if (!MASK_ACTIONS.includes(data.action)) return null;
+  return { action: data.action, reveal: Boolean(data.reveal) };
+}
+
+/**
+ * Tells whether a masked match needs a marker element on the page.
+ *
+ * @param {Object|null} mask - From maskSettings()
+ * @returns {boolean}
+ */
+function maskNeedsMarker(mask) {
+  return Boolean(mask && (mask.reveal || mask.action === 'blur' || mask.action === 'blackout'));
+}
+
+/**
+ * Returns the text that stands in for a masked match (also where it can't
+ * be blurred or blacked out).
+ *
+ * @param {Object} mask - From maskSettings()
+ * @param {string} match - The text found
+ * @returns {string}
+ */
+function maskText(mask, match) {
+  if (mask.action === 'redact') return REDACTED_TEXT;
+  return match.replace(/\S/gu, MASK_CHARACTER);
+}
+
+// -----------------------------------------------------------------------------
+// UNIT CONVERSIONS
+// A conversion rule ("convert": { from, to }) finds numbers written with a
+// unit, like "10 miles", "$25" or "3pm ET", and writes them in another unit,
+// formatted the way the browser formats numbers (Intl.NumberFormat), e.g.
+// "16.1 km", "€23.00" or "9:00 PM CET". Ranges ("10-20 miles") are converted
+// as a whole. Optional settings:
+//   rate         - Currencies only: how much 1 "from" is worth in "to" (fixed,
+//                  exchange rates are never downloaded)
+//   decimals     - Digits after the decimal point (0-4); by default 1 for
+//                  measurements, and the currency's own for money
+//   keepOriginal - Also keep the text found: "16.1 km (10 miles)"
+// Units are written ids (e.g. 'mi', 'USD', 'ET'); both must be of the same
+// kind. Their "names" are how pages write them: short names are matched in
+// that exact case ("5 g" but not "5G"), longer ones also in Capitalized and
+// UPPER case. Abbreviations that are everyday words ("in", "st") are left out.
+// -----------------------------------------------------------------------------
+const CONVERSION_KINDS = {
+  length: {
+    label: 'Length',
+    units: {   // factor: meters per unit; unit: the Intl.NumberFormat unit
+      mm: { label: 'millimeters', factor: 0.001, unit: 'millimeter', names: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'] },
+      cm: { label: 'centimeters', factor: 0.01, unit: 'centimeter', names: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+      m: { label: 'meters', factor: 1, unit: 'meter', names: ['m', 'meter', 'meters', 'metre', 'metres'] },
+      km: { label: 'kilometers', factor: 1000, unit: 'kilometer', names: ['km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'] },
+      in: { label: 'inches', factor: 0.0254, unit: 'inch', names: ['″', 'inch', 'inches'] },
+      ft: { label: 'feet', factor: 0.3048, unit: 'foot', names: ['′', 'ft', 'foot', 'feet'] },
+      yd: { label: 'yards', factor: 0.9144, unit: 'yard', names: ['yd', 'yds', 'yard', 'yards'] },
+      mi: { label: 'miles', factor: 1609.344, unit: 'mile', names: ['mi', 'mile', 'miles'] }
+    }
+  },
+  weight: {
+    label: 'Weight',
+    units: {   // factor: grams per unit
+      g: { label: 'grams', factor: 1, unit: 'gram', names: ['g', 'gram', 'grams', 'gramme', 'grammes'] },
+      kg: { label: 'kilograms', factor: 1000, unit: 'kilogram', names: ['kg', 'kilo', 'kilos', 'kilogram', 'kilograms', 'kilogramme', 'kilogrammes'] },
+      oz: { label: 'ounces', factor: 28.349523125, unit: 'ounce', names: ['oz', 'ounce', 'ounces'] },
+      lb: { label: 'pounds', factor: 453.59237, unit: 'pound', names: ['lb', 'lbs', 'pound', 'pounds'] },
+      st: { label: 'stone', factor: 6350.29318, unit: 'stone', names: ['stone'] }
+    }
+  },
+  temperature: {
+    label: 'Temperature',
+    units: {   // degrees Celsius = value * factor + offset
+      C: { label: 'Celsius', factor: 1, offset: 0, unit: 'celsius', names: ['°C', '° C', 'ºC', '℃', 'degrees Celsius', 'degrees C', 'Celsius'] },
+      F: { label: 'Fahrenheit', factor: 5 / 9, offset: -160 / 9, unit: 'fahrenheit', names: ['°F', '° F', 'ºF', '℉', 'degrees Fahrenheit', 'degrees F', 'Fahrenheit'] },
+      K: { label: 'kelvin', factor: 1, offset: -273.15, symbol: ' K', names: ['kelvin', 'kelvins'] } // Not an Intl unit
+    }
+  },
+  currency: {
+    label: 'Currency',
+    units: {   // Unit ids are the ISO currency codes
+      USD: { label: 'US dollars', names: ['$', 'US$', 'USD'] },
+      EUR: { label: 'euros', names: ['€', 'EUR', 'euro', 'euros'] },
+      GBP: { label: 'British pounds', names: ['£', 'GBP'] },
+      JPY: { label: 'Japanese yen', names: ['¥', 'JPY', 'yen'] },
+      CNY: { label: 'Chinese yuan', names: ['CN¥', 'CNY', 'RMB', 'yuan'] },
+      INR: { label: 'Indian rupees', names: ['₹', 'INR'] },
+      CAD: { label: 'Canadian dollars', names: ['C$', 'CA$', 'CAD'] },
+      AUD: { label: 'Australian dollars', names: ['A$', 'AU$', 'AUD'] },
+      CHF: { label: 'Swiss francs', names: ['CHF'] }
+    }
+  },
+  timeZone: {
+    label: 'Time zone',
+    // timeZone: the IANA time zone (summer time is taken from today's date);
+    // offsets: names that always mean the same offset from UTC, in minutes
+    // ("EST" is UTC-5 even in summer, while "ET" follows summer time)
+    units: {
+      UTC: { label: 'UTC / GMT', timeZone: 'UTC', names: ['UTC', 'GMT'] },
+      PT: { label: 'Pacific Time', timeZone: 'America/Los_Angeles', names: ['PT', 'PST', 'PDT', 'Pacific'], offsets: { PST: -480, PDT: -420 } },
+      MT: { label: 'Mountain Time', timeZone: 'America/Denver', names: ['MT', 'MST', 'MDT', 'Mountain'], offsets: { MST: -420, MDT: -360 } },
+      CT: { label: 'Central Time', timeZone: 'America/Chicago', names: ['CT', 'CST', 'CDT', 'Central'], offsets: { CST: -360, CDT: -300 } },
+      ET: { label: 'Eastern Time', timeZone: 'America/New_York', names: ['ET', 'EST', 'EDT', 'Eastern'], offsets: { EST: -300, EDT: -240 } },
+      UK: { label: 'UK time', timeZone: 'Europe/London', names: ['BST', 'UK time'], offsets: { BST: 60 } },
+      CET: { label: 'Central European Time', timeZone: 'Europe/Berlin', names: ['CET', 'CEST'], offsets: { CET: 60, CEST: 120 } },
+      IST: { label: 'India Time', timeZone: 'Asia/Kolkata', names: ['IST'], offsets: { IST: 330 } },
+      JST: { label: 'Japan Time', timeZone: 'Asia/Tokyo', names: ['JST'], offsets: { JST: 540 } },
+      AET: { label: 'Sydney Time', timeZone: 'Australia/Sydney', names: ['AET', 'AEST', 'AEDT'], offsets: { AEST: 600, AEDT: 660 } },
+      local: { label: 'my time zone', timeZone: undefined, names: [] } // Only to convert to
+    }
+  }
+};
+const DEFAULT_CONVERSION_DECIMALS = 1; // Digits after the decimal point of converted measurements
+const MAX_CONVERSION_DECIMALS = 4;     // Most digits a conversion can be set to
+
+// A number as pages write it: "1,500", "1,500.25", "26.2" or "2,5" (decimal comma)
+const CONVERSION_NUMBER = '(?:\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:[.,]\\d+)?)';
+// A number, optionally negative (a minus sign only after a space or "("), or
+// a range of two numbers: "-5", "10-20", "10 – 20"
+const CONVERSION_AMOUNT = `((?:(?<![^\\s(])[-−])?${CONVERSION_NUMBER})(?:\\s?[-–]\\s?(${CONVERSION_NUMBER}))?`;
+const CONVERSION_NOT_AFTER = '(?<![\\p{L}\\p{N}\\p{Sc}.,])'; // Not part of a longer number, word or price
+const CONVERSION_NOT_BEFORE = '(?![\\p{L}\\p{N}])';          // Not followed by more of a word or number
+
+/**
+ * Finds a conversion unit by its id.
+ *
+ * @param {string} id - The unit id, e.g. 'mi' or 'USD'
+ * @returns {{kind: string, unit: Object}|null}
+ */
+function findConversionUnit(id) {
+  for (const [kind, { units }] of Object.entries(CONVERSION_KINDS)) {
+    if (Object.prototype.hasOwnProperty.call(units, id)) {
+      return { kind, unit: units[id] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the regex alternatives for the names of a unit, longest first (so
+ * "US$" is tried before "$").
+ *
+ * @param {string[]} names - The unit's names
+ * @returns {string}
+ */
+function unitNamesPattern(names) {
+  const variants = new Set();
+  for (const name of names) {
+    variants.add(name);
+    if (name.length > 3) {
+      variants.add(name.toLowerCase());
+      variants.add(name[0].toUpperCase() + name.slice(1));
+      variants.add(name.toUpperCase());
+    }
+  }
+  return [...variants]
+    .sort((a, b) => b.length - a.length)
+    .map(name => escapeRegExp(name).replace(/ /g, '\\s'))
+    .join('|');
+}
+
+/**
+ * Reads a number as found by CONVERSION_NUMBER.
+ *
+ * @param {string} text - e.g. "1,500.25", "2,5" or "−5"
+ * @returns {number}
+ */
+function parseConversionNumber(text) {
+  const number = text.replace('−', '-');
+  // A comma followed by groups of three digits separates thousands; any other is a decimal comma
+  if (/^-?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/.test(number)) {
+    return Number(number.replace(/,/g, ''));
+  }
+  return Number(number.replace(',', '.'));
+}
+
+/**
+ * Compiles a rule's conversion settings: the regex that finds the numbers,
+ * and how to write them in the other unit.
+ *
+ * @param {Object} convert - The rule's "convert" settings (see UNIT CONVERSIONS)
+ * @returns {Object|null} - null if the settings can't be used
+ */
+function compileConversion(convert) {
+  const from = findConversionUnit(convert.from);
+  const to = findConversionUnit(convert.to);
+  if (!from || !to || from.kind !== to.kind || convert.from === convert.to || from.unit.names.length === 0) {
+    return null;
+  }
+  const names = unitNamesPattern(from.unit.names);
+  const keepOriginal = convert.keepOriginal === true;
+
+  if (from.kind === 'timeZone') {
+    // "3pm ET", "3:30 p.m. ET" or "15:30 UTC" (a bare "3 ET" isn't taken as a time)
+    const time = '(?:(1[0-2]|0?[1-9])(?::([0-5]\\d))?\\s?([aApP])\\.?[mM]\\.?|([01]?\\d|2[0-3]):([0-5]\\d))';
+    try {
+      return {
+        kind: from.kind,
+        regex: new RegExp(`(?<![\\p{N}:.])${time}\\s?(${names})${CONVERSION_NOT_BEFORE}`, 'gu'),
+        fromZone: from.unit.timeZone,
+        fromOffsets: from.unit.offsets || {},
+        toZone: to.unit.timeZone,
+        format: new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit', timeZone: to.unit.timeZone, timeZoneName: 'short' }),
+        keepOriginal
+      };
+    } catch (error) {
+      Logger.warn('Skipping conversion the browser cannot do:', convert.from, convert.to, error.message);
+      return null;
+    }
+  }
+
+  const decimals = Number.isInteger(convert.decimals) && convert.decimals >= 0 && convert.decimals <= MAX_CONVERSION_DECIMALS
+    ? convert.decimals
+    : null;
+  let value;
+  let formatOptions;
+  let regex;
+  if (from.kind === 'currency') {
+    if (!(typeof convert.rate === 'number' && Number.isFinite(convert.rate) && convert.rate > 0)) return null;
+    value = number => number * convert.rate;
+    formatOptions = { style: 'currency', currency: convert.to };
+    if (decimals !== null) {
+      formatOptions.minimumFractionDigits = decimals;
+      formatOptions.maximumFractionDigits = decimals;
+    }
+    // "$25", "USD 25", or "25 €", "25 euros"
+    const prefixed = `(?<![\\p{L}\\p{N}\\p{Sc}])(?:${names})\\s?${CONVERSION_AMOUNT}${CONVERSION_NOT_BEFORE}(?![.,]\\d)`;
+    const suffixed = `${CONVERSION_NOT_AFTER}${CONVERSION_AMOUNT}\\s?(?:${names})${CONVERSION_NOT_BEFORE}`;
+    regex = new RegExp(`${prefixed}|${suffixed}`, 'gu');
+  } else {
+    const offset = unit => unit.offset || 0;
+    value = number => (number * from.unit.factor + offset(from.unit) - offset(to.unit)) / to.unit.factor;
+    formatOptions = to.unit.unit ? { style: 'unit', unit: to.unit.unit, unitDisplay: 'short' } : {};
+    formatOptions.maximumFractionDigits = decimals === null ? DEFAULT_CONVERSION_DECIMALS : decimals;
+    regex = new RegExp(`${CONVERSION_NOT_AFTER}${CONVERSION_AMOUNT}\\s?(?:${names})${CONVERSION_NOT_BEFORE}`, 'gu');
+  }
+
+  return {
+    kind: from.kind,
+    regex,
+    value,
+    format: new Intl.NumberFormat(undefined, formatOptions),
+    symbol: to.unit.symbol || '', // Written after units Intl.NumberFormat doesn't know
+    keepOriginal
+  };
+}
+
+/**
+ * Finds the moment a wall-clock time in a time zone stands for, today.
+ *
+ * @param {string|undefined} timeZone - The IANA time zone (undefined: the browser's own)
+ * @param {number} hours - 0 to 23
+ * @param {number} minutes - 0 to 59
+ * @returns {{instant: number, wallClock: number}} - Both in milliseconds; the wall
+ *   clock time counted as if it were UTC, to tell later whether the day changed
+ */
+function zonedTimeToday(timeZone, hours, minutes) {
+  const today = zonedWallClock(timeZone, Date.now());
+  const day = new Date(today);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+  // Guess with the offset at the wall clock time, then correct it once for summer time changes
+  let instant = wallClock - (zonedWallClock(timeZone, wallClock) - wallClock);
+  instant = wallClock - (zonedWallClock(timeZone, instant) - instant);
+  return { instant, wallClock };
+}
+
+/**
+ * Finds the moment a wall-clock time at a fixed offset from UTC stands for, today.
+ *
+ * @param {number} offset - Minutes ahead of UTC (negative: behind)
+ * @param {number} hours - 0 to 23
+ * @param {number} minutes - 0 to 59
+ * @returns {{instant: number, wallClock: number}} - As zonedTimeToday()
+ */
+function offsetTimeToday(offset, hours, minutes) {
+  const day = new Date(Date.now() + offset * 60000);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+  return { instant: wallClock - offset * 60000, wallClock };
+}
+
+/**
+ * Returns the wall clock time in a time zone at a moment, counted as if it were UTC.
+ *
+ * @param {string|undefined} timeZone - The IANA time zone (undefined: the browser's own)
+ * @param {number} instant - The moment, in milliseconds
+ * @returns {number}
+ */
+function zonedWallClock(timeZone, instant) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  });
+  for (const part of format.formatToParts(instant)) {
+    parts[part.type] = Number(part.value);
+  }
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+/**
+ * Writes one match of a conversion rule in the other unit.
+ *
+ * @param {Object} conversion - From compileConversion()
+ * @param {string} match - The text found, e.g. "10-20 miles"
+ * @param {string[]} captures - The regex's capture groups
+ * @returns {string}
+ */
+function convertMatch(conversion, match, captures) {
+  let converted;
+  if (conversion.kind === 'timeZone') {
+    const [hour12, minutes12, meridiem, hour24, minutes24, zoneName] = captures;
+    const hours = hour24 !== undefined
+      ? Number(hour24)
+      : Number(hour12) % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    const minutes = Number(hour24 !== undefined ? minutes24 : minutes12 || 0);
+    const offset = conversion.fromOffsets[zoneName.toUpperCase()];
+    const { instant, wallClock } = offset === undefined
+      ? zonedTimeToday(conversion.fromZone, hours, minutes)
+      : offsetTimeToday(offset, hours, minutes);
+    converted = conversion.format.format(instant);
+    // Say so when the time falls on another day there
+    const days = Math.floor(zonedWallClock(conversion.toZone, instant) / 86400000) - Math.floor(wallClock / 86400000);
+    if (days !== 0) {
+      converted += days > 0 ? ' (next day)' : ' (previous day)';
+    }
+  } else {
+    // Prices match either "$25" (groups 1-2) or "25 €" (groups 3-4)
+    const first = captures[0] !== undefined ? captures[0] : captures[2];
+    const last = captures[0] !== undefined ? captures[1] : captures[3];
+    const start = conversion.value(parseConversionNumber(first));
+    if (last === undefined) {
+      converted = conversion.format.format(start) + conversion.symbol;
+    } else {
+      const end = conversion.value(parseConversionNumber(last));
+      // formatRange() needs Chrome 106; before that, both numbers are written in full
+      converted = start <= end && typeof conversion.format.formatRange === 'function'
+        ? conversion.format.formatRange(start, end) + conversion.symbol
+        : `${conversion.format.format(start)}–${conversion.format.format(end)}${conversion.symbol}`;
+    }
+  }
+  return conversion.keepOriginal ? `${converted} (${match})` : converted;
+}
+
+// The compiled rules (filled in by updateRegexes())
+let rulePasses = [];     // The rules in the order they run, see updateRegexes()
+let chainPasses = false; // True: later rules also match text written by earlier ones
+let markedRules = false; // True: some rule's matches need a marker element (see MASKING)
+
+/**
+ * Updates the internal rules based on settings loaded from storage.
+ * This is called whenever you change settings in the Manage page.
+ *
+ * The rules are compiled in the order they run (see sortRules in storage.js)
+ * into "passes". A regex rule (or conversion rule) is a pass of its own.
+ * Literal rules next to each other in the list that compare text the same way
+ * (Match Case, Ignore accents, Normalize) are merged into one pass (a single
+ * Regular Expression), so hundreds of rules still search the page just once
+ * (unless chaining is on, which is slower with many rules).
+ * Every rule also gets its "rank", its place in the list:
+ * when two rules match the same text, the lower rank wins.
+ *
+ * PERFORMANCE: Builds optimized lookup maps to avoid slow linear searches during replacement.
+ *
+ * @param {Object} wordMap - All rules (your own and subscribed ones)
+ * @param {Object[]} ruleGroups - The rule groups, in order (see storage.js)
+ * @param {URL|null} pageUrl - The page the rules will run on, or null to ignore
+ *   every site limit (used by the Rule Tester when no address is given)
+ * @param {boolean} [chain] - True to let later rules match text written by
+ *   earlier ones (the "Chain Replacements" setting)
+ */
+function updateRegexes(wordMap, ruleGroups, pageUrl, chain = false) {
+  const passes = [];
+  let needsMarkers = false;
+  let literalRun = null; // The literal rules of the pass being built
+  const appliesHere = (data) => !pageUrl || ruleAppliesToPage(data, pageUrl);
+
+  // Turns the literal rules collected so far into a pass
+  const endLiteralRun = () => {
+    if (!literalRun) return;
+    passes.push({
+      regex: buildRegex(literalRun.words, literalRun.caseSensitive),
+      caseSensitive: literalRun.caseSensitive,
+      folding: literalRun.folding,
+      rules: literalRun.rules
+    });
+    literalRun = null;
+  };
+
+  // Groups that are switched off, or limited to other sites, switch off their rules
+  const inactiveGroups = new Set(ruleGroups
+    .filter(group => group.enabled === false || !appliesHere(group))
+    .map(group => group.id));
+
+  sortRules(wordMap, ruleGroups).forEach(([word, data], rank) => {
+    // Only include rules that are explicitly enabled
+    if (data.enabled === false || inactiveGroups.has(data.group)) return;
+
+    // Rules scoped to other sites are never compiled on this page
+    if (!appliesHere(data)) return;
+
+    // Conversion rules find their numbers with a regex of their own (see UNIT CONVERSIONS)
+    if (data.convert) {
+      const conversion = compileConversion(data.convert);
+      if (conversion) {
+        endLiteralRun();
+        passes.push({ regex: conversion.regex, pattern: { key: word, conversion, mask: null } });
+      } else {
+        Logger.warn('Skipping invalid conversion rule:', word);
+      }
+      return;
+    }
+
+    const mask = maskSettings(data);
+    needsMarkers = needsMarkers || maskNeedsMarker(mask);
+
+    // Regex rules are compiled one by one and kept out of the literal lookup maps,
+    // because their matches can't be looked up by the matched text.
+    if (data.isRegex) {
+      const regex = buildPatternRegex(word, data);
+      if (regex) {
+        endLiteralRun();
+        passes.push({
+          regex,
+          pattern: {
+            key: word,
+            replacement: data.replacement,
+            template: compileTemplate(data.replacement),
+            mask,
+            preserveCase: Boolean(data.preserveCase && !data.caseSensitive)
+          }
+        });
+      }
+      return;
+    }
+
+    // With chaining, every rule needs a pass of its own, to see what the rules before it wrote
+    const caseSensitive = Boolean(data.caseSensitive);
+    const folding = textFolding(data);
+    const comparison = JSON.stringify([caseSensitive, folding]);
+    if (literalRun && (chain || literalRun.comparison !== comparison)) {
+      endLiteralRun();
+    }
+    if (!literalRun) {
+      literalRun = { caseSensitive, folding, comparison, words: [], rules: new Map() };
+    }
+
+    // The pass searches for the rule's text the way it compares the page text
+    const text = folding ? foldText(word, folding).text : word;
+    const boundaries = wordBoundaries(text, data.matchMode);
+    literalRun.words.push({ text, ...boundaries });
+
+    // Remember the rule's key too, so each replacement can be counted per rule
+    const rule = { ...data, key: word, rank, ...boundaries, mask, template: compileTemplate(data.replacement) };
+
+    // Build a lookup map from the text found to the rules that find it
+    // This allows O(1) lookup instead of O(n) iteration during replacement
+    // (case-insensitive rules are filed in lower case; several rules can find
+    // the same text, e.g. "cat" and "Cat", and the one listed first is used)
+    const lookupKey = caseSensitive ? text : text.toLowerCase();
+    if (!literalRun.rules.has(lookupKey)) {
+      literalRun.rules.set(lookupKey, []);
+    }
+    literalRun.rules.get(lookupKey).push(rule);
+  });
+  endLiteralRun();
+
+  rulePasses = passes;
+  chainPasses = Boolean(chain);
+  markedRules = needsMarkers;
+}
+
+/**
+ * Returns true if there is at least one active rule of any kind.
+ * Used to skip scanning the page entirely when there's nothing to do.
+ */
+function hasActiveRules() {
+  return rulePasses.length > 0;
+}
+
+/**
+ * Returns true if some active rule blurs, blacks out, or can reveal what it
+ * hides, so its matches need marker elements (see MASKING).
+ */
+function hasMarkedRules() {
+  return markedRules;
+}
+
+/**
+ * Returns a literal rule's replacement for a match (with its template filled
+ * in, or the stand-in text of a masking rule), copying the match's capitalization when the rule uses "preserve case"
+ * (case-insensitive rules only).
+ *
+ * @param {Object} rule - The active rule (from a pass's lookup map)
+ * @param {string} match - The text found on the page
+ * @returns {string}
+ */
+function caseAwareReplacement(rule, match) {
+  if (rule.mask) return maskText(rule.mask, match);
+  const replacement = rule.template ? renderTemplate(rule.template, { match, key: rule.key }) : rule.replacement;
+  if (rule.preserveCase && !rule.caseSensitive) {
+    return applyCasePattern(match, replacement);
+  }
+  return replacement;
+}
+
+/**
+ * Finds the literal (non-regex) rule that produced a match.
+ * PERFORMANCE: Uses O(1) hash map lookups instead of O(n) iteration!
+ *
+ * @param {Object} pass - The literal pass whose regex found the match
+ * @param {string} text - The text searched (folded, for passes that fold it)
+ * @param {number} start - Where the match starts in that text
+ * @param {number} end - Where the match ends in that text
+ * @returns {Object|null} - The active rule, or null if none fits
+ */
+function findLiteralRule(pass, text, start, end) {
+  const match = text.slice(start, end);
+  const rules = pass.rules.get(pass.caseSensitive ? match : match.toLowerCase());
+  if (!rules) return null;
+
+  // Only one rule finds this text, so it's the one the regex found
+  if (rules.length === 1) return rules[0];
+  return rules.find(rule => fitsWordBoundaries(rule, text, start, end)) || null;
+}
+
+/**
+ * Builds the replacement for one match of a regex-mode rule (or the stand-in
+ * text of a masking rule, or the converted number of a conversion rule).
+ *
+ * @param {Object} rule - The compiled rule (a pass's "pattern")
+ * @param {string} match - The full matched text
+ * @param {string[]} captures - The numbered capture groups
+ * @param {number} offset - Where the match starts in the input
+ * @param {string} input - The full text being searched
+ * @param {Object|undefined} groups - The named capture groups (if any)
+ * @returns {string}
+ */
+function patternReplacement(rule, match, captures, offset, input, groups) {
+  if (rule.mask) return maskText(rule.mask, match);
+  if (rule.conversion) return convertMatch(rule.conversion, match, captures);
+
+  // "$1" is only expanded in the template's plain text, so text found on the
+  // page can never be read as a template tag
+  const expandText = text => expandReplacement(text, match, captures, offset, input, groups);
+  const expanded = rule.template
+    ? renderTemplate(rule.template, { match, key: rule.key, expandText })
+    : expandText(rule.replacement);
+  return rule.preserveCase ? applyCasePattern(match, expanded) : expanded;
+}
+
+/**
+ * Returns where to search again, one character after a position.
+ * With the "u" flag, a regex can't start inside an emoji or another character
+ * written as two code units (it would go back to the character's start and
+ * find the same match forever), so those are stepped over whole.
+ *
+ * @param {string} text - The text being searched
+ * @param {number} index - The position of the character to step over
+ * @returns {number}
+ */
+function nextCharacterIndex(text, index) {
+  return index + (text.codePointAt(index) > 0xFFFF ? 2 : 1);
+}
+
+/**
+ * Finds where one pass matches in a piece of text, and adds the matches that
+ * don't overlap any match already in the list (found by an earlier pass).
+ *
+ * In a pass of literal rules, the rule listed first takes its text first: in
+ * "new york city", a rule "york city" listed above "new york" wins, even
+ * though "new york" starts earlier.
+ *
+ * @param {Object} pass - The compiled pass (see updateRegexes)
+ * @param {string} text - The text to search
+ * @param {Array} spans - The matches so far ({ start, end, replacement, key, mask }); added to
+ * @param {Function} checkTimeout - Throws 'Regex timeout' when the time is up
+ */
+function findPassMatches(pass, text, spans, checkTimeout) {
+  const overlapsExisting = (start, end) => spans.some(span => start < span.end && end > span.start);
+  const regex = pass.regex;
+  regex.lastIndex = 0;
+
+  if (pass.pattern) {
+    let found;
+    while ((found = regex.exec(text)) !== null) {
+      checkTimeout();
+
+      const start = found.index;
+      const end = start + found[0].length;
+
+      // Never "replace" an empty match (e.g. from "a*"), or the replacement
+      // would be inserted between every single character on the page.
+      if (found[0] === '' || overlapsExisting(start, end)) {
+        // Look again one character further, where the rule may still find a match of its own
+        regex.lastIndex = nextCharacterIndex(text, start);
+        continue;
+      }
+
+      const replacement = patternReplacement(pass.pattern, found[0], found.slice(1), start, text, found.groups);
+      spans.push({ start, end, replacement, key: pass.pattern.key, mask: pass.pattern.mask });
+    }
+    return;
+  }
+
+  // Literal rules: find the best rule at every place where one matches (also
+  // inside another match, by searching again one character further each time),
+  // then the rule listed first takes its text, then the next one, and so on.
+  // Passes with "Ignore accents" or "Normalize" search a rewritten copy of the
+  // text, and their matches are traced back to the original.
+  const folded = pass.folding ? foldText(text, pass.folding) : null;
+  const searched = folded ? folded.text : text;
+  const candidates = [];
+  let found;
+  while ((found = regex.exec(searched)) !== null) {
+    checkTimeout();
+    regex.lastIndex = nextCharacterIndex(searched, found.index);
+
+    const rule = findLiteralRule(pass, searched, found.index, found.index + found[0].length);
+    const start = folded ? folded.positions[found.index] : found.index;
+    const end = folded ? folded.positions[found.index + found[0].length] : found.index + found[0].length;
+    // Fallback (shouldn't happen if regex works correctly): leave the text alone.
+    // Also skip matches of half a character (like "f" in "ﬁ" with NFKC).
+    if (rule && start !== -1 && end !== -1) {
+      candidates.push({ start, end, match: text.slice(start, end), rule });
+    }
+  }
+
+  candidates.sort((a, b) => a.rule.rank - b.rule.rank || a.start - b.start);
+  for (const { start, end, match, rule } of candidates) {
+    if (!overlapsExisting(start, end)) {
+      spans.push({ start, end, replacement: caseAwareReplacement(rule, match), key: rule.key, mask: rule.mask });
+    }
+  }
+}
+
+/**
+ * Writes the replacements found in a piece of text.
+ *
+ * @param {string} text - The text
+ * @param {Array} spans - The matches, sorted by position (they never overlap)
+ * @param {number} pass - The pass number reported to onReplace
+ * @param {Function} onReplace - See replaceText()
+ * @returns {string}
+ */
+function applySpans(text, spans, pass, onReplace) {
+  let result = '';
+  let cursor = 0;
+  for (const span of spans) {
+    onReplace(span.key, { pass, start: span.start, end: span.end, replacement: span.replacement });
+    result += text.slice(cursor, span.start) + span.replacement;
+    cursor = span.end;
+  }
+  return result + text.slice(cursor);
+}
+
+/**
+ * Adds the matches of one chained pass to the matches of the passes before it.
+ * The pass searched the text as those passes left it, but the result is
+ * counted in the original text: a new match that covers (part of) an earlier
+ * replacement takes it over, and the two become one match of the original
+ * text, replaced by what the new pass wrote.
+ *
+ * @param {Array} spans - The matches so far, in the original text (see findMatches)
+ * @param {Array} found - The pass's matches, sorted by position, in the text it searched
+ * @param {string} text - The text the pass searched
+ * @returns {Array} - All matches, in the original text, sorted by position
+ */
+function chainSpans(spans, found, text) {
+  // Where each earlier replacement is in the text the pass searched
+  let shift = 0;
+  const placed = spans.map((span) => {
+    const start = span.start + shift;
+    shift += span.replacement.length - (span.end - span.start);
+    return { span, start, end: start + span.replacement.length };
+  });
+
+  // The original position of a place outside every earlier replacement
+  // (text deleted right there counts as before a start, and after an end)
+  const originalAt = (position, isEnd) => placed.reduce((result, { span, start, end }) =>
+    ((isEnd ? start < position : start <= position) && end <= position
+      ? result - span.replacement.length + (span.end - span.start)
+      : result), position);
+
+  const taken = new Set();
+  const chained = [];
+  for (const match of found) {
+    const covered = placed.filter(place => place.start < match.end && place.end > match.start);
+    covered.forEach(place => taken.add(place));
+    const first = covered.length > 0 && covered[0].start < match.start ? covered[0] : null;
+    const last = covered.length > 0 && covered[covered.length - 1].end > match.end ? covered[covered.length - 1] : null;
+    chained.push({
+      start: first ? first.span.start : originalAt(match.start, false),
+      end: last ? last.span.end : originalAt(match.end, true),
+      replacement: (first ? text.slice(first.start, match.start) : '') + match.replacement + (last ? text.slice(match.end, last.end) : ''),
+      key: match.key,
+      mask: match.mask,
+      keys: [...covered.flatMap(place => place.span.keys), match.key]
+    });
+  }
+
+  return placed.filter(place => !taken.has(place)).map(place => place.span)
+    .concat(chained)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Runs every active rule over a piece of text and returns the result.
+ * This function never touches the page; processNode() does that.
+ *
+ * Normally every rule looks at the original text, and where two matches
+ * overlap, the rule that comes first in the list wins (see findMatches), so a
+ * replacement is never replaced again. With "Chain Replacements" on, the
+ * passes run one after another, each over the result of the one before, so a
+ * later rule can match text written by an earlier one.
+ *
+ * SAFETY: Throws 'Regex timeout' if processing takes longer than REGEX_TIMEOUT_MS.
+ *
+ * @param {string} text - The original text
+ * @param {Function} [onReplace] - Called for every replacement made, with the rule
+ *   key and { pass, start, end, replacement }: the pass number (counting from 0,
+ *   always 0 without chaining), and where the match was in the text as it was
+ *   at the start of that pass
+ * @returns {string} - The text with all replacements applied
+ */
+function replaceText(text, onReplace = () => {}) {
+  if (!chainPasses) {
+    return applySpans(text, findMatches(text), 0, onReplace);
+  }
+
+  // Start timer to enforce timeout limit and prevent browser freezing
+  const startTime = performance.now();
+  const checkTimeout = () => {
+    // Timeout safety check: if we've been processing too long, abort!
+    // This prevents the extension from hanging the browser on pathological patterns.
+    if (performance.now() - startTime > REGEX_TIMEOUT_MS) {
+      throw new Error('Regex timeout'); // Will be caught by the caller
+    }
+  };
+
+  rulePasses.forEach((pass, passIndex) => {
+    const spans = [];
+    findPassMatches(pass, text, spans, checkTimeout);
+    text = applySpans(text, spans.sort((a, b) => a.start - b.start), passIndex, onReplace);
+  });
+
+  return text;
+}
+
+/**
+ * Finds where the active rules match in a piece of text, WITHOUT replacing anything.
+ * Every rule looks at the same (original) text. The passes are tried in the
+ * order the rules run, and a match that overlaps one found by an earlier pass
+ * (or by a rule listed earlier in the same pass) is dropped: the rule that
+ * comes first in the list wins.
+ *
+ * With "Chain Replacements" on, the passes run one after another like in
+ * replaceText(), and their matches are combined (see chainSpans), so writing
+ * the replacements gives the same text as replaceText(). A match can then be
+ * the work of several rules: "keys" lists all of them, in the order they ran.
+ *
+ * SAFETY: Throws 'Regex timeout' if searching takes longer than REGEX_TIMEOUT_MS.
+ *
+ * @param {string} text - The text to search
+ * @returns {Array<{start: number, end: number, replacement: string, key: string, mask: Object|null, keys?: string[]}>} -
+ *   Sorted by position (key and mask: of the rule that wrote the replacement,
+ *   see maskSettings() for the mask; keys: only with chaining)
+ */
+function findMatches(text) {
+  const startTime = performance.now();
+  let spans = [];
+
+  const checkTimeout = () => {
+    if (performance.now() - startTime > REGEX_TIMEOUT_MS) {
+      throw new Error('Regex timeout');
+    }
+  };
+
+  if (chainPasses) {
+    for (const pass of rulePasses) {
+      const found = [];
+      findPassMatches(pass, text, found, checkTimeout);
+      found.sort((a, b) => a.start - b.start);
+      spans = chainSpans(spans, found, text);
+      text = applySpans(text, found, 0, () => {});
+    }
+    return spans;
+  }
+
+  for (const pass of rulePasses) {
+    findPassMatches(pass, text, spans, checkTimeout);
+  }
+
+  return spans.sort((a, b) => a.start - b.start);
+}
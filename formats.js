@@ -0,0 +1,240 @@
+// formats.js
+// -----------------------------------------------------------------------------
+// File formats for importing and exporting rules, besides our own JSON backup:
+//
+//   - CSV / TSV: one rule per row, with a header row naming the columns
+//     (original, replacement, caseSensitive, enabled, ...). Works with every
+//     spreadsheet program.
+//   - Text: one rule per line, written as "old => new". Lines starting with
+//     "#" are comments.
+//
+// This file only turns text into rows and back. Checking the rules (length,
+// regex, quota, ...) is done by the Manage page, which loads this file.
+// -----------------------------------------------------------------------------
+
+const ARROW_SEPARATOR = '=>'; // Separates "old" and "new" in the text format
+
+// Spreadsheet programs run cells starting with one of "= + - @" as formulas,
+// and some skip a tab or carriage return in front of those first.
+// Exported cells like that get a "'" in front (shown as plain text), and
+// import takes exactly that one "'" off again. Cells that already start with
+// "'" and one of those characters get one more, so they come back unchanged;
+// any other "'" at the start of a cell ("'tis") is never touched.
+const FORMULA_CELL = /^'*[=+\-@\t\r]/;           // Needs the "'" on export
+const PROTECTED_FORMULA_CELL = /^'+[=+\-@\t\r]/; // Had the "'" added on export
+
+// The columns a rule is made of, in export order. "label" is shown when picking
+// columns on import; "aliases" are other header names accepted on import
+// (compared without case, spaces, dashes or underscores).
+const RULE_COLUMNS = [
+  { field: 'original', label: 'Original', aliases: ['from', 'find', 'old', 'source', 'term', 'word', 'pattern', 'originalstring', 'originaltext'] },
+  { field: 'replacement', label: 'Replacement', aliases: ['to', 'replace', 'replacewith', 'new', 'target', 'replacementstring', 'replacementtext'] },
+  { field: 'caseSensitive', label: 'Match Case', aliases: ['matchcase', 'case'] },
+  { field: 'enabled', label: 'Enabled', aliases: ['active', 'on'] },
+  { field: 'preserveCase', label: 'Keep Case', aliases: ['keepcase'] },
+  { field: 'isRegex', label: 'Regex', aliases: ['regex', 'regexp'] },
+  { field: 'flags', label: 'Regex Flags', aliases: ['regexflags'] },
+  { field: 'matchMode', label: 'Match', aliases: ['match', 'matchmode'] },
+  { field: 'ignoreAccents', label: 'Ignore Accents', aliases: ['accents', 'ignorediacritics'] },
+  { field: 'normalize', label: 'Unicode Normalization', aliases: ['normalization', 'unicodenormalization'] },
+  { field: 'action', label: 'Action', aliases: ['mask', 'hide'] },
+  { field: 'reveal', label: 'Click to Reveal', aliases: ['clicktoreveal'] },
+  { field: 'convert', label: 'Convert', aliases: ['conversion', 'units'] },
+  { field: 'rate', label: 'Exchange Rate', aliases: ['exchangerate'] },
+  { field: 'decimals', label: 'Decimals', aliases: ['digits'] },
+  { field: 'keepOriginal', label: 'Keep Original', aliases: ['keeporiginal'] },
+  { field: 'sites', label: 'Only on Sites', aliases: ['onlyonsites', 'site'] },
+  { field: 'group', label: 'Group', aliases: ['groupname', 'category'] },
+  { field: 'sync', label: 'Sync Across Devices', aliases: ['syncacrossdevices'] }
+];
+
+/**
+ * Splits CSV or TSV text into rows of cells.
+ * Follows the usual spreadsheet rules: a cell in double quotes may contain the
+ * delimiter, line breaks, and "" for a literal quote.
+ *
+ * @param {string} text - The file contents
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ * @returns {string[][]} - Rows of cells (blank lines are skipped)
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Spreadsheet programs often start UTF-8 files with an invisible "byte order mark"
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  // The last line may not end with a line break
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows
+    .filter(cells => cells.some(value => value.trim() !== ''))
+    .map(cells => cells.map(value => (PROTECTED_FORMULA_CELL.test(value) ? value.slice(1) : value)));
+}
+
+/**
+ * Turns rows of cells into CSV or TSV text.
+ * Cells are quoted only when needed, so simple files stay easy to read, and
+ * cells a spreadsheet would run as a formula are written as text.
+ *
+ * @param {string[][]} rows - Rows of cells
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ * @returns {string}
+ */
+function toDelimited(rows, delimiter) {
+  const quote = (value) => {
+    const text = FORMULA_CELL.test(String(value)) ? `'${value}` : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(cells => cells.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Reads the "old => new" text format.
+ *
+ * @param {string} text - The file contents
+ * @returns {Array} - One { line, cells, error? } per rule line (cells is [old, new])
+ */
+function parseArrowLines(text) {
+  const entries = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return; // Blank line or comment
+
+    const separator = line.indexOf(ARROW_SEPARATOR);
+    if (separator === -1) {
+      entries.push({ line: index + 1, cells: [trimmed], error: `Missing "${ARROW_SEPARATOR}"` });
+      return;
+    }
+    entries.push({
+      line: index + 1,
+      cells: [line.slice(0, separator).trim(), line.slice(separator + ARROW_SEPARATOR.length).trim()]
+    });
+  });
+  return entries;
+}
+
+/**
+ * Writes rules in the "old => new" text format.
+ * Rules whose text contains "=>" or a line break can't be written this way.
+ *
+ * @param {Object} wordMap - The rules to write
+ * @returns {{text: string, skipped: number}}
+ */
+function toArrowLines(wordMap) {
+  const lines = [];
+  let skipped = 0;
+  for (const [original, data] of Object.entries(wordMap)) {
+    const unsafe = (value) => value.includes(ARROW_SEPARATOR) || /[\r\n]/.test(value);
+    if (unsafe(original) || unsafe(data.replacement) || original !== original.trim()) {
+      skipped++;
+      continue;
+    }
+    lines.push(`${original} ${ARROW_SEPARATOR} ${data.replacement}`);
+  }
+  return { text: lines.join('\n') + '\n', skipped };
+}
+
+/**
+ * Guesses which rule field each column holds, from the header row.
+ *
+ * @param {string[]} headerCells - The first row of the file
+ * @returns {string[]} - A field name per column, or '' for "ignore this column"
+ */
+function guessColumnMapping(headerCells) {
+  const normalize = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+  const used = new Set();
+
+  return headerCells.map((cell) => {
+    const name = normalize(cell);
+    const column = RULE_COLUMNS.find(({ field, aliases }) =>
+      !used.has(field) && (normalize(field) === name || aliases.includes(name)));
+    if (!column) return '';
+    used.add(column.field);
+    return column.field;
+  });
+}
+
+/**
+ * Reads a yes/no cell. Empty cells use the default.
+ *
+ * @param {string} value - The cell
+ * @param {boolean} defaultValue - Used for empty cells
+ * @returns {boolean|null} - The value, or null if it isn't a yes/no word
+ */
+function parseBooleanCell(value, defaultValue) {
+  const text = String(value).trim().toLowerCase();
+  if (text === '') return defaultValue;
+  if (['true', 'yes', 'y', '1', 'on', 'x'].includes(text)) return true;
+  if (['false', 'no', 'n', '0', 'off'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Turns rules into rows for CSV/TSV export, starting with the header row.
+ *
+ * @param {Object} wordMap - The rules to write
+ * @param {Function} groupName - Returns the name of a group ID ('' for none)
+ * @returns {string[][]}
+ */
+function rulesToRows(wordMap, groupName) {
+  const rows = [RULE_COLUMNS.map(column => column.field)];
+  for (const [original, data] of Object.entries(wordMap)) {
+    rows.push([
+      original,
+      data.replacement,
+      String(Boolean(data.caseSensitive)),
+      String(data.enabled !== false),
+      String(Boolean(data.preserveCase)),
+      String(Boolean(data.isRegex)),
+      data.flags || '',
+      data.matchMode || 'word',
+      String(Boolean(data.ignoreAccents)),
+      data.normalize || '',
+      data.action || 'replace',
+      String(Boolean(data.reveal)),
+      data.convert ? `${data.convert.from}>${data.convert.to}` : '',
+      data.convert && data.convert.rate !== undefined ? String(data.convert.rate) : '',
+      data.convert && data.convert.decimals !== undefined ? String(data.convert.decimals) : '',
+      String(Boolean(data.convert && data.convert.keepOriginal)),
+      (data.sites || []).join(', '),
+      groupName(data.group),
+      String(Boolean(data.sync))
+    ]);
+  }
+  return rows;
+}
@@ -2,19 +2,26 @@
 // -----------------------------------------------------------------------------
 // This script handles the "Manage Replacements" page UI.
 // It allows users to Add, Remove, and Modify replacement rules.
-// All data is saved to 'chrome.storage.sync', which syncs across your
-// signed-in Chrome devices.
+// Settings are saved to 'chrome.storage.sync', which syncs across your
+// signed-in Chrome devices. Rules are saved through storage.js, either in
+// sync storage too (the default) or on this computer only.
 // -----------------------------------------------------------------------------
 
 // -----------------------------------------------------------------------------
 // CHROME STORAGE LIMITS
 // These limits are enforced by Google Chrome, not by this extension.
-// - SYNC_QUOTA_BYTES: Maximum total storage (100 KB for all your rules combined)
-// - QUOTA_BYTES_PER_ITEM: Maximum size for a single storage item (8 KB)
+// - SYNC_QUOTA_BYTES: Maximum total sync storage (100 KB for all synced rules and settings)
+// - QUOTA_BYTES_PER_ITEM: Maximum size for a single storage item (8 KB).
+//   Synced rules are split over several items, so this only limits a single rule.
+// - MAX_SYNC_ITEMS: Maximum number of items in sync storage
 // We check these limits before saving to give you helpful error messages.
+// Rules kept "on this computer only" (chrome.storage.local) have no such limits.
 // -----------------------------------------------------------------------------
 const SYNC_QUOTA_BYTES = chrome.storage.sync.QUOTA_BYTES || 102400; // 100 KB
 const QUOTA_BYTES_PER_ITEM = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192; // 8 KB
+const MAX_SYNC_ITEMS = chrome.storage.sync.MAX_ITEMS || 512;
+const SYNC_SETTINGS_RESERVE_BYTES = 8192; // Kept free for the other settings (sites, attributes, ...)
+const SYNC_SETTINGS_RESERVE_ITEMS = 16;   // Items kept free for the other settings
 
 // -----------------------------------------------------------------------------
 // SAFETY LIMITS
@@ -23,14 +30,175 @@ const QUOTA_BYTES_PER_ITEM = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192; /
 // - MAX_PATTERN_LENGTH: Prevents extremely long patterns that could cause regex issues
 // These are reasonable limits that 99% of users will never hit.
 // -----------------------------------------------------------------------------
-const MAX_RULES = 255; // Maximum number of replacement rules allowed
+const MAX_RULES = 10000; // Maximum number of replacement rules allowed
 const MAX_PATTERN_LENGTH = 255; // Maximum length for original text or replacement text
 
+// -----------------------------------------------------------------------------
+// MATCHING
+// How a normal (non-regex) rule finds its text, in any language (see WORDS IN
+// EVERY LANGUAGE in engine.js). The first choice is the default and isn't stored.
+// -----------------------------------------------------------------------------
+const MATCH_MODES = {     // Rule "matchMode" -> label in the rule's Options
+    word: 'Whole words only',
+    substring: 'Anywhere, also inside words',
+    start: 'At the start of words',
+    end: 'At the end of words'
+};
+const NORMALIZE_FORMS = { // Rule "normalize" -> label in the rule's Options
+    '': 'Off',
+    NFC: 'NFC: "é" however it is typed',
+    NFKC: 'NFKC: also "ﬁ", "Ａ", "²" as "fi", "A", "2"'
+};
+
+// -----------------------------------------------------------------------------
+// MASKING
+// Rules that hide what they find instead of replacing it (see MASKING in
+// engine.js), and ready-made patterns for common private information.
+// -----------------------------------------------------------------------------
+const RULE_ACTION_LABELS = { // Rule "action" (MASK_ACTIONS in storage.js) -> label ('replace' isn't stored)
+    replace: 'Replace',
+    bullets: 'Hide as •••••',
+    redact: 'Hide as [REDACTED]',
+    blur: 'Blur',
+    blackout: 'Black box'
+};
+const MASK_PRESETS = {    // Added as regex rules by "Hide Private Information"
+    email: { label: 'Email addresses', pattern: '[\\w.%+-]+@[\\w-]+(?:\\.[\\w-]+)+' },
+    // 9 or more digits, optionally with a "+country" code, "(area)" and separators
+    phone: { label: 'Phone numbers', pattern: '(?<![\\w+])(?=(?:[ .()+-]*\\d){9})(?:\\+\\d{1,3}[ .-]?)?(?:\\(\\d{1,4}\\)[ .-]?)?\\d{2,4}(?:[ .-]?\\d{2,4}){1,4}(?![\\w-])' },
+    // 13 to 19 digits, optionally in groups separated by spaces or dashes
+    card: { label: 'Card numbers', pattern: '\\b(?:\\d[ -]?){12,18}\\d\\b' }
+};
+
+// -----------------------------------------------------------------------------
+// UNIT CONVERSIONS
+// Rules that rewrite numbers with units in other units (see UNIT CONVERSIONS
+// in engine.js, which also lists the units).
+// -----------------------------------------------------------------------------
+const MAX_CONVERSION_RATE = 1e9; // Largest exchange rate accepted
+const CONVERSION_SETTINGS = ['rate', 'decimals', 'keepOriginal']; // Rule Options stored in "convert"
+const CONVERSION_LOCKED_REASON = 'Conversions find numbers with units by themselves';
+
+// -----------------------------------------------------------------------------
+// SITE FILTERS
+// Site patterns decide where the extension (or a single rule) runs.
+// Examples: "example.com", "*.example.com", "example.com/blog/*"
+// -----------------------------------------------------------------------------
+const MAX_SITE_PATTERNS = 100; // Maximum number of patterns in one site list
+
+// -----------------------------------------------------------------------------
+// RULE GROUPS
+// Named sets of rules that can be switched on/off together (see storage.js).
+// -----------------------------------------------------------------------------
+const MAX_RULE_GROUPS = 50;       // Maximum number of groups
+const MAX_GROUP_NAME_LENGTH = 50; // Maximum length of a group name
+const GROUP_FILTER_ALL = 'all';   // Group filter choice: show every rule
+const GROUP_FILTER_NONE = 'none'; // Group filter choice (and row marker): rules without a group
+
+// -----------------------------------------------------------------------------
+// SUBSCRIPTIONS
+// Rule lists downloaded from a web address (see storage.js and background.js).
+// -----------------------------------------------------------------------------
+const MAX_SUBSCRIPTIONS = 20;            // Maximum number of subscribed lists
+const MAX_LISTED_SUBSCRIBED_RULES = 500; // Rules shown per subscription (the rest are counted)
+
+// -----------------------------------------------------------------------------
+// UNDO & HISTORY
+// Changes to your rules made on this page can be undone, and every change is
+// kept in a history (in chrome.storage.local) to restore older rules from.
+// -----------------------------------------------------------------------------
+const HISTORY_KEY = 'ruleHistory';  // In chrome.storage.local: [{ time, description, rules }], newest first
+const MAX_HISTORY_ENTRIES = 50;     // Older changes are dropped from the history
+const MAX_UNDO_STEPS = 50;          // Changes that can be undone in a row
+const MAX_DESCRIBED_KEY_LENGTH = 40; // Longer rules are shortened in change descriptions
+
+// -----------------------------------------------------------------------------
+// BACKUPS
+// Copies of your rules and settings (see BACKUPS in storage.js).
+// -----------------------------------------------------------------------------
+const BACKUP_REASONS = {                 // How each backup was made, as shown in the list
+    daily: 'Daily',
+    change: 'After changes',
+    manual: 'Made by hand',
+    restore: 'Before a restore'
+};
+const BACKUP_SETTING_LABELS = {          // Keep in sync with BACKED_UP_SETTINGS in storage.js
+    extensionEnabled: 'Master Switch',
+    siteFilter: 'Sites',
+    attributeSettings: 'Attributes & Page Title',
+    matchAcrossElements: 'Match Across Formatting',
+    chainReplacements: 'Chain Replacements',
+    highlightSettings: 'Highlight Replacements',
+    ruleGroups: 'Groups',
+    ruleSubscriptions: 'Subscriptions'
+};
+const MAX_LISTED_BACKUP_CHANGES = 200;   // Differences listed by "Compare" (the rest are counted)
+
+// -----------------------------------------------------------------------------
+// ATTRIBUTE REPLACEMENT
+// Which attributes the content script may rewrite when attribute replacement
+// is switched on. Attributes that control behavior (links, scripts, styles,
+// form values) are never allowed, because changing them could break websites.
+// -----------------------------------------------------------------------------
+// Keep in sync with DEFAULT_REPLACED_ATTRIBUTES in content.js
+const DEFAULT_REPLACED_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label'];
+const UNSAFE_ATTRIBUTES = new Set([
+    'href', 'src', 'srcset', 'action', 'formaction', 'style', 'class', 'id',
+    'name', 'value', 'type', 'for', 'content', 'http-equiv', 'xlink:href'
+]);
+
+// -----------------------------------------------------------------------------
+// HIGHLIGHTING
+// Optional markers around replaced text on pages (see HIGHLIGHTING in content.js).
+// -----------------------------------------------------------------------------
+const DEFAULT_HIGHLIGHT_COLOR = '#ffd54f'; // Keep in sync with DEFAULT_HIGHLIGHT_COLOR in content.js
+
 // -----------------------------------------------------------------------------
 // UI CONSTANTS
 // These control the behavior of user interface elements.
 // -----------------------------------------------------------------------------
 const STATUS_DISPLAY_DURATION_MS = 3000; // How long to show status messages (3 seconds)
+const STATUS_ACTION_DURATION_MS = 8000;  // Messages with a button (like "Undo") stay longer
+const IMPORT_PREVIEW_ROWS = 50;          // Rows shown in the import preview table
+const MAX_LISTED_IMPORT_ERRORS = 200;    // Skipped rows listed by number (the rest are counted)
+const TABLE_IMPORT_FORMATS = ['csv', 'tsv', 'txt']; // File extensions read by formats.js
+const QUICK_ADD_PARAM = 'quickAdd';      // Address parameter holding the right-clicked text
+const QUICK_ADD_CLOSE_DELAY_MS = 1200;   // Time to read "Replacement added." before the window closes
+const TESTER_DELAY_MS = 150;             // Wait for typing (or several storage writes) to stop before re-running the Rule Tester
+const MAX_LISTED_TESTER_MATCHES = 200;   // Replacements listed under the Rule Tester (the rest are counted)
+
+// Where rules are kept on this computer ('sync' or 'local', see storage.js)
+let ruleStorageMode = 'sync';
+
+// Named rule groups, in order (loaded together with the rules)
+let ruleGroups = [];
+
+// The file shown in the Import Preview box (null when closed)
+let pendingImport = null;
+
+// Subscribed rule lists, in order
+let subscriptions = [];
+
+// True when this page was opened from the right-click menu (see QUICK ADD)
+let quickAddMode = false;
+
+// The rules the Rule Tester runs: your own and subscribed ones, and the groups
+let testerRules = { wordMap: {}, groups: [], chain: false };
+
+// Changes made on this page, for Undo and Redo: [{ description, before, after }], newest last
+let undoStack = [];
+let redoStack = [];
+let undoRunning = false; // True while an undo or redo is being saved
+
+// History entries waiting to be written (see addHistoryEntry), and whether a write is running
+let historyQueue = [];
+let historyWriting = false;
+
+// Hides the current status message (each new message starts its own)
+let statusTimeout = null;
+
+// The rule whose drag handle is being dragged in the rules table (see moveRule)
+let draggedRule = null;
 
 // -----------------------------------------------------------------------------
 // LOGGING UTILITY
@@ -46,49 +214,246 @@ const Logger = {
 };
 
 /**
- * Estimates the storage size (in bytes) of the wordMap object.
+ * Estimates the sync storage size (in bytes) the synced rules will take.
  * Chrome storage counts JSON-serialized size, so we stringify to measure.
  *
  * @param {Object} wordMap - The replacement rules object
- * @returns {number} - Estimated size in bytes
+ * @param {string} mode - Where rules are kept: 'sync' or 'local'
+ * @returns {{bytes: number, items: number}} - Estimated size and number of sync items
  */
-function estimateStorageSize(wordMap) {
+function estimateStorageSize(wordMap, mode) {
     // Chrome stores data as JSON, so we need to measure the JSON string length.
     // Each character in a JS string is approximately 1 byte in UTF-8 for ASCII,
-    // but can be up to 4 bytes for special characters. We use a conservative estimate.
-    const jsonString = JSON.stringify({ wordMap });
-    return new Blob([jsonString]).size; // Accurate byte size
+    // but can be up to 4 bytes for special characters, so we count real bytes.
+    const shards = splitIntoShards(partitionRules(wordMap, mode).syncRules);
+    const bytes = shards.reduce((total, shard, index) => total + (RULE_SHARD_PREFIX + index).length + getStoredSize(shard), 0);
+    return { bytes, items: shards.length };
 }
 
 /**
  * Checks if adding/updating a rule would exceed Chrome's storage limits.
+ * Only rules kept in sync storage count; rules kept on this computer are unlimited.
  * Returns an error message if limits would be exceeded, or null if OK.
  *
  * @param {Object} wordMap - The proposed wordMap to save
+ * @param {string} mode - Where rules are kept: 'sync' or 'local'
  * @returns {string|null} - Error message or null if valid
  */
-function validateStorageQuota(wordMap) {
-    const estimatedSize = estimateStorageSize(wordMap);
+function validateStorageQuota(wordMap, mode = ruleStorageMode) {
+    const hint = mode === 'local'
+        ? 'Turn off "Sync across devices" for some rules, or remove some rules.'
+        : 'Switch Rule Storage to "This computer only", or remove some rules.';
+
+    // Check per-item limit (less common, but can happen with very long replacement texts)
+    const { syncRules } = partitionRules(wordMap, mode);
+    for (const [key, data] of Object.entries(syncRules)) {
+        if (getStoredSize({ [key]: data }) > RULE_SHARD_MAX_BYTES) {
+            return `The rule for "${key}" is too large. Google Chrome limits individual storage items to 8 KB.`;
+        }
+    }
 
     // Check total storage limit (Google Chrome's limit, not ours!)
-    if (estimatedSize > SYNC_QUOTA_BYTES) {
-        const usedKB = (estimatedSize / 1024).toFixed(1);
-        const maxKB = (SYNC_QUOTA_BYTES / 1024).toFixed(0);
-        return `Storage full! You're using ${usedKB} KB of Google Chrome's ${maxKB} KB limit. Please remove some rules to free up space.`;
+    const { bytes, items } = estimateStorageSize(wordMap, mode);
+    const maxBytes = SYNC_QUOTA_BYTES - SYNC_SETTINGS_RESERVE_BYTES;
+    if (bytes > maxBytes || items > MAX_SYNC_ITEMS - SYNC_SETTINGS_RESERVE_ITEMS) {
+        const usedKB = (bytes / 1024).toFixed(1);
+        const maxKB = (maxBytes / 1024).toFixed(0);
+        return `Sync storage full! Synced rules would use ${usedKB} KB of the ${maxKB} KB available. ${hint}`;
     }
 
-    // Check per-item limit (less common, but can happen with very long replacement texts)
-    if (estimatedSize > QUOTA_BYTES_PER_ITEM) {
-        return `This rule is too large. Google Chrome limits individual storage items to 8 KB.`;
+    return null; // All good!
+}
+
+/**
+ * Checks the {{...}} tags of a replacement template (see REPLACEMENT TEMPLATES
+ * in engine.js). Replacements without "{{" are plain text and always fine.
+ *
+ * @param {string} replacement - The replacement text
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateReplacementTemplate(replacement) {
+    if (!replacement.includes('{{')) return null;
+    const { error } = parseTemplate(replacement);
+    return error ? `Replacement template: ${error}` : null;
+}
+
+/**
+ * Checks a conversion rule's settings before saving.
+ * Returns an error message if they can't be used, or null if OK.
+ *
+ * @param {Object} convert - { from, to, rate?, decimals?, keepOriginal? }
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateConversion(convert) {
+    const from = findConversionUnit(convert.from);
+    const to = findConversionUnit(convert.to);
+    if (!from || from.unit.names.length === 0) {
+        return `"${convert.from}" is not a unit that can be converted`;
     }
+    if (!to) {
+        return `"${convert.to}" is not a unit to convert to`;
+    }
+    if (from.kind !== to.kind) {
+        return `Can't convert ${from.unit.label} to ${to.unit.label}`;
+    }
+    if (convert.from === convert.to) {
+        return 'Choose two different units to convert between';
+    }
+    if (from.kind === 'currency') {
+        if (typeof convert.rate !== 'number' || !(convert.rate > 0 && convert.rate <= MAX_CONVERSION_RATE)) {
+            return `Exchange rate must be a number above 0 (1 ${convert.from} = ? ${convert.to})`;
+        }
+    } else if ('rate' in convert) {
+        return 'Only currencies have an exchange rate';
+    }
+    if ('decimals' in convert && !(Number.isInteger(convert.decimals) && convert.decimals >= 0 && convert.decimals <= MAX_CONVERSION_DECIMALS)) {
+        return `Decimals must be a whole number from 0 to ${MAX_CONVERSION_DECIMALS}`;
+    }
+    if ('keepOriginal' in convert && typeof convert.keepOriginal !== 'boolean') {
+        return 'Keep original must be true or false';
+    }
+    return null;
+}
+
+/**
+ * Splits user-entered site patterns (one per line, or comma-separated)
+ * into a clean list without blanks or duplicates.
+ *
+ * @param {string} text - Raw text from a textarea or input
+ * @returns {string[]}
+ */
+function parseSitePatterns(text) {
+    const patterns = text.split(/[\n,]/)
+        .map(pattern => pattern.trim().toLowerCase())
+        .filter(pattern => pattern.length > 0);
+    return [...new Set(patterns)];
+}
+
+/**
+ * Checks a list of site patterns before saving.
+ * Returns an error message if the list is unusable, or null if OK.
+ *
+ * @param {string[]} patterns - The parsed site patterns
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateSitePatterns(patterns) {
+    if (patterns.length > MAX_SITE_PATTERNS) {
+        return `Too many sites! Maximum ${MAX_SITE_PATTERNS} patterns allowed.`;
+    }
+
+    for (const pattern of patterns) {
+        if (/\s/.test(pattern)) {
+            return `Site pattern "${pattern}" cannot contain spaces.`;
+        }
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            return `Site pattern too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`;
+        }
+    }
+
+    return null; // All good!
+}
 
+/**
+ * Checks a list of attribute names before saving.
+ * Returns an error message if any name is unsafe or invalid, or null if OK.
+ *
+ * @param {string[]} names - Lowercase attribute names
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateAttributeNames(names) {
+    for (const name of names) {
+        if (!/^[a-z][a-z0-9_:-]*$/.test(name)) {
+            return `"${name}" is not a valid attribute name.`;
+        }
+        // Event handlers (onclick, onload, ...) run code, so they're never touched
+        if (name.startsWith('on') || UNSAFE_ATTRIBUTES.has(name)) {
+            return `The "${name}" attribute can't be replaced, because changing it could break websites.`;
+        }
+    }
     return null; // All good!
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Opened from the right-click menu? Show only the add form
+    startQuickAdd();
+
     // Load saved settings when the page starts
     loadSettings();
     loadWordMap();
+    loadSubscriptions();
+    loadTesterRules();
+    loadHistory();
+    loadBackups();
+
+    // Subscriptions are downloaded in the background; show their status as it changes
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (isSubscriptionChange(changes, area)) {
+            loadSubscriptions();
+        }
+    });
+
+    // Re-run the Rule Tester whenever the rules, the groups, chaining or subscribed rules change
+    // (a single save can write several storage items, so wait for the last one)
+    let testerReloadTimeout;
+    chrome.storage.onChanged.addListener((changes, area) => {
+        const groupsChanged = area === 'sync' && (RULE_GROUPS_KEY in changes || 'chainReplacements' in changes);
+        if (groupsChanged || isRuleStorageChange(changes, area) || isSubscriptionChange(changes, area)) {
+            clearTimeout(testerReloadTimeout);
+            testerReloadTimeout = setTimeout(loadTesterRules, TESTER_DELAY_MS);
+        }
+    });
+
+    // The history can also change in another tab
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && HISTORY_KEY in changes) {
+            renderHistory(changes[HISTORY_KEY].newValue || []);
+        }
+    });
+
+    // Backups are made in the background; show them as they appear
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && (BACKUPS_KEY in changes || BACKUP_SETTINGS_KEY in changes)) {
+            loadBackups();
+        }
+    });
+
+    // Listen for the Backups box
+    document.getElementById('backupNowBtn').addEventListener('click', () => {
+        backUpNow();
+    });
+    document.getElementById('backupKeep').addEventListener('change', () => {
+        saveBackupsKept();
+    });
+    document.getElementById('backupDiffCloseBtn').addEventListener('click', () => {
+        document.getElementById('backupDiff').hidden = true;
+    });
+
+    // Listen for the Undo, Redo and Clear History buttons
+    document.getElementById('undoBtn').addEventListener('click', () => {
+        undoRuleChange();
+    });
+    document.getElementById('redoBtn').addEventListener('click', () => {
+        redoRuleChange();
+    });
+    document.getElementById('clearHistoryBtn').addEventListener('click', () => {
+        clearHistory();
+    });
+
+    // Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes rule changes,
+    // except while typing, where they undo the typing as usual
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest && (e.target.closest('input, textarea, select') || e.target.isContentEditable)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoRuleChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoRuleChange();
+        }
+    });
 
     // Listen for the "Add Rule" form submission
     document.getElementById('addReplacementForm').addEventListener('submit', (event) => {
@@ -96,11 +461,105 @@ document.addEventListener('DOMContentLoaded', () => {
         addReplacement();
     });
 
+    // "Keep Case" can't be combined with "Match Case" in the add form
+    document.getElementById('newCaseSensitive').addEventListener('change', (e) => {
+        document.getElementById('newPreserveCase').disabled = e.target.checked;
+        updateTemplatePreview();
+    });
+
+    // Show what a replacement template writes (or what's wrong with it) while typing
+    ['newOriginal', 'newReplacement'].forEach((id) => {
+        document.getElementById(id).addEventListener('input', updateTemplatePreview);
+    });
+    ['newPreserveCase', 'newIsRegex'].forEach((id) => {
+        document.getElementById(id).addEventListener('change', updateTemplatePreview);
+    });
+
     // Listen for the Master Switch toggle
     document.getElementById('masterSwitch').addEventListener('change', (e) => {
         updateMasterSwitch(e.target.checked);
     });
 
+    // Listen for the Match Across Formatting toggle (saved immediately, like the master switch)
+    document.getElementById('matchAcrossElements').addEventListener('change', (e) => {
+        updateMatchAcrossElements(e.target.checked);
+    });
+
+    // Listen for the Chain Replacements toggle (saved immediately)
+    document.getElementById('chainReplacements').addEventListener('change', (e) => {
+        updateChainReplacements(e.target.checked);
+    });
+
+    // Listen for the Highlight switch and color (saved immediately)
+    document.getElementById('highlightEnabled').addEventListener('change', () => {
+        saveHighlightSettings();
+    });
+    document.getElementById('highlightColor').addEventListener('change', () => {
+        saveHighlightSettings();
+    });
+
+    // Fill in the Hide Private Information choices, and listen for its Add button
+    fillChoiceOptions(document.getElementById('maskPreset'),
+        Object.fromEntries(Object.entries(MASK_PRESETS).map(([name, preset]) => [name, preset.label])));
+    fillChoiceOptions(document.getElementById('maskAction'), ruleActionChoices(MASK_ACTIONS));
+    document.getElementById('addMaskPresetBtn').addEventListener('click', () => {
+        addMaskPreset();
+    });
+
+    // Fill in the Unit Conversions choices; the units depend on what is converted
+    fillChoiceOptions(document.getElementById('conversionKind'),
+        Object.fromEntries(Object.entries(CONVERSION_KINDS).map(([kind, { label }]) => [kind, label])));
+    fillConversionUnits();
+    document.getElementById('conversionKind').addEventListener('change', () => {
+        fillConversionUnits();
+    });
+    document.getElementById('addConversionBtn').addEventListener('click', () => {
+        addConversion();
+    });
+
+    // Listen for the Rule Storage choice (moves all rules right away)
+    document.getElementById('ruleStorageMode').addEventListener('change', (e) => {
+        updateRuleStorageMode(e.target.value === 'local' ? 'local' : 'sync');
+    });
+
+    // Listen for the Add Group button (and Enter in the group name box)
+    document.getElementById('addGroupBtn').addEventListener('click', () => {
+        addRuleGroup();
+    });
+    document.getElementById('newGroupName').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            addRuleGroup();
+        }
+    });
+
+    // Listen for the Subscribe and Refresh All buttons (and Enter in the address box)
+    document.getElementById('addSubscriptionBtn').addEventListener('click', () => {
+        addSubscription();
+    });
+    document.getElementById('newSubscriptionUrl').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            addSubscription();
+        }
+    });
+    document.getElementById('refreshSubscriptionsBtn').addEventListener('click', () => {
+        refreshSubscriptionsNow(null);
+    });
+
+    // Listen for the group filter next to the search box
+    document.getElementById('groupFilter').addEventListener('change', () => {
+        filterRules(document.getElementById('searchBox').value);
+    });
+
+    // Listen for the Site Filter save button
+    document.getElementById('saveSiteFilterBtn').addEventListener('click', () => {
+        saveSiteFilter();
+    });
+
+    // Listen for the Attributes & Page Title save button
+    document.getElementById('saveAttributeSettingsBtn').addEventListener('click', () => {
+        saveAttributeSettings();
+    });
+
     // Listen for Export button click
     document.getElementById('exportBtn').addEventListener('click', () => {
         exportRules();
@@ -116,6 +575,39 @@ document.addEventListener('DOMContentLoaded', () => {
         importRules(e.target.files[0]);
     });
 
+    // Import Preview box
+    document.getElementById('importHasHeader').addEventListener('change', (e) => {
+        if (!pendingImport) return;
+        pendingImport.hasHeader = e.target.checked;
+        renderImportPreview();
+    });
+    document.getElementById('importMode').addEventListener('change', (e) => {
+        if (!pendingImport) return;
+        pendingImport.mode = e.target.value === 'replace' ? 'replace' : 'merge';
+        renderImportPreview();
+    });
+    document.getElementById('importKeepMineBtn').addEventListener('click', () => {
+        setAllImportChoices('mine');
+    });
+    document.getElementById('importTakeTheirsBtn').addEventListener('click', () => {
+        setAllImportChoices('theirs');
+    });
+    document.getElementById('importConfirmBtn').addEventListener('click', () => {
+        commitImport();
+    });
+    document.getElementById('importCancelBtn').addEventListener('click', () => {
+        closeImportPreview();
+    });
+
+    // Listen for typing in the Rule Tester (re-run once typing stops)
+    let testerTimeout;
+    ['testerInput', 'testerUrl'].forEach((id) => {
+        document.getElementById(id).addEventListener('input', () => {
+            clearTimeout(testerTimeout);
+            testerTimeout = setTimeout(compileTesterRules, TESTER_DELAY_MS);
+        });
+    });
+
     // Listen for search box input (with debouncing for better performance)
     let searchTimeout;
     document.getElementById('searchBox').addEventListener('input', (e) => {
@@ -127,10 +619,10 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 /**
- * Loads the Global On/Off state from storage.
+ * Loads the Global On/Off state, the site filter, attribute, matching, chaining and highlight settings from storage.
  */
 function loadSettings() {
-    chrome.storage.sync.get('extensionEnabled', (data) => {
+    chrome.storage.sync.get(['extensionEnabled', 'siteFilter', 'attributeSettings', 'matchAcrossElements', 'chainReplacements', 'highlightSettings'], (data) => {
         // Error handling: Check if the Chrome API call failed
         if (chrome.runtime.lastError) {
             Logger.error('Failed to load settings:', chrome.runtime.lastError);
@@ -141,6 +633,136 @@ function loadSettings() {
         // Default to TRUE if the setting doesn't exist yet
         const isEnabled = data.extensionEnabled !== false;
         document.getElementById('masterSwitch').checked = isEnabled;
+
+        // Default to "run everywhere" (an empty blocklist)
+        const siteFilter = data.siteFilter || { mode: 'block', patterns: [] };
+        document.getElementById('siteFilterMode').value = siteFilter.mode;
+        document.getElementById('siteFilterPatterns').value = siteFilter.patterns.join('\n');
+
+        // Attribute replacement is off by default
+        const attributeSettings = {
+            enabled: false,
+            attributes: DEFAULT_REPLACED_ATTRIBUTES,
+            includeTitle: true,
+            ...data.attributeSettings
+        };
+        document.getElementById('attributesEnabled').checked = attributeSettings.enabled;
+        document.getElementById('attributeNames').value = attributeSettings.attributes.join(', ');
+        document.getElementById('attributesIncludeTitle').checked = attributeSettings.includeTitle;
+
+        // Matching across formatting is off by default
+        document.getElementById('matchAcrossElements').checked = data.matchAcrossElements === true;
+
+        // Chaining is off by default: a replacement is never replaced again
+        document.getElementById('chainReplacements').checked = data.chainReplacements === true;
+
+        // Highlighting is off by default
+        const highlightSettings = { enabled: false, color: DEFAULT_HIGHLIGHT_COLOR, ...data.highlightSettings };
+        document.getElementById('highlightEnabled').checked = highlightSettings.enabled;
+        document.getElementById('highlightColor').value = highlightSettings.color;
+    });
+}
+
+/**
+ * Moves all rules to sync storage or to this computer only.
+ *
+ * @param {string} mode - 'sync' or 'local'
+ */
+function updateRuleStorageMode(mode) {
+    const select = document.getElementById('ruleStorageMode');
+
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to load rules for storage change:', loadError);
+            showStatus('Error loading rules. Storage not changed.', true);
+            select.value = ruleStorageMode;
+            return;
+        }
+
+        // Moving everything into sync storage must fit Chrome's limits
+        const quotaError = validateStorageQuota(wordMap, mode);
+        if (quotaError) {
+            showStatus(quotaError, true);
+            select.value = ruleStorageMode;
+            return;
+        }
+
+        setRuleStorageMode(mode, (error) => {
+            if (error) {
+                Logger.error('Failed to change rule storage:', error);
+                showStatus('Error moving rules. Storage not changed.', true);
+                select.value = ruleStorageMode;
+                return;
+            }
+
+            ruleStorageMode = mode;
+            Logger.debug('Rule storage changed:', mode);
+            showStatus(mode === 'local' ? 'Rules are now kept on this computer.' : 'Rules now sync across your devices.');
+            loadWordMap(); // Per-rule "Sync across devices" options depend on the mode
+        });
+    });
+}
+
+/**
+ * Saves the Attributes & Page Title settings.
+ */
+function saveAttributeSettings() {
+    const enabled = document.getElementById('attributesEnabled').checked;
+    const includeTitle = document.getElementById('attributesIncludeTitle').checked;
+    const attributes = [...new Set(
+        document.getElementById('attributeNames').value
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name.length > 0)
+    )];
+
+    const attributeError = validateAttributeNames(attributes);
+    if (attributeError) {
+        showStatus(attributeError, true);
+        return;
+    }
+
+    chrome.storage.sync.set({ attributeSettings: { enabled, attributes, includeTitle } }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save attribute settings:', chrome.runtime.lastError);
+            showStatus('Error saving attribute settings.', true);
+        } else {
+            document.getElementById('attributeNames').value = attributes.join(', ');
+            showStatus(enabled ? 'Attribute replacement enabled.' : 'Attribute replacement disabled.');
+            Logger.debug('Attribute settings updated:', enabled, attributes, includeTitle);
+        }
+    });
+}
+
+/**
+ * Saves the global site allowlist/blocklist.
+ */
+function saveSiteFilter() {
+    const mode = document.getElementById('siteFilterMode').value === 'allow' ? 'allow' : 'block';
+    const patterns = parseSitePatterns(document.getElementById('siteFilterPatterns').value);
+
+    const patternError = validateSitePatterns(patterns);
+    if (patternError) {
+        showStatus(patternError, true);
+        return;
+    }
+
+    // An empty allowlist would silently switch the extension off everywhere
+    if (mode === 'allow' && patterns.length === 0) {
+        showStatus('Add at least one site to run on, or switch to "Run everywhere except".', true);
+        return;
+    }
+
+    chrome.storage.sync.set({ siteFilter: { mode, patterns } }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save site filter:', chrome.runtime.lastError);
+            showStatus('Error saving sites.', true);
+        } else {
+            // Show the cleaned-up list (duplicates and blank lines removed)
+            document.getElementById('siteFilterPatterns').value = patterns.join('\n');
+            showStatus('Sites saved.');
+            Logger.debug('Site filter updated:', mode, patterns);
+        }
     });
 }
 
@@ -160,579 +782,3725 @@ function updateMasterSwitch(isEnabled) {
 }
 
 /**
- * Loads all replacement rules from storage and builds the UI table.
+ * Saves the "Match Across Formatting" setting.
+ *
+ * @param {boolean} isEnabled - True to also match text split by inline elements
  */
-function loadWordMap() {
-    chrome.storage.sync.get('wordMap', (data) => {
-        // Error handling: Check if the Chrome API call failed
+function updateMatchAcrossElements(isEnabled) {
+    chrome.storage.sync.set({ matchAcrossElements: isEnabled }, () => {
         if (chrome.runtime.lastError) {
-            Logger.error('Failed to load word map:', chrome.runtime.lastError);
-            showStatus('Error loading rules. Please refresh the page.', true);
-            return;
+            Logger.error('Failed to save matching setting:', chrome.runtime.lastError);
+            showStatus('Error saving setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Matching across formatting enabled.' : 'Matching across formatting disabled.');
+            Logger.debug('Match across elements updated:', isEnabled);
         }
-
-        const wordMap = data.wordMap || {};
-        const replacementList = document.getElementById('replacementList');
-        replacementList.innerHTML = ''; // Clear existing table
-
-        // Sort and create a row for each rule
-        Object.keys(wordMap).forEach(originalText => {
-            const data = wordMap[originalText];
-            // Handle cases where older versions might not have 'enabled' property
-            const enabled = data.enabled !== false;
-            addRowToTable(originalText, data.replacement, data.caseSensitive, enabled);
-        });
     });
 }
 
 /**
- * Helper function to create a fancy Toggle Slider element.
+ * Saves the "Chain Replacements" setting.
  *
- * @param {boolean} checked - Initial checked state
- * @param {Function} changeCallback - Callback when toggle changes
- * @param {string} ariaLabel - Accessibility label for the toggle
+ * @param {boolean} isEnabled - True to let later rules match text written by earlier ones
  */
-function createToggle(checked, changeCallback, ariaLabel = '') {
-    const label = document.createElement('label');
-    label.className = 'toggle-switch';
-    if (ariaLabel) {
-        label.setAttribute('aria-label', ariaLabel);
-    }
+function updateChainReplacements(isEnabled) {
+    chrome.storage.sync.set({ chainReplacements: isEnabled }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save chaining setting:', chrome.runtime.lastError);
+            showStatus('Error saving setting.', true);
+        } else {
+            showStatus(isEnabled ? 'Chained replacements enabled.' : 'Chained replacements disabled.');
+            Logger.debug('Chain replacements updated:', isEnabled);
+        }
+    });
+}
 
-    const input = document.createElement('input');
-    input.type = 'checkbox';
-    input.checked = checked;
-    if (ariaLabel) {
-        input.setAttribute('aria-label', ariaLabel);
-    }
-    // When clicked, run the provided callback function
-    input.addEventListener('change', (e) => changeCallback(e.target.checked));
+/**
+ * Saves the highlight switch and color (both are saved together, right away).
+ */
+function saveHighlightSettings() {
+    const color = document.getElementById('highlightColor').value;
+    const highlightSettings = {
+        enabled: document.getElementById('highlightEnabled').checked,
+        color: /^#[0-9a-f]{6}$/i.test(color) ? color.toLowerCase() : DEFAULT_HIGHLIGHT_COLOR
+    };
 
-    const slider = document.createElement('span');
-    slider.className = 'slider';
-    slider.setAttribute('aria-hidden', 'true'); // Hide decorative slider from screen readers
-
-    label.appendChild(input);
-    label.appendChild(slider);
-    return label;
+    chrome.storage.sync.set({ highlightSettings }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save highlight settings:', chrome.runtime.lastError);
+            showStatus('Error saving setting.', true);
+        } else {
+            showStatus(highlightSettings.enabled ? 'Highlighting enabled.' : 'Highlighting disabled.');
+            Logger.debug('Highlight settings updated:', highlightSettings);
+        }
+    });
 }
 
+// -----------------------------------------------------------------------------
+// RULE GROUPS
+// Groups are kept in chrome.storage.sync as an ordered list (see storage.js).
+// Rules point at their group by ID, so renaming a group never touches rules.
+// -----------------------------------------------------------------------------
+
 /**
- * Creates a single table row (tr) for a replacement rule.
+ * Finds a group by its ID.
+ *
+ * @param {string} groupId - The group's ID (a rule's "group" field)
+ * @returns {Object|undefined} - The group, or undefined for "no group"
  */
-function addRowToTable(originalText, replacement, caseSensitive, enabled) {
-    const replacementList = document.getElementById('replacementList');
-    const row = document.createElement('tr');
-
-    // Create Cells
-    const originalTextCell = document.createElement('td');
-    const replacementTextCell = document.createElement('td');
-    const caseSensitiveCell = document.createElement('td');
-    const enabledCell = document.createElement('td');
-    const removeCell = document.createElement('td');
-
-    // 1. Original Text Input (Editable)
-    const originalTextInput = document.createElement('input');
-    originalTextInput.type = 'text';
-    originalTextInput.value = originalText;
-    originalTextInput.setAttribute('aria-label', `Original text: ${originalText}`);
-    // Update storage when text changes
-    originalTextInput.addEventListener('change', () => updateReplacement(originalText, 'originalText', originalTextInput.value));
-
-    // 2. Replacement Text Input (Editable)
-    const replacementTextInput = document.createElement('input');
-    replacementTextInput.type = 'text';
-    replacementTextInput.value = replacement;
-    replacementTextInput.setAttribute('aria-label', `Replacement text for "${originalText}": ${replacement}`);
-    // Update storage when text changes
-    replacementTextInput.addEventListener('change', () => updateReplacement(originalText, 'replacement', replacementTextInput.value));
-
-    // 3. Match Case Toggle
-    const caseToggle = createToggle(
-        caseSensitive,
-        (checked) => {
-            updateReplacement(originalText, 'caseSensitive', checked);
-        },
-        `Case-sensitive matching for "${originalText}"`
-    );
-
-    // 4. Enabled/Disabled Toggle
-    const enabledToggle = createToggle(
-        enabled,
-        (checked) => {
-            updateReplacement(originalText, 'enabled', checked);
-            // Visual feedback: fade out disabled rows
-            row.style.opacity = checked ? '1' : '0.5';
-        },
-        `Enable or disable rule for "${originalText}"`
-    );
-
-    // Set initial visual state
-    row.style.opacity = enabled ? '1' : '0.5';
+function findRuleGroup(groupId) {
+    return groupId ? ruleGroups.find(group => group.id === groupId) : undefined;
+}
 
-    // 5. Remove Button
-    const removeButton = document.createElement('button');
-    removeButton.textContent = 'Remove';
-    removeButton.className = 'btn-remove';
-    removeButton.setAttribute('aria-label', `Remove replacement rule for "${originalText}"`);
-    removeButton.addEventListener('click', () => removeReplacement(originalText));
+/**
+ * Creates a short ID for a new group.
+ * IDs never change, so a group can be renamed without updating its rules.
+ *
+ * @returns {string}
+ */
+function createGroupId() {
+    return `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
 
-    // Assemble the row structure
-    // We use .appendChild to securely add elements to the DOM
-    originalTextCell.appendChild(originalTextInput);
-    replacementTextCell.appendChild(replacementTextInput);
+/**
+ * Checks a group name. Returns an error message, or null if OK.
+ *
+ * @param {string} name - The proposed name (already trimmed)
+ * @param {string|null} groupId - The group being renamed, or null for a new group
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateGroupName(name, groupId) {
+    if (!name) {
+        return 'Group name cannot be empty!';
+    }
+    if (name.length > MAX_GROUP_NAME_LENGTH) {
+        return `Group name too long! Maximum ${MAX_GROUP_NAME_LENGTH} characters allowed.`;
+    }
+    if (ruleGroups.some(group => group.id !== groupId && group.name.toLowerCase() === name.toLowerCase())) {
+        return 'A group with this name already exists.';
+    }
+    return null;
+}
 
-    caseSensitiveCell.appendChild(caseToggle);
-    caseSensitiveCell.style.textAlign = 'center';
+/**
+ * Saves the list of groups, then rebuilds the page (group names appear in the
+ * table, the filter and the add form). On failure, the rebuild reverts the UI.
+ *
+ * @param {Object[]} groups - The groups, in order
+ * @param {string} [successMessage] - Status shown once saved
+ */
+function saveRuleGroups(groups, successMessage) {
+    chrome.storage.sync.set({ [RULE_GROUPS_KEY]: groups }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save groups:', chrome.runtime.lastError);
+            showStatus('Error saving groups.', true);
+        } else {
+            Logger.debug('Groups updated:', groups);
+            if (successMessage) {
+                showStatus(successMessage);
+            }
+        }
+        loadWordMap();
+    });
+}
 
-    enabledCell.appendChild(enabledToggle);
-    enabledCell.style.textAlign = 'center';
+/**
+ * Adds a new, enabled group at the end of the list.
+ */
+function addRuleGroup() {
+    const input = document.getElementById('newGroupName');
+    const name = input.value.trim();
 
-    removeCell.appendChild(removeButton);
-    removeCell.style.textAlign = 'right';
+    const nameError = validateGroupName(name, null);
+    if (nameError) {
+        showStatus(nameError, true);
+        return;
+    }
 
-    row.appendChild(originalTextCell);
-    row.appendChild(replacementTextCell);
-    row.appendChild(caseSensitiveCell);
-    row.appendChild(enabledCell);
-    row.appendChild(removeCell);
+    if (ruleGroups.length >= MAX_RULE_GROUPS) {
+        showStatus(`Maximum ${MAX_RULE_GROUPS} groups allowed.`, true);
+        return;
+    }
 
-    // Add to table
-    replacementList.appendChild(row);
+    input.value = '';
+    saveRuleGroups([...ruleGroups, { id: createGroupId(), name, enabled: true }], `Group "${name}" added.`);
 }
 
 /**
- * Updates a specific field of an existing rule in storage.
+ * Updates a single setting of a group (name, enabled or sites).
+ *
+ * @param {string} groupId - The group to change
+ * @param {string} field - 'name', 'enabled' or 'sites'
+ * @param {*} newValue - The new value
  */
-function updateReplacement(originalText, field, newValue) {
-    // VALIDATION: Prevent empty original text (would match nothing - user error)
-    // Note: We allow empty replacement text (valid use case: delete the original)
-    if (field === 'originalText' && typeof newValue === 'string') {
-        if (!newValue || !newValue.trim()) {
-            showStatus('Original text cannot be empty!', true);
-            loadWordMap(); // Reset UI to previous valid state
+function updateRuleGroup(groupId, field, newValue) {
+    if (field === 'name') {
+        const nameError = validateGroupName(newValue, groupId);
+        if (nameError) {
+            showStatus(nameError, true);
+            renderRuleGroups(); // Reset UI to previous valid state
             return;
         }
     }
 
-    // SAFETY CHECK: Validate pattern length when editing text fields
-    // This prevents users from accidentally creating overly long patterns
-    if ((field === 'originalText' || field === 'replacement') && typeof newValue === 'string') {
-        if (newValue.length > MAX_PATTERN_LENGTH) {
-            showStatus(`Text too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`, true);
-            loadWordMap(); // Reset UI to previous valid state
+    if (field === 'sites') {
+        const patternError = validateSitePatterns(newValue);
+        if (patternError) {
+            showStatus(patternError, true);
+            renderRuleGroups(); // Reset UI to previous valid state
             return;
         }
     }
 
-    chrome.storage.sync.get('wordMap', (data) => {
-        // Error handling: Check if the Chrome API call failed
-        if (chrome.runtime.lastError) {
-            Logger.error('Failed to get word map for update:', chrome.runtime.lastError);
-            showStatus('Error loading data. Changes not saved.', true);
-            loadWordMap(); // Revert UI to previous state
-            return;
+    const groups = ruleGroups.map(group => {
+        if (group.id !== groupId) return group;
+        const updated = { ...group, [field]: newValue };
+        // An empty scope means "everywhere", so don't store it at all
+        if (field === 'sites' && newValue.length === 0) {
+            delete updated.sites;
         }
+        return updated;
+    });
 
-        const wordMap = data.wordMap || {};
-        if (!wordMap[originalText]) return;
+    const message = field === 'enabled' ? (newValue ? 'Group enabled.' : 'Group disabled.') : 'Saved.';
+    saveRuleGroups(groups, message);
+}
 
-        const originalData = wordMap[originalText];
+/**
+ * Moves a group up or down the list. Earlier groups come first in the
+ * table, and their rules run first on the page.
+ *
+ * @param {string} groupId - The group to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveRuleGroup(groupId, offset) {
+    const index = ruleGroups.findIndex(group => group.id === groupId);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= ruleGroups.length) return;
 
-        // Special handling for renaming the key (Original Text)
-        if (field === 'originalText') {
-            // Prevent overwriting existing keys or creating invalid ones
-            if (!newValue) {
-                loadWordMap(); // Reset UI to previous valid state
-                showStatus('Original text cannot be empty.', true);
-                return;
-            }
+    const groups = [...ruleGroups];
+    [groups[index], groups[target]] = [groups[target], groups[index]];
+    saveRuleGroups(groups);
+}
 
-            // Check if newValue already exists (and isn't just a case change of the same key)
-            if (wordMap[newValue] && newValue !== originalText) {
-                loadWordMap(); // Reset UI to previous valid state
-                showStatus('A rule with this original text already exists.', true);
-                return;
+/**
+ * Removes a group. Its rules are kept, without a group.
+ *
+ * @param {string} groupId - The group to remove
+ */
+function removeRuleGroup(groupId) {
+    const group = findRuleGroup(groupId);
+    if (!group) return;
+
+    if (!confirm(`Remove the group "${group.name}"?\n\nIts rules are kept, without a group.`)) {
+        return;
+    }
+
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for group removal:', loadError);
+            showStatus('Error loading data. Group not removed.', true);
+            return;
+        }
+
+        const before = cloneRules(wordMap);
+        for (const data of Object.values(wordMap)) {
+            if (data.group === groupId) {
+                delete data.group;
             }
+        }
 
-            // EDGE CASE: Prevent renames that only differ in case (cat → CAT)
-            // This can cause confusion with case-insensitive matching rules
-            // For example, if you have "cat" (case-insensitive) and rename it to "Cat",
-            // it would still match "CAT" or "cat", making the rename pointless
-            if (newValue.toLowerCase() !== originalText.toLowerCase()) {
-                // This is a real rename (not just case change), allow it
-                delete wordMap[originalText];
-                wordMap[newValue] = originalData;
-            } else if (newValue === originalText) {
-                // Exact same value, no change needed (user probably just re-focused the field)
-                return;
-            } else {
-                // Case-only change detected (cat → Cat, cat → CAT, etc.)
-                loadWordMap(); // Reset UI to previous valid state
-                showStatus('Cannot rename to only differ in case (e.g., "cat" to "Cat"). Create a new rule instead.', true);
+        // Rules first: if this fails, the group still exists and nothing is lost
+        saveRuleChange(before, wordMap, `Removed group "${group.name}"`, (error) => {
+            if (error) {
+                Logger.error('Failed to ungroup rules:', error);
+                showStatus('Error removing group.', true);
                 return;
             }
-        } else {
-            // Normal update
-            wordMap[originalText][field] = newValue;
-        }
+            saveRuleGroups(ruleGroups.filter(other => other.id !== groupId), `Group "${group.name}" removed.`);
+        });
+    });
+}
 
-        // IMPORTANT: Validate storage quota BEFORE attempting to save.
-        // This check protects against exceeding Chrome's limits when editing rules.
-        const quotaError = validateStorageQuota(wordMap);
-        if (quotaError) {
-            showStatus(quotaError, true);
-            loadWordMap(); // Revert UI to previous valid state
+/**
+ * Fills a <select> with the groups, after some fixed choices.
+ * The previous choice is kept if it still exists.
+ *
+ * @param {HTMLSelectElement} select - The drop-down to fill
+ * @param {Array} fixedOptions - [value, label] pairs shown before the groups
+ */
+function fillGroupOptions(select, fixedOptions) {
+    const previous = select.value;
+    select.textContent = '';
+
+    for (const [value, label] of [...fixedOptions, ...ruleGroups.map(group => [group.id, group.name])]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+
+    select.value = previous;
+    if (select.value !== previous) {
+        select.selectedIndex = 0;
+    }
+}
+
+/**
+ * Creates one of the small buttons of a group (move up/down, remove).
+ *
+ * @param {string} text - Button text
+ * @param {string} ariaLabel - Accessibility label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createGroupButton(text, ariaLabel, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.className = 'btn-remove';
+    button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Builds the list of groups in the Groups box, and the group drop-downs.
+ */
+function renderRuleGroups() {
+    const list = document.getElementById('ruleGroupList');
+    list.textContent = ''; // Clear existing entries
+
+    ruleGroups.forEach((group, index) => {
+        const item = document.createElement('li');
+        item.className = 'group-item';
+        item.style.opacity = group.enabled !== false ? '1' : '0.5';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'group-name';
+        nameInput.value = group.name;
+        nameInput.maxLength = MAX_GROUP_NAME_LENGTH;
+        nameInput.setAttribute('aria-label', `Name of the group "${group.name}"`);
+        nameInput.addEventListener('change', () => updateRuleGroup(group.id, 'name', nameInput.value.trim()));
+
+        const sitesInput = document.createElement('input');
+        sitesInput.type = 'text';
+        sitesInput.value = (group.sites || []).join(', ');
+        sitesInput.placeholder = 'All sites (or e.g. example.com, *.wiki.org)';
+        sitesInput.setAttribute('aria-label', `Sites where the group "${group.name}" applies`);
+        sitesInput.addEventListener('change', () => updateRuleGroup(group.id, 'sites', parseSitePatterns(sitesInput.value)));
+
+        const enabledToggle = createToggle(
+            group.enabled !== false,
+            (checked) => updateRuleGroup(group.id, 'enabled', checked),
+            `Enable or disable all rules in the group "${group.name}"`
+        );
+
+        const upButton = createGroupButton('↑', `Move the group "${group.name}" up`, () => moveRuleGroup(group.id, -1));
+        upButton.disabled = index === 0;
+        const downButton = createGroupButton('↓', `Move the group "${group.name}" down`, () => moveRuleGroup(group.id, 1));
+        downButton.disabled = index === ruleGroups.length - 1;
+        const removeButton = createGroupButton('Remove', `Remove the group "${group.name}"`, () => removeRuleGroup(group.id));
+
+        item.appendChild(nameInput);
+        item.appendChild(sitesInput);
+        item.appendChild(enabledToggle);
+        item.appendChild(upButton);
+        item.appendChild(downButton);
+        item.appendChild(removeButton);
+        list.appendChild(item);
+    });
+
+    fillGroupOptions(document.getElementById('newGroup'), [['', 'No group']]);
+    fillGroupOptions(document.getElementById('groupFilter'), [[GROUP_FILTER_ALL, 'All groups'], [GROUP_FILTER_NONE, 'No group']]);
+}
+
+// -----------------------------------------------------------------------------
+// SUBSCRIPTIONS
+// Rule lists published at a web address (see storage.js). The list of
+// subscriptions is kept in chrome.storage.sync; the background service worker
+// downloads them and keeps their rules and status in chrome.storage.local.
+// Subscribed rules are read-only here: they are only listed, never edited.
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates a short ID for a new subscription.
+ *
+ * @returns {string}
+ */
+function createSubscriptionId() {
+    return `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Checks the address of a new subscription. Returns an error message, or null if OK.
+ *
+ * @param {string} url - The address typed by the user (already trimmed)
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateSubscriptionUrl(url) {
+    if (!url) {
+        return 'Please enter the address of a rule list.';
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'This is not a valid address (it should start with https://).';
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        return 'Only http:// and https:// addresses can be subscribed to.';
+    }
+    if (subscriptions.some(subscription => subscription.url === parsed.href)) {
+        return 'You are already subscribed to this list.';
+    }
+    return null;
+}
+
+/**
+ * Loads the subscriptions and their download status, then shows them.
+ */
+function loadSubscriptions() {
+    chrome.storage.sync.get(SUBSCRIPTIONS_KEY, (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to load subscriptions:', chrome.runtime.lastError);
+            showStatus('Error loading subscriptions.', true);
             return;
         }
 
-        // Save back to storage
-        chrome.storage.sync.set({ wordMap }, () => {
+        chrome.storage.local.get(SUBSCRIPTION_DATA_KEY, (localData) => {
             if (chrome.runtime.lastError) {
-                Logger.error('Failed to save replacement update:', chrome.runtime.lastError);
-                showStatus('Error saving changes.', true);
-                loadWordMap(); // Revert on failure
-            } else {
-                Logger.debug('Word map updated successfully');
-                // Don't show "Saved" toast for every keystroke, mostly for buttons
-                if (field !== 'originalText' && field !== 'replacement') {
-                    // Logic for toggles
-                } else {
-                    showStatus('Saved.');
-                }
+                Logger.error('Failed to load subscribed rules:', chrome.runtime.lastError);
+                showStatus('Error loading subscriptions.', true);
+                return;
             }
+
+            subscriptions = data[SUBSCRIPTIONS_KEY] || [];
+            renderSubscriptions(localData[SUBSCRIPTION_DATA_KEY] || {});
         });
     });
 }
 
 /**
- * Adds a brand new replacement rule.
+ * Saves the list of subscriptions. The background service worker notices the
+ * change and downloads new subscriptions by itself.
+ *
+ * @param {Object[]} list - The subscriptions, in order
+ * @param {string} [successMessage] - Status shown once saved
+ */
+function saveSubscriptions(list, successMessage) {
+    chrome.storage.sync.set({ [SUBSCRIPTIONS_KEY]: list }, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to save subscriptions:', chrome.runtime.lastError);
+            showStatus('Error saving subscriptions.', true);
+        } else {
+            Logger.debug('Subscriptions updated:', list);
+            if (successMessage) {
+                showStatus(successMessage);
+            }
+        }
+        loadSubscriptions();
+    });
+}
+
+/**
+ * Subscribes to the rule list typed in the Subscriptions box.
+ */
+function addSubscription() {
+    const input = document.getElementById('newSubscriptionUrl');
+    const url = input.value.trim();
+
+    const urlError = validateSubscriptionUrl(url);
+    if (urlError) {
+        showStatus(urlError, true);
+        return;
+    }
+
+    if (subscriptions.length >= MAX_SUBSCRIPTIONS) {
+        showStatus(`Maximum ${MAX_SUBSCRIPTIONS} subscriptions allowed.`, true);
+        return;
+    }
+
+    input.value = '';
+    const subscription = { id: createSubscriptionId(), url: new URL(url).href, enabled: true };
+    saveSubscriptions([...subscriptions, subscription], 'Subscribed. Downloading the rules…');
+}
+
+/**
+ * Switches a subscription on or off. Switched-off subscriptions keep their
+ * downloaded rules, but don't apply them and aren't refreshed.
+ *
+ * @param {string} subscriptionId - The subscription to change
+ * @param {boolean} enabled - True to switch on
+ */
+function updateSubscriptionEnabled(subscriptionId, enabled) {
+    const list = subscriptions.map(subscription =>
+        subscription.id === subscriptionId ? { ...subscription, enabled } : subscription);
+    saveSubscriptions(list, enabled ? 'Subscription enabled.' : 'Subscription disabled.');
+}
+
+/**
+ * Unsubscribes from a rule list. Its rules stop applying right away.
+ *
+ * @param {string} subscriptionId - The subscription to remove
+ */
+function removeSubscription(subscriptionId) {
+    const subscription = subscriptions.find(candidate => candidate.id === subscriptionId);
+    if (!subscription) return;
+
+    if (!confirm(`Unsubscribe from ${subscription.url}?\n\nIts rules will no longer be applied.`)) {
+        return;
+    }
+
+    saveSubscriptions(subscriptions.filter(other => other.id !== subscriptionId), 'Unsubscribed.');
+}
+
+/**
+ * Asks the background service worker to download subscriptions now.
+ *
+ * @param {string[]|null} ids - The subscriptions to refresh, or null for all switched-on ones
+ */
+function refreshSubscriptionsNow(ids) {
+    showStatus('Downloading…');
+    chrome.runtime.sendMessage({ type: 'refreshSubscriptions', ids }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            Logger.error('Failed to refresh subscriptions:', chrome.runtime.lastError);
+            showStatus('Error refreshing subscriptions.', true);
+            return;
+        }
+        // Errors of single lists are shown next to them
+        showStatus('Subscriptions refreshed.');
+        loadSubscriptions();
+    });
+}
+
+/**
+ * Describes the download status of a subscription in one line.
+ *
+ * @param {Object|undefined} data - The subscription's downloaded rules and status
+ * @returns {string}
+ */
+function describeSubscriptionStatus(data) {
+    if (!data) {
+        return 'Not downloaded yet.';
+    }
+
+    const parts = [];
+    if (data.lastUpdated) {
+        const count = Object.keys(data.rules || {}).length;
+        parts.push(`${count} rules, updated ${new Date(data.lastUpdated).toLocaleString()}`);
+        if (data.skipped) {
+            parts.push(`${data.skipped} invalid rules skipped`);
+        }
+    }
+    if (data.error) {
+        parts.push(`Last download failed (${new Date(data.lastChecked).toLocaleString()}): ${data.error}`);
+    }
+    return parts.join(' · ') + '.';
+}
+
+/**
+ * Builds the list in the Subscriptions box, each with its status and its
+ * (read-only) rules.
+ *
+ * @param {Object} subscriptionData - Downloaded rules and status, by subscription ID
+ */
+function renderSubscriptions(subscriptionData) {
+    const list = document.getElementById('subscriptionList');
+    list.textContent = ''; // Clear existing entries
+
+    for (const subscription of subscriptions) {
+        const data = subscriptionData[subscription.id];
+        const item = document.createElement('li');
+        item.className = 'subscription-item';
+        item.style.opacity = subscription.enabled !== false ? '1' : '0.5';
+
+        const header = document.createElement('div');
+        header.className = 'group-item';
+
+        const url = document.createElement('span');
+        url.className = 'subscription-url';
+        url.textContent = subscription.url;
+        url.title = subscription.url;
+
+        const enabledToggle = createToggle(
+            subscription.enabled !== false,
+            (checked) => updateSubscriptionEnabled(subscription.id, checked),
+            `Apply the rules of ${subscription.url}`
+        );
+        const refreshButton = createGroupButton('Refresh', `Download ${subscription.url} now`,
+            () => refreshSubscriptionsNow([subscription.id]));
+        const removeButton = createGroupButton('Remove', `Unsubscribe from ${subscription.url}`,
+            () => removeSubscription(subscription.id));
+
+        header.appendChild(url);
+        header.appendChild(enabledToggle);
+        header.appendChild(refreshButton);
+        header.appendChild(removeButton);
+
+        const status = document.createElement('p');
+        status.className = data && data.error ? 'settings-hint subscription-error' : 'settings-hint';
+        status.textContent = describeSubscriptionStatus(data);
+
+        item.appendChild(header);
+        item.appendChild(status);
+
+        // The rules themselves, folded away (they can only be changed by whoever publishes the list)
+        const rules = Object.entries((data && data.rules) || {});
+        if (rules.length > 0) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = 'Show rules (read-only)';
+            details.appendChild(summary);
+
+            const ruleList = document.createElement('ul');
+            ruleList.className = 'subscription-rules';
+            for (const [original, rule] of rules.slice(0, MAX_LISTED_SUBSCRIBED_RULES)) {
+                const ruleItem = document.createElement('li');
+                ruleItem.textContent = `${original} → ${rule.replacement}`;
+                ruleList.appendChild(ruleItem);
+            }
+            if (rules.length > MAX_LISTED_SUBSCRIBED_RULES) {
+                const more = document.createElement('li');
+                more.textContent = `…and ${rules.length - MAX_LISTED_SUBSCRIBED_RULES} more.`;
+                ruleList.appendChild(more);
+            }
+            details.appendChild(ruleList);
+            item.appendChild(details);
+        }
+
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Loads all replacement rules from storage and builds the UI table.
+ *
+ * @param {Function} [onLoaded] - Called once the table is built
+ */
+function loadWordMap(onLoaded) {
+    getRuleStorageMode((mode) => {
+        ruleStorageMode = mode;
+        document.getElementById('ruleStorageMode').value = mode;
+
+        chrome.storage.sync.get(RULE_GROUPS_KEY, (data) => {
+            if (chrome.runtime.lastError) {
+                Logger.error('Failed to load groups:', chrome.runtime.lastError);
+                showStatus('Error loading rules. Please refresh the page.', true);
+                return;
+            }
+
+            ruleGroups = data[RULE_GROUPS_KEY] || [];
+            renderRuleGroups();
+
+            loadRules((wordMap, error) => {
+                // Error handling: Check if the Chrome API call failed
+                if (error) {
+                    Logger.error('Failed to load word map:', error);
+                    showStatus('Error loading rules. Please refresh the page.', true);
+                    return;
+                }
+
+                renderWordMap(wordMap);
+                if (onLoaded) onLoaded();
+            });
+        });
+    });
+}
+
+/**
+ * Builds the UI table from the rules, and shows how much sync storage they use.
+ *
+ * @param {Object} wordMap - All rules
+ */
+function renderWordMap(wordMap) {
+    const replacementList = document.getElementById('replacementList');
+    replacementList.innerHTML = ''; // Clear existing table
+
+    // Create a row for each rule, in the order they run (group by group)
+    sortRules(wordMap, ruleGroups).forEach(([originalText, data]) => {
+        // Handle cases where older versions might not have 'enabled' property
+        addRowToTable(originalText, data);
+    });
+
+    updateStorageUsage(wordMap);
+
+    // Keep the current search and group filter after the table is rebuilt
+    filterRules(document.getElementById('searchBox').value);
+}
+
+/**
+ * Shows the number of rules and the sync storage they use under "Rule Storage".
+ *
+ * @param {Object} wordMap - All rules
+ */
+function updateStorageUsage(wordMap) {
+    const ruleCount = Object.keys(wordMap).length;
+    const usedKB = (estimateStorageSize(wordMap, ruleStorageMode).bytes / 1024).toFixed(1);
+    const maxKB = ((SYNC_QUOTA_BYTES - SYNC_SETTINGS_RESERVE_BYTES) / 1024).toFixed(0);
+    document.getElementById('ruleStorageUsage').textContent =
+        `${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'}, using ${usedKB} KB of ${maxKB} KB sync storage.`;
+}
+
+/**
+ * Helper function to create a fancy Toggle Slider element.
+ *
+ * @param {boolean} checked - Initial checked state
+ * @param {Function} changeCallback - Callback when toggle changes
+ * @param {string} ariaLabel - Accessibility label for the toggle
+ */
+function createToggle(checked, changeCallback, ariaLabel = '') {
+    const label = document.createElement('label');
+    label.className = 'toggle-switch';
+    if (ariaLabel) {
+        label.setAttribute('aria-label', ariaLabel);
+    }
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    if (ariaLabel) {
+        input.setAttribute('aria-label', ariaLabel);
+    }
+    // When clicked, run the provided callback function
+    input.addEventListener('change', (e) => changeCallback(e.target.checked));
+
+    const slider = document.createElement('span');
+    slider.className = 'slider';
+    slider.setAttribute('aria-hidden', 'true'); // Hide decorative slider from screen readers
+
+    label.appendChild(input);
+    label.appendChild(slider);
+    return label;
+}
+
+/**
+ * Greys out (or re-enables) a toggle created by createToggle().
+ *
+ * @param {HTMLLabelElement} toggle - The toggle's label element
+ * @param {boolean} disabled - Whether the toggle should be disabled
+ * @param {string} reason - Tooltip explaining why it's disabled
+ */
+function setToggleDisabled(toggle, disabled, reason = 'Only available when Match Case is off') {
+    toggle.querySelector('input').disabled = disabled;
+    toggle.title = disabled ? reason : '';
+}
+
+/**
+ * Creates a single table row (tr) for a replacement rule.
+ *
+ * @param {string} originalText - The rule's key (text or pattern to find)
+ * @param {Object} data - The rule settings as stored in the wordMap
+ */
+function addRowToTable(originalText, data) {
+    const replacementList = document.getElementById('replacementList');
+    const row = document.createElement('tr');
+    row.className = 'rule-row';
+    row.dataset.rule = originalText;
+
+    const replacement = data.replacement;
+    const caseSensitive = Boolean(data.caseSensitive);
+    const preserveCase = Boolean(data.preserveCase);
+    const isRegex = Boolean(data.isRegex);
+    // Handle cases where older versions might not have 'enabled' property
+    const enabled = data.enabled !== false;
+
+    // Create Cells
+    const originalTextCell = document.createElement('td');
+    const originalTextWrapper = document.createElement('div');
+    originalTextWrapper.className = 'rule-original';
+    const replacementTextCell = document.createElement('td');
+    const caseSensitiveCell = document.createElement('td');
+    const preserveCaseCell = document.createElement('td');
+    const regexCell = document.createElement('td');
+    const enabledCell = document.createElement('td');
+    const removeCell = document.createElement('td');
+
+    // 1. Original Text Input (Editable)
+    const originalTextInput = document.createElement('input');
+    originalTextInput.type = 'text';
+    originalTextInput.value = originalText;
+    originalTextInput.setAttribute('aria-label', `Original text: ${originalText}`);
+    // Update storage when text changes
+    originalTextInput.addEventListener('change', () => updateReplacement(originalText, 'originalText', originalTextInput.value));
+
+    // 1b. Drag Handle (drag the rule up or down its group, or use the arrow keys)
+    const dragHandle = document.createElement('button');
+    dragHandle.type = 'button';
+    dragHandle.className = 'drag-handle';
+    dragHandle.textContent = '⠿';
+    dragHandle.draggable = true;
+    dragHandle.title = 'Drag to change the order (the rule higher in the list wins), or press ↑ / ↓';
+    dragHandle.setAttribute('aria-label', `Move the rule for "${originalText}" up or down with the arrow keys`);
+    dragHandle.addEventListener('dragstart', (e) => {
+        draggedRule = originalText;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', originalText);
+    });
+    dragHandle.addEventListener('dragend', () => {
+        draggedRule = null;
+        document.querySelectorAll('#replacementList .drop-before, #replacementList .drop-after').forEach((marked) => {
+            marked.classList.remove('drop-before', 'drop-after');
+        });
+    });
+    dragHandle.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault(); // Don't scroll the page
+            moveRuleBy(originalText, e.key === 'ArrowUp' ? -1 : 1);
+        }
+    });
+
+    // Every row is a drop target: the dragged rule takes its place
+    row.addEventListener('dragover', (e) => {
+        if (draggedRule === null || draggedRule === originalText) return;
+        e.preventDefault(); // Allow dropping here
+        // Show on which side of this row the rule will land
+        const draggedRow = [...replacementList.querySelectorAll('tr.rule-row')].find(other => other.dataset.rule === draggedRule);
+        const movingDown = Boolean(draggedRow && (draggedRow.compareDocumentPosition(row) & Node.DOCUMENT_POSITION_FOLLOWING));
+        row.classList.toggle('drop-after', movingDown);
+        row.classList.toggle('drop-before', !movingDown);
+    });
+    row.addEventListener('dragleave', () => {
+        row.classList.remove('drop-before', 'drop-after');
+    });
+    row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        row.classList.remove('drop-before', 'drop-after');
+        if (draggedRule !== null && draggedRule !== originalText) {
+            moveRule(draggedRule, originalText);
+        }
+    });
+
+    // 2. Replacement Text Input (Editable)
+    const replacementTextInput = document.createElement('input');
+    replacementTextInput.type = 'text';
+    replacementTextInput.value = replacement;
+    replacementTextInput.setAttribute('aria-label', `Replacement text for "${originalText}": ${replacement}`);
+    // Update storage when text changes
+    replacementTextInput.addEventListener('change', () => updateReplacement(originalText, 'replacement', replacementTextInput.value));
+    // Masking rules hide what they find, their replacement isn't used
+    if (isMaskingRule(data)) {
+        replacementTextInput.disabled = true;
+        replacementTextInput.title = `${RULE_ACTION_LABELS[data.action] || data.action} (change this in Options)`;
+    }
+    // Conversion rules write the converted number (its format is set in Options)
+    if (isConversionRule(data)) {
+        replacementTextInput.value = describeConversion(data.convert);
+        replacementTextInput.disabled = true;
+        replacementTextInput.title = 'Change the rate and number format in Options';
+    }
+
+    // 3. Match Case Toggle
+    const caseToggle = createToggle(
+        caseSensitive,
+        (checked) => {
+            updateReplacement(originalText, 'caseSensitive', checked);
+            // "Keep Case" only makes sense when any capitalization can match
+            setToggleDisabled(preserveCaseToggle, checked);
+        },
+        `Case-sensitive matching for "${originalText}"`
+    );
+
+    // 3b. Keep Case Toggle (copy the found text's capitalization onto the replacement)
+    const preserveCaseToggle = createToggle(
+        preserveCase,
+        (checked) => {
+            updateReplacement(originalText, 'preserveCase', checked);
+        },
+        `Keep the original capitalization for "${originalText}"`
+    );
+    setToggleDisabled(preserveCaseToggle, caseSensitive);
+
+    // 4. Regex Mode Toggle (+ extra flags, only shown for regex rules)
+    const flagsInput = document.createElement('input');
+    flagsInput.type = 'text';
+    flagsInput.className = 'flags-input';
+    flagsInput.value = data.flags || '';
+    flagsInput.placeholder = 'flags';
+    flagsInput.maxLength = ALLOWED_REGEX_FLAGS.length;
+    flagsInput.style.display = isRegex ? '' : 'none';
+    flagsInput.setAttribute('aria-label', `Regex flags for "${originalText}"`);
+    flagsInput.addEventListener('change', () => updateReplacement(originalText, 'flags', flagsInput.value.trim()));
+
+    const regexToggle = createToggle(
+        isRegex,
+        (checked) => {
+            updateReplacement(originalText, 'isRegex', checked);
+            flagsInput.style.display = checked ? '' : 'none';
+            if (!checked) {
+                flagsInput.value = ''; // Turning Regex off removes the rule's flags
+            }
+            setMatchingOptionsDisabled(optionsRow, checked);
+        },
+        `Regular expression mode for "${originalText}"`
+    );
+
+    // Conversion rules find numbers with units by themselves
+    if (isConversionRule(data)) {
+        for (const toggle of [caseToggle, preserveCaseToggle, regexToggle]) {
+            setToggleDisabled(toggle, true, CONVERSION_LOCKED_REASON);
+        }
+    }
+
+    // 5. Enabled/Disabled Toggle
+    const enabledToggle = createToggle(
+        enabled,
+        (checked) => {
+            updateReplacement(originalText, 'enabled', checked);
+            // Visual feedback: fade out disabled rows
+            row.style.opacity = checked ? '1' : '0.5';
+        },
+        `Enable or disable rule for "${originalText}"`
+    );
+
+    // Set initial visual state
+    row.style.opacity = enabled ? '1' : '0.5';
+
+    // Remember the rule's group for the group filter
+    const group = findRuleGroup(data.group);
+    row.dataset.group = group ? group.id : GROUP_FILTER_NONE;
+
+    // 6. Options Button (shows/hides the less common settings below the row)
+    const optionsRow = createOptionsRow(originalText, data);
+    const optionsButton = document.createElement('button');
+    optionsButton.type = 'button';
+    optionsButton.textContent = 'Options';
+    optionsButton.className = 'btn-remove btn-options';
+    optionsButton.setAttribute('aria-expanded', 'false');
+    optionsButton.setAttribute('aria-label', `More options for "${originalText}"`);
+    optionsButton.addEventListener('click', () => {
+        const expanded = row.dataset.expanded !== 'true';
+        row.dataset.expanded = String(expanded);
+        optionsRow.style.display = expanded ? '' : 'none';
+        optionsButton.setAttribute('aria-expanded', String(expanded));
+    });
+
+    // 7. Remove Button
+    const removeButton = document.createElement('button');
+    removeButton.textContent = 'Remove';
+    removeButton.className = 'btn-remove';
+    removeButton.setAttribute('aria-label', `Remove replacement rule for "${originalText}"`);
+    removeButton.addEventListener('click', () => removeReplacement(originalText));
+
+    // Assemble the row structure
+    // We use .appendChild to securely add elements to the DOM
+    originalTextWrapper.appendChild(dragHandle);
+    originalTextWrapper.appendChild(originalTextInput);
+    originalTextCell.appendChild(originalTextWrapper);
+    if (group) {
+        const groupTag = document.createElement('span');
+        groupTag.className = 'group-tag';
+        groupTag.textContent = group.name;
+        originalTextCell.appendChild(groupTag);
+    }
+    replacementTextCell.appendChild(replacementTextInput);
+
+    caseSensitiveCell.appendChild(caseToggle);
+    caseSensitiveCell.style.textAlign = 'center';
+
+    preserveCaseCell.appendChild(preserveCaseToggle);
+    preserveCaseCell.style.textAlign = 'center';
+
+    regexCell.appendChild(regexToggle);
+    regexCell.appendChild(flagsInput);
+    regexCell.style.textAlign = 'center';
+
+    enabledCell.appendChild(enabledToggle);
+    enabledCell.style.textAlign = 'center';
+
+    removeCell.appendChild(optionsButton);
+    removeCell.appendChild(removeButton);
+    removeCell.style.textAlign = 'right';
+
+    row.appendChild(originalTextCell);
+    row.appendChild(replacementTextCell);
+    row.appendChild(caseSensitiveCell);
+    row.appendChild(preserveCaseCell);
+    row.appendChild(regexCell);
+    row.appendChild(enabledCell);
+    row.appendChild(removeCell);
+
+    // Add to table
+    replacementList.appendChild(row);
+    replacementList.appendChild(optionsRow);
+}
+
+/**
+ * Creates the (initially hidden) options row shown under a rule.
+ * It holds settings most people never need, so the main table stays compact.
+ *
+ * @param {string} originalText - The rule's key
+ * @param {Object} data - The rule settings as stored in the wordMap
+ * @returns {HTMLTableRowElement}
+ */
+function createOptionsRow(originalText, data) {
+    const optionsRow = document.createElement('tr');
+    optionsRow.className = 'options-row';
+    optionsRow.style.display = 'none';
+
+    const cell = document.createElement('td');
+    cell.colSpan = 7;
+
+    const container = document.createElement('div');
+    container.className = 'rule-options';
+
+    // Conversion rules: how the converted numbers are written
+    if (isConversionRule(data)) {
+        appendConversionOptions(container, originalText, data.convert);
+    }
+
+    // Match: whole words, anywhere, or at the start/end of words
+    const matchGroup = document.createElement('div');
+    matchGroup.className = 'input-group matching-option';
+
+    const matchLabel = document.createElement('label');
+    matchLabel.textContent = 'Match';
+
+    const matchSelect = document.createElement('select');
+    fillChoiceOptions(matchSelect, MATCH_MODES);
+    matchSelect.value = Object.prototype.hasOwnProperty.call(MATCH_MODES, data.matchMode) ? data.matchMode : 'word';
+    matchSelect.setAttribute('aria-label', `Where the rule for "${originalText}" matches`);
+    matchSelect.addEventListener('change', () => {
+        updateReplacement(originalText, 'matchMode', matchSelect.value);
+    });
+
+    matchGroup.appendChild(matchLabel);
+    matchGroup.appendChild(matchSelect);
+    container.appendChild(matchGroup);
+
+    // Ignore accents: "cafe" also finds "café" (and the other way around)
+    const accentsGroup = document.createElement('div');
+    accentsGroup.className = 'input-group matching-option';
+
+    const accentsLabel = document.createElement('label');
+    accentsLabel.textContent = 'Ignore accents';
+
+    const accentsToggle = createToggle(
+        Boolean(data.ignoreAccents),
+        (checked) => {
+            updateReplacement(originalText, 'ignoreAccents', checked);
+        },
+        `Ignore accents when matching the rule for "${originalText}"`
+    );
+
+    accentsGroup.appendChild(accentsLabel);
+    accentsGroup.appendChild(accentsToggle);
+    container.appendChild(accentsGroup);
+
+    // Unicode normalization: find text that looks the same but is stored differently
+    const normalizeGroup = document.createElement('div');
+    normalizeGroup.className = 'input-group matching-option';
+
+    const normalizeLabel = document.createElement('label');
+    normalizeLabel.textContent = 'Unicode normalization';
+
+    const normalizeSelect = document.createElement('select');
+    fillChoiceOptions(normalizeSelect, NORMALIZE_FORMS);
+    normalizeSelect.value = Object.prototype.hasOwnProperty.call(NORMALIZE_FORMS, data.normalize) ? data.normalize : '';
+    normalizeSelect.setAttribute('aria-label', `Unicode normalization for the rule for "${originalText}"`);
+    normalizeSelect.addEventListener('change', () => {
+        updateReplacement(originalText, 'normalize', normalizeSelect.value);
+    });
+
+    normalizeGroup.appendChild(normalizeLabel);
+    normalizeGroup.appendChild(normalizeSelect);
+    container.appendChild(normalizeGroup);
+
+    // Action: replace the text, or hide it (for screen sharing)
+    const actionGroup = document.createElement('div');
+    actionGroup.className = 'input-group';
+
+    const actionLabel = document.createElement('label');
+    actionLabel.textContent = 'Action';
+
+    const actionSelect = document.createElement('select');
+    fillChoiceOptions(actionSelect, ruleActionChoices(['replace', ...MASK_ACTIONS]));
+    actionSelect.value = isMaskingRule(data) ? data.action : 'replace';
+    actionSelect.setAttribute('aria-label', `What the rule for "${originalText}" does with the text it finds`);
+    actionSelect.addEventListener('change', () => {
+        updateReplacement(originalText, 'action', actionSelect.value);
+    });
+
+    actionGroup.appendChild(actionLabel);
+    actionGroup.appendChild(actionSelect);
+    container.appendChild(actionGroup);
+
+    // Reveal: a click on hidden text shows it
+    const revealGroup = document.createElement('div');
+    revealGroup.className = 'input-group';
+
+    const revealLabel = document.createElement('label');
+    revealLabel.textContent = 'Click to reveal';
+
+    const revealToggle = createToggle(
+        Boolean(data.reveal),
+        (checked) => {
+            updateReplacement(originalText, 'reveal', checked);
+        },
+        `Show the text hidden by the rule for "${originalText}" when it is clicked`
+    );
+    setToggleDisabled(revealToggle, !isMaskingRule(data), 'Only for rules that hide text');
+
+    revealGroup.appendChild(revealLabel);
+    revealGroup.appendChild(revealToggle);
+    container.appendChild(revealGroup);
+
+    // Site scope: only run this rule on the listed sites
+    const sitesGroup = document.createElement('div');
+    sitesGroup.className = 'input-group';
+
+    const sitesLabel = document.createElement('label');
+    sitesLabel.textContent = 'Only on sites (comma-separated, empty = everywhere)';
+
+    const sitesInput = document.createElement('input');
+    sitesInput.type = 'text';
+    sitesInput.className = 'sites-input';
+    sitesInput.value = (data.sites || []).join(', ');
+    sitesInput.placeholder = 'e.g. example.com, *.wiki.org';
+    sitesInput.setAttribute('aria-label', `Sites where the rule for "${originalText}" applies`);
+    sitesInput.addEventListener('change', () => {
+        updateReplacement(originalText, 'sites', parseSitePatterns(sitesInput.value));
+    });
+
+    sitesGroup.appendChild(sitesLabel);
+    sitesGroup.appendChild(sitesInput);
+    container.appendChild(sitesGroup);
+
+    // Group: move the rule to another group (or out of any group)
+    const groupGroup = document.createElement('div');
+    groupGroup.className = 'input-group';
+
+    const groupLabel = document.createElement('label');
+    groupLabel.textContent = 'Group';
+
+    const groupSelect = document.createElement('select');
+    fillGroupOptions(groupSelect, [['', 'No group']]);
+    groupSelect.value = findRuleGroup(data.group) ? data.group : '';
+    groupSelect.setAttribute('aria-label', `Group of the rule for "${originalText}"`);
+    groupSelect.addEventListener('change', () => {
+        updateReplacement(originalText, 'group', groupSelect.value);
+    });
+
+    groupGroup.appendChild(groupLabel);
+    groupGroup.appendChild(groupSelect);
+    container.appendChild(groupGroup);
+
+    // Sync subset: in "This computer only" storage, still sync this one rule
+    const syncGroup = document.createElement('div');
+    syncGroup.className = 'input-group';
+
+    const syncLabel = document.createElement('label');
+    syncLabel.textContent = 'Sync across devices';
+
+    const syncToggle = createToggle(
+        ruleStorageMode === 'sync' || Boolean(data.sync),
+        (checked) => {
+            updateReplacement(originalText, 'sync', checked);
+        },
+        `Sync the rule for "${originalText}" across your devices`
+    );
+    setToggleDisabled(syncToggle, ruleStorageMode === 'sync', 'All rules sync while Rule Storage is "Sync across devices"');
+
+    syncGroup.appendChild(syncLabel);
+    syncGroup.appendChild(syncToggle);
+    container.appendChild(syncGroup);
+
+    cell.appendChild(container);
+    optionsRow.appendChild(cell);
+    if (isConversionRule(data)) {
+        // A conversion always writes the converted number
+        setMatchingOptionsDisabled(optionsRow, true, CONVERSION_LOCKED_REASON);
+        actionSelect.disabled = true;
+        actionSelect.title = CONVERSION_LOCKED_REASON;
+        setToggleDisabled(revealToggle, true, CONVERSION_LOCKED_REASON);
+    } else {
+        setMatchingOptionsDisabled(optionsRow, Boolean(data.isRegex));
+    }
+    return optionsRow;
+}
+
+/**
+ * Adds a conversion rule's own settings to its options row: the exchange
+ * rate (currencies only), the number of decimals, and whether to keep the
+ * text found next to the converted number.
+ *
+ * @param {HTMLElement} container - The options row's settings
+ * @param {string} originalText - The rule's key
+ * @param {Object} convert - The rule's "convert" settings
+ */
+function appendConversionOptions(container, originalText, convert) {
+    const from = findConversionUnit(convert.from);
+
+    if (from && from.kind === 'currency') {
+        const rateGroup = document.createElement('div');
+        rateGroup.className = 'input-group';
+
+        const rateLabel = document.createElement('label');
+        rateLabel.textContent = `Rate (1 ${convert.from} = ? ${convert.to})`;
+
+        const rateInput = document.createElement('input');
+        rateInput.type = 'number';
+        rateInput.className = 'rate-input';
+        rateInput.min = '0';
+        rateInput.step = 'any';
+        rateInput.value = String(convert.rate);
+        rateInput.setAttribute('aria-label', `Exchange rate of the rule "${originalText}"`);
+        rateInput.addEventListener('change', () => {
+            updateReplacement(originalText, 'rate', rateInput.value.trim() === '' ? NaN : Number(rateInput.value));
+        });
+
+        rateGroup.appendChild(rateLabel);
+        rateGroup.appendChild(rateInput);
+        container.appendChild(rateGroup);
+    }
+
+    if (!from || from.kind !== 'timeZone') {
+        const decimalsGroup = document.createElement('div');
+        decimalsGroup.className = 'input-group';
+
+        const decimalsLabel = document.createElement('label');
+        decimalsLabel.textContent = 'Decimals';
+
+        const decimalsSelect = document.createElement('select');
+        const choices = { '': 'Automatic' };
+        for (let decimals = 0; decimals <= MAX_CONVERSION_DECIMALS; decimals++) {
+            choices[decimals] = String(decimals);
+        }
+        fillChoiceOptions(decimalsSelect, choices);
+        decimalsSelect.value = Number.isInteger(convert.decimals) ? String(convert.decimals) : '';
+        decimalsSelect.setAttribute('aria-label', `Digits after the decimal point for the rule "${originalText}"`);
+        decimalsSelect.addEventListener('change', () => {
+            updateReplacement(originalText, 'decimals', decimalsSelect.value === '' ? null : Number(decimalsSelect.value));
+        });
+
+        decimalsGroup.appendChild(decimalsLabel);
+        decimalsGroup.appendChild(decimalsSelect);
+        container.appendChild(decimalsGroup);
+    }
+
+    const keepGroup = document.createElement('div');
+    keepGroup.className = 'input-group';
+
+    const keepLabel = document.createElement('label');
+    keepLabel.textContent = 'Keep original';
+
+    const keepToggle = createToggle(
+        convert.keepOriginal === true,
+        (checked) => {
+            updateReplacement(originalText, 'keepOriginal', checked);
+        },
+        `Also show the text found by the rule "${originalText}", e.g. "16.1 km (10 miles)"`
+    );
+
+    keepGroup.appendChild(keepLabel);
+    keepGroup.appendChild(keepToggle);
+    container.appendChild(keepGroup);
+}
+
+/**
+ * Tells whether a rule hides what it finds instead of replacing it.
+ *
+ * @param {Object} data - The rule settings as stored
+ * @returns {boolean}
+ */
+function isMaskingRule(data) {
+    return MASK_ACTIONS.includes(data.action);
+}
+
+/**
+ * Lists rule actions with their labels, for a drop-down.
+ *
+ * @param {string[]} actions - The actions, in display order
+ * @returns {Object} - Action -> label
+ */
+function ruleActionChoices(actions) {
+    return Object.fromEntries(actions.map(action => [action, RULE_ACTION_LABELS[action] || action]));
+}
+
+/**
+ * Tells whether a rule converts numbers with units (see UNIT CONVERSIONS).
+ *
+ * @param {Object} data - The rule settings as stored
+ * @returns {boolean}
+ */
+function isConversionRule(data) {
+    return Boolean(data.convert) && typeof data.convert === 'object';
+}
+
+/**
+ * Describes what a conversion rule does, e.g. "Converts miles to kilometers".
+ *
+ * @param {Object} convert - The rule's "convert" settings
+ * @returns {string}
+ */
+function describeConversion(convert) {
+    const from = findConversionUnit(convert.from);
+    const to = findConversionUnit(convert.to);
+    if (!from || !to) {
+        return 'Converts units it can\'t find';
+    }
+    const rate = from.kind === 'currency' ? ` (1 ${convert.from} = ${convert.rate} ${convert.to})` : '';
+    return `Converts ${from.unit.label} to ${to.unit.label}${rate}`;
+}
+
+/**
+ * Fills a drop-down with fixed choices.
+ *
+ * @param {HTMLSelectElement} select - The drop-down
+ * @param {Object} choices - Value -> label, in display order
+ */
+function fillChoiceOptions(select, choices) {
+    for (const [value, label] of Object.entries(choices)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Greys out (or re-enables) the matching settings in a rule's options row.
+ * They only apply to normal rules: a regex rule's pattern says how it matches.
+ *
+ * @param {HTMLTableRowElement} optionsRow - The row made by createOptionsRow()
+ * @param {boolean} disabled - Whether the settings should be disabled
+ * @param {string} [reason] - Shown when hovering a disabled setting
+ */
+function setMatchingOptionsDisabled(optionsRow, disabled, reason = 'Regex rules set this in their pattern (e.g. \\b for whole words)') {
+    for (const select of optionsRow.querySelectorAll('.matching-option select')) {
+        select.disabled = disabled;
+        select.title = disabled ? reason : '';
+    }
+    for (const toggle of optionsRow.querySelectorAll('.matching-option .toggle-switch')) {
+        setToggleDisabled(toggle, disabled, reason);
+    }
+}
+
+/**
+ * Updates a specific field of an existing rule in storage.
+ */
+function updateReplacement(originalText, field, newValue) {
+    // VALIDATION: Prevent empty original text (would match nothing - user error)
+    // Note: We allow empty replacement text (valid use case: delete the original)
+    if (field === 'originalText' && typeof newValue === 'string') {
+        if (!newValue || !newValue.trim()) {
+            showStatus('Original text cannot be empty!', true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
+    // SAFETY CHECK: Validate pattern length when editing text fields
+    // This prevents users from accidentally creating overly long patterns
+    if ((field === 'originalText' || field === 'replacement') && typeof newValue === 'string') {
+        if (newValue.length > MAX_PATTERN_LENGTH) {
+            showStatus(`Text too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`, true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
+    // VALIDATION: A replacement with {{...}} tags must be a valid template
+    if (field === 'replacement') {
+        const templateError = validateReplacementTemplate(newValue);
+        if (templateError) {
+            showStatus(templateError, true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
+    // SAFETY CHECK: Validate site patterns when editing a rule's site scope
+    if (field === 'sites') {
+        const patternError = validateSitePatterns(newValue);
+        if (patternError) {
+            showStatus(patternError, true);
+            loadWordMap(); // Reset UI to previous valid state
+            return;
+        }
+    }
+
+    loadRules((wordMap, loadError) => {
+        // Error handling: Check if the Chrome API call failed
+        if (loadError) {
+            Logger.error('Failed to get word map for update:', loadError);
+            showStatus('Error loading data. Changes not saved.', true);
+            loadWordMap(); // Revert UI to previous state
+            return;
+        }
+
+        if (!wordMap[originalText]) return;
+
+        const before = cloneRules(wordMap);
+        const originalData = wordMap[originalText];
+
+        // VALIDATION: Regex rules must always hold a usable pattern.
+        // Work out what the rule WOULD look like after this edit, then check it.
+        const candidate = { ...originalData, [field]: newValue };
+        const candidatePattern = field === 'originalText' ? newValue : originalText;
+        if (candidate.isRegex) {
+            const regexError = validateRegexRule(candidatePattern, candidate.flags, candidate.caseSensitive);
+            if (regexError) {
+                showStatus(regexError, true);
+                loadWordMap(); // Reset UI to previous valid state
+                return;
+            }
+        }
+
+        // Special handling for renaming the key (Original Text)
+        if (field === 'originalText') {
+            // Prevent overwriting existing keys or creating invalid ones
+            if (!newValue) {
+                loadWordMap(); // Reset UI to previous valid state
+                showStatus('Original text cannot be empty.', true);
+                return;
+            }
+
+            // Check if newValue already exists (and isn't just a case change of the same key)
+            if (wordMap[newValue] && newValue !== originalText) {
+                loadWordMap(); // Reset UI to previous valid state
+                showStatus('A rule with this original text already exists.', true);
+                return;
+            }
+
+            // EDGE CASE: Prevent renames that only differ in case (cat → CAT)
+            // This can cause confusion with case-insensitive matching rules
+            // For example, if you have "cat" (case-insensitive) and rename it to "Cat",
+            // it would still match "CAT" or "cat", making the rename pointless
+            if (newValue.toLowerCase() !== originalText.toLowerCase()) {
+                // This is a real rename (not just case change), allow it
+                delete wordMap[originalText];
+                wordMap[newValue] = originalData;
+            } else if (newValue === originalText) {
+                // Exact same value, no change needed (user probably just re-focused the field)
+                return;
+            } else {
+                // Case-only change detected (cat → Cat, cat → CAT, etc.)
+                loadWordMap(); // Reset UI to previous valid state
+                showStatus('Cannot rename to only differ in case (e.g., "cat" to "Cat"). Create a new rule instead.', true);
+                return;
+            }
+        } else if (field === 'sites' && newValue.length === 0) {
+            // An empty scope means "everywhere", so don't store it at all
+            delete wordMap[originalText].sites;
+        } else if (['sync', 'group', 'ignoreAccents', 'normalize', 'reveal'].includes(field) && !newValue) {
+            // Only store optional settings when they're switched on
+            delete wordMap[originalText][field];
+        } else if (field === 'isRegex' && !newValue) {
+            // Flags only belong to regex rules, so they go when Regex is turned off
+            delete wordMap[originalText].isRegex;
+            delete wordMap[originalText].flags;
+        } else if (field === 'matchMode' && newValue === 'word') {
+            // Whole words is the default
+            delete wordMap[originalText].matchMode;
+        } else if (field === 'action' && newValue === 'replace') {
+            // Replacing is the default (Click to reveal only goes with hiding)
+            delete wordMap[originalText].action;
+            delete wordMap[originalText].reveal;
+        } else if (CONVERSION_SETTINGS.includes(field)) {
+            // Settings of a conversion rule live in its "convert" settings
+            const convert = { ...originalData.convert, [field]: newValue };
+            if (newValue === null || newValue === false) {
+                delete convert[field];
+            }
+            const conversionError = validateConversion(convert);
+            if (conversionError) {
+                showStatus(conversionError, true);
+                loadWordMap(); // Reset UI to previous valid state
+                return;
+            }
+            wordMap[originalText].convert = convert;
+        } else {
+            // Normal update
+            wordMap[originalText][field] = newValue;
+        }
+
+        // IMPORTANT: Validate storage quota BEFORE attempting to save.
+        // This check protects against exceeding Chrome's limits when editing rules.
+        const quotaError = validateStorageQuota(wordMap);
+        if (quotaError) {
+            showStatus(quotaError, true);
+            loadWordMap(); // Revert UI to previous valid state
+            return;
+        }
+
+        // Save back to storage
+        saveRuleChange(before, wordMap, describeRuleEdit(originalText, field, newValue), (error) => {
+            if (error) {
+                Logger.error('Failed to save replacement update:', error);
+                showStatus('Error saving changes.', true);
+                loadWordMap(); // Revert on failure
+            } else {
+                Logger.debug('Word map updated successfully');
+                updateStorageUsage(wordMap);
+                // Don't show "Saved" toast for every keystroke, mostly for buttons
+                if (!['originalText', 'replacement', 'sites', 'group', 'matchMode', 'normalize', 'action', 'rate', 'decimals'].includes(field)) {
+                    // Logic for toggles
+                } else {
+                    showStatus('Saved.', false, UNDO_STATUS_ACTION);
+                }
+
+                // Moving a rule to another group moves its row too, a
+                // masking rule's row greys out its replacement, and a
+                // conversion rule's row shows its new rate
+                if (field === 'group' || field === 'action' || field === 'rate') {
+                    loadWordMap();
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Adds a brand new replacement rule.
+ */
+function addReplacement() {
+    const newOriginal = document.getElementById('newOriginal').value;
+    const newReplacement = document.getElementById('newReplacement').value;
+    const newCaseSensitive = document.getElementById('newCaseSensitive').checked;
+    // Keep Case only applies to case-insensitive rules
+    const newPreserveCase = document.getElementById('newPreserveCase').checked && !newCaseSensitive;
+    const newIsRegex = document.getElementById('newIsRegex').checked;
+    const newFlags = document.getElementById('newFlags').value.trim();
+    const newGroup = document.getElementById('newGroup').value;
+
+    // VALIDATION: Prevent empty strings
+    // Empty original text would match nothing, and empty replacement would just delete text
+    // Both are confusing and likely user errors, so we reject them
+    if (!newOriginal || !newOriginal.trim()) {
+        showStatus('Original text cannot be empty!', true);
+        return;
+    }
+
+    if (!newReplacement && newReplacement !== '') {
+        showStatus('Replacement text cannot be empty!', true);
+        return;
+    }
+
+    // Note: We allow empty replacement string (newReplacement === '') because
+    // that's a valid use case: user wants to delete/remove the original text entirely
+
+    // SAFETY CHECK: Validate pattern length to prevent performance issues
+    // Very long patterns can cause the browser to freeze when processing large pages
+    if (newOriginal.length > MAX_PATTERN_LENGTH) {
+        showStatus(`Original text too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`, true);
+        return;
+    }
+
+    if (newReplacement.length > MAX_PATTERN_LENGTH) {
+        showStatus(`Replacement text too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`, true);
+        return;
+    }
+
+    // VALIDATION: A replacement with {{...}} tags must be a valid template
+    const templateError = validateReplacementTemplate(newReplacement);
+    if (templateError) {
+        showStatus(templateError, true);
+        return;
+    }
+
+    // SAFETY CHECK: Regex rules must compile and must not match empty text
+    if (newIsRegex) {
+        const regexError = validateRegexRule(newOriginal, newFlags, newCaseSensitive);
+        if (regexError) {
+            showStatus(regexError, true);
+            return;
+        }
+    }
+
+    loadRules((wordMap, loadError) => {
+        // Error handling: Check if the Chrome API call failed
+        if (loadError) {
+            Logger.error('Failed to get word map for adding rule:', loadError);
+            showStatus('Error loading data. Rule not added.', true);
+            return;
+        }
+
+        // SAFETY CHECK: Limit total number of rules to prevent browser slowdown
+        // Having hundreds of rules can make regex compilation and page processing very slow
+        if (Object.keys(wordMap).length >= MAX_RULES) {
+            showStatus(`Maximum ${MAX_RULES} rules allowed. Please remove some rules before adding more.`, true);
+            return;
+        }
+
+        // Prevent duplicates
+        if (wordMap[newOriginal]) {
+            showStatus('Rule already exists for this word.', true);
+            return;
+        }
+
+        const before = cloneRules(wordMap);
+
+        // Add new rule object
+        const newRule = {
+            replacement: newReplacement,
+            caseSensitive: newCaseSensitive,
+            enabled: true
+        };
+
+        // Only store optional settings when they're switched on (keeps rules small)
+        if (newPreserveCase) {
+            newRule.preserveCase = true;
+        }
+        if (newIsRegex) {
+            newRule.isRegex = true;
+            newRule.flags = newFlags;
+        }
+        if (newGroup) {
+            newRule.group = newGroup;
+        }
+
+        wordMap[newOriginal] = newRule;
+
+        // IMPORTANT: Validate storage quota BEFORE attempting to save.
+        // This prevents cryptic errors and gives users clear feedback.
+        const quotaError = validateStorageQuota(wordMap);
+        if (quotaError) {
+            showStatus(quotaError, true);
+            return;
+        }
+
+        // Save
+        saveRuleChange(before, wordMap, `Added rule ${describeRuleKey(newOriginal)}`, (error) => {
+            if (error) {
+                Logger.error('Failed to add new replacement:', error);
+                showStatus('Error adding replacement. Storage full?', true);
+            } else {
+                Logger.debug('New replacement added:', newOriginal, '→', newReplacement);
+
+                // The small right-click window has done its job
+                if (quickAddMode) {
+                    showStatus('Replacement added. Open pages use it right away.');
+                    setTimeout(() => window.close(), QUICK_ADD_CLOSE_DELAY_MS);
+                    return;
+                }
+
+                // On success, update UI instantly without full reload
+                addRowToTable(newOriginal, newRule);
+                updateStorageUsage(wordMap);
+
+                // Clear input fields for next entry
+                document.getElementById('newOriginal').value = '';
+                document.getElementById('newReplacement').value = '';
+                document.getElementById('newCaseSensitive').checked = false;
+                document.getElementById('newPreserveCase').checked = false;
+                document.getElementById('newPreserveCase').disabled = false;
+                document.getElementById('newIsRegex').checked = false;
+                document.getElementById('newFlags').value = '';
+                updateTemplatePreview();
+
+                showStatus('Replacement added.', false, UNDO_STATUS_ACTION);
+            }
+        });
+    });
+}
+
+/**
+ * Fills the From and To drop-downs of the "Unit Conversions" section with the
+ * units of the chosen kind, and shows the rate box for currencies.
+ */
+function fillConversionUnits() {
+    const kind = document.getElementById('conversionKind').value;
+    const units = CONVERSION_KINDS[kind].units;
+    const fromSelect = document.getElementById('conversionFrom');
+    const toSelect = document.getElementById('conversionTo');
+
+    fromSelect.textContent = '';
+    toSelect.textContent = '';
+    // Units pages don't write (like "my time zone") can only be converted to
+    fillChoiceOptions(fromSelect, Object.fromEntries(Object.entries(units)
+        .filter(([, unit]) => unit.names.length > 0)
+        .map(([id, unit]) => [id, unit.label])));
+    fillChoiceOptions(toSelect, Object.fromEntries(Object.entries(units).map(([id, unit]) => [id, unit.label])));
+    // Start with two different units
+    toSelect.selectedIndex = 1;
+
+    document.getElementById('conversionRateGroup').hidden = kind !== 'currency';
+}
+
+/**
+ * Adds a rule from the "Unit Conversions" section. The rule is named after
+ * what it converts, e.g. "miles → kilometers"; its settings are in Options.
+ */
+function addConversion() {
+    const convert = {
+        from: document.getElementById('conversionFrom').value,
+        to: document.getElementById('conversionTo').value
+    };
+    if (document.getElementById('conversionKind').value === 'currency') {
+        const rate = document.getElementById('conversionRate').value.trim();
+        convert.rate = rate === '' ? NaN : Number(rate);
+    }
+
+    const conversionError = validateConversion(convert);
+    if (conversionError) {
+        showStatus(conversionError, true);
+        return;
+    }
+    const name = `${findConversionUnit(convert.from).unit.label} → ${findConversionUnit(convert.to).unit.label}`;
+
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for adding conversion:', loadError);
+            showStatus('Error loading data. Rule not added.', true);
+            return;
+        }
+
+        if (Object.keys(wordMap).length >= MAX_RULES) {
+            showStatus(`Maximum ${MAX_RULES} rules allowed. Please remove some rules before adding more.`, true);
+            return;
+        }
+
+        if (wordMap[name]) {
+            showStatus(`A rule converting ${name} already exists.`, true);
+            return;
+        }
+
+        const before = cloneRules(wordMap);
+
+        const newRule = {
+            replacement: '',
+            caseSensitive: false,
+            enabled: true,
+            convert
+        };
+        wordMap[name] = newRule;
+
+        const quotaError = validateStorageQuota(wordMap);
+        if (quotaError) {
+            showStatus(quotaError, true);
+            return;
+        }
+
+        saveRuleChange(before, wordMap, `Added conversion ${describeRuleKey(name)}`, (error) => {
+            if (error) {
+                Logger.error('Failed to add conversion:', error);
+                showStatus('Error adding rule. Storage full?', true);
+                return;
+            }
+            Logger.debug('Conversion added:', name, convert);
+            addRowToTable(name, newRule);
+            updateStorageUsage(wordMap);
+            document.getElementById('conversionRate').value = '';
+            showStatus('Conversion added. Open pages use it right away.', false, UNDO_STATUS_ACTION);
+        });
+    });
+}
+
+/**
+ * Adds a rule from the "Hide Private Information" section: a ready-made
+ * pattern (emails, phone numbers, ...) that hides what it finds.
+ * It's a normal regex rule, so it can be edited, grouped or removed later.
+ */
+function addMaskPreset() {
+    const preset = MASK_PRESETS[document.getElementById('maskPreset').value];
+    const action = document.getElementById('maskAction').value;
+    const reveal = document.getElementById('maskReveal').checked;
+
+    if (!preset || !isMaskingRule({ action })) {
+        showStatus('Choose what to hide and how.', true);
+        return;
+    }
+
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for adding masking rule:', loadError);
+            showStatus('Error loading data. Rule not added.', true);
+            return;
+        }
+
+        if (Object.keys(wordMap).length >= MAX_RULES) {
+            showStatus(`Maximum ${MAX_RULES} rules allowed. Please remove some rules before adding more.`, true);
+            return;
+        }
+
+        // The same pattern can only be one rule (change how it hides in its Options)
+        if (wordMap[preset.pattern]) {
+            showStatus(`A rule for ${preset.label.toLowerCase()} already exists.`, true);
+            return;
+        }
+
+        const before = cloneRules(wordMap);
+
+        const newRule = {
+            replacement: '',
+            caseSensitive: false,
+            enabled: true,
+            isRegex: true,
+            flags: '',
+            action
+        };
+        if (reveal) {
+            newRule.reveal = true;
+        }
+
+        wordMap[preset.pattern] = newRule;
+
+        const quotaError = validateStorageQuota(wordMap);
+        if (quotaError) {
+            showStatus(quotaError, true);
+            return;
+        }
+
+        saveRuleChange(before, wordMap, `Added a rule hiding ${preset.label.toLowerCase()}`, (error) => {
+            if (error) {
+                Logger.error('Failed to add masking rule:', error);
+                showStatus('Error adding rule. Storage full?', true);
+                return;
+            }
+            Logger.debug('Masking rule added:', preset.pattern, action);
+            addRowToTable(preset.pattern, newRule);
+            updateStorageUsage(wordMap);
+            showStatus(`${preset.label} are now hidden on pages.`, false, UNDO_STATUS_ACTION);
+        });
+    });
+}
+
+
+/**
+ * Shows, under the Add form, what the replacement writes when it is a template
+ * (or what is wrong with it), so mistakes are caught before saving.
+ * The Original String stands in for the found text; a regex rule's "$1"
+ * can't be known yet and is shown as typed.
+ */
+function updateTemplatePreview() {
+    const preview = document.getElementById('templatePreview');
+    const original = document.getElementById('newOriginal').value;
+    const replacement = document.getElementById('newReplacement').value;
+
+    if (!replacement.includes('{{')) {
+        preview.hidden = true;
+        return;
+    }
+    preview.hidden = false;
+
+    const { parts, error } = parseTemplate(replacement);
+    if (error) {
+        preview.textContent = error;
+        preview.classList.add('error');
+        return;
+    }
+
+    const isRegex = document.getElementById('newIsRegex').checked;
+    const match = isRegex || !original ? 'found text' : original;
+    let result = renderTemplate(parts, { match, key: null });
+    if (document.getElementById('newPreserveCase').checked && !document.getElementById('newCaseSensitive').checked) {
+        result = applyCasePattern(match, result);
+    }
+    preview.textContent = `Preview: "${match}" → "${result}"`;
+    preview.classList.remove('error');
+}
+// -----------------------------------------------------------------------------
+// QUICK ADD
+// The right-click menu ("Replace "…"…", see background.js) opens this page in a
+// small window as manage.html?quickAdd=<selected text>. Only the add form is
+// shown, already filled in, so the rule goes through the same checks as
+// always. The window closes by itself once the rule is added.
+// -----------------------------------------------------------------------------
+
+/**
+ * Switches the page to the small "add a rule" window if it was opened from
+ * the right-click menu.
+ */
+function startQuickAdd() {
+    const selectedText = new URLSearchParams(window.location.search).get(QUICK_ADD_PARAM);
+    if (selectedText === null) return;
+
+    quickAddMode = true;
+    document.body.classList.add('quick-add');
+    document.querySelector('.subtitle').textContent = 'Replace the selected text on every page';
+    document.getElementById('newOriginal').value = selectedText;
+    document.getElementById('newReplacement').focus();
+
+    // Escape closes the window without adding anything
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            window.close();
+        }
+    });
+}
+
+/**
+ * Removes a rule (it can be brought back with Undo, or from the history).
+ */
+function removeReplacement(originalText) {
+    loadRules((wordMap, loadError) => {
+        // Error handling: Check if the Chrome API call failed
+        if (loadError) {
+            Logger.error('Failed to get word map for removal:', loadError);
+            showStatus('Error loading data. Rule not removed.', true);
+            return;
+        }
+
+        const before = cloneRules(wordMap);
+        delete wordMap[originalText]; // Remove key
+
+        saveRuleChange(before, wordMap, `Removed rule ${describeRuleKey(originalText)}`, (error) => {
+            if (error) {
+                Logger.error('Failed to save after removal:', error);
+                showStatus('Error removing replacement.', true);
+                loadWordMap(); // Reload to revert to previous state
+            } else {
+                Logger.debug('Replacement removed:', originalText);
+                loadWordMap(); // Reload table to reflect removal
+                showStatus('Replacement removed.', false, UNDO_STATUS_ACTION);
+            }
+        });
+    });
+}
+
+/**
+ * Moves a rule to the place of another rule in the same group; the rules in
+ * between shift by one. Every rule is then numbered in its new place (the
+ * "order" field, see sortRules in storage.js), so the order is the same on
+ * every computer, whatever storage the rules are kept in.
+ *
+ * @param {string} originalText - The rule to move
+ * @param {string} targetText - The rule whose place it takes
+ * @param {boolean} [keepFocus] - True to focus the rule's drag handle again
+ *   afterwards (when moved with the keyboard)
+ */
+function moveRule(originalText, targetText, keepFocus = false) {
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for reordering:', loadError);
+            showStatus('Error loading data. Order not changed.', true);
+            return;
+        }
+
+        const ordered = sortRules(wordMap, ruleGroups).map(([key]) => key);
+        const from = ordered.indexOf(originalText);
+        const to = ordered.indexOf(targetText);
+        if (from < 0 || to < 0 || from === to) return;
+
+        // The table lists rules group by group, so a rule can only move within its group
+        const groupOf = (key) => (findRuleGroup(wordMap[key].group) ? wordMap[key].group : GROUP_FILTER_NONE);
+        if (groupOf(originalText) !== groupOf(targetText)) {
+            showStatus('Rules can only be moved within their group. To put a rule in another group, use its Options.', true);
+            return;
+        }
+
+        const before = cloneRules(wordMap);
+        ordered.splice(from, 1);
+        ordered.splice(to, 0, originalText);
+        ordered.forEach((key, index) => {
+            wordMap[key].order = index;
+        });
+
+        const quotaError = validateStorageQuota(wordMap);
+        if (quotaError) {
+            showStatus(quotaError, true);
+            return;
+        }
+
+        saveRuleChange(before, wordMap, `Moved rule ${describeRuleKey(originalText)} ${to < from ? 'up' : 'down'}`, (error) => {
+            if (error) {
+                Logger.error('Failed to save the new order:', error);
+                showStatus('Error saving the new order.', true);
+                loadWordMap(); // Reload to revert to previous state
+                return;
+            }
+
+            loadWordMap(() => {
+                if (!keepFocus) return;
+                const row = [...document.querySelectorAll('#replacementList tr.rule-row')]
+                    .find(other => other.dataset.rule === originalText);
+                if (row) row.querySelector('.drag-handle').focus();
+            });
+        });
+    });
+}
+
+/**
+ * Moves a rule one place up or down its group (the arrow keys on its drag handle).
+ *
+ * @param {string} originalText - The rule to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ */
+function moveRuleBy(originalText, offset) {
+    const rows = [...document.querySelectorAll('#replacementList tr.rule-row')];
+    const index = rows.findIndex(row => row.dataset.rule === originalText);
+    const target = rows[index + offset];
+
+    // Already first or last in its group
+    if (index < 0 || !target || target.dataset.group !== rows[index].dataset.group) return;
+    moveRule(originalText, target.dataset.rule, true);
+}
+
+/**
+ * Displays a temporary status message to the user.
+ * The message automatically disappears after STATUS_DISPLAY_DURATION_MS
+ * (or STATUS_ACTION_DURATION_MS if it has a button).
+ *
+ * @param {string} message - The message to display
+ * @param {boolean} isError - Whether this is an error (red) or success (green) message
+ * @param {{label: string, onClick: Function}|null} action - An optional button shown after the message (e.g. "Undo")
+ */
+function showStatus(message, isError = false, action = null) {
+    const statusEl = document.getElementById('status');
+    if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.style.color = isError ? '#ff1744' : '#00e676';
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'status-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                statusEl.textContent = '';
+                action.onClick();
+            });
+            statusEl.appendChild(button);
+        }
+
+        // Clear message after configured duration (a newer message restarts the clock)
+        clearTimeout(statusTimeout);
+        statusTimeout = setTimeout(() => {
+            statusEl.textContent = '';
+        }, action ? STATUS_ACTION_DURATION_MS : STATUS_DISPLAY_DURATION_MS);
+    }
+}
+
+// -----------------------------------------------------------------------------
+// UNDO & HISTORY
+// Every change to your rules made on this page is saved through
+// saveRuleChange(), which remembers the rules before and after the change.
+//
+// - Undo/Redo only live as long as this page is open. They refuse to run if
+//   the rules were changed somewhere else in the meantime (another tab or
+//   device), so they can never throw away a change made there.
+// - The history is kept in chrome.storage.local: the last MAX_HISTORY_ENTRIES
+//   changes, each with a copy of the rules from BEFORE the change. Restoring
+//   an entry is a change like any other, so it can be undone too.
+// -----------------------------------------------------------------------------
+
+// The "Undo" button shown in status messages after a change
+const UNDO_STATUS_ACTION = { label: 'Undo', onClick: () => undoRuleChange() };
+
+/**
+ * Returns a deep copy of the rules, safe to keep while the original is edited.
+ *
+ * @param {Object} wordMap - The rules
+ * @returns {Object}
+ */
+function cloneRules(wordMap) {
+    return JSON.parse(JSON.stringify(wordMap));
+}
+
+/**
+ * Checks whether two sets of rules are the same (ignoring the order of rules,
+ * which may change when they are read back from storage).
+ *
+ * @param {Object} a - The rules
+ * @param {Object} b - The rules
+ * @returns {boolean}
+ */
+function rulesMatch(a, b) {
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && sameRule(a[key], b[key]));
+}
+
+/**
+ * Checks whether two rules have the same settings (in any order).
+ *
+ * @param {Object} a - A rule
+ * @param {Object} b - A rule
+ * @returns {boolean}
+ */
+function sameRule(a, b) {
+    const canonical = (rule) => JSON.stringify(Object.keys(rule).sort().map(field => [field, rule[field]]));
+    return canonical(a) === canonical(b);
+}
+
+/**
+ * Quotes a rule's original text for a change description, shortened if long.
+ *
+ * @param {string} key - The rule's original text
+ * @returns {string}
+ */
+function describeRuleKey(key) {
+    const text = key.length > MAX_DESCRIBED_KEY_LENGTH ? `${key.slice(0, MAX_DESCRIBED_KEY_LENGTH)}…` : key;
+    return `"${text}"`;
+}
+
+/**
+ * Describes an edit made in the rules table, for Undo and the history.
+ *
+ * @param {string} originalText - The rule's original text (before the edit)
+ * @param {string} field - The field that was changed
+ * @param {*} newValue - Its new value
+ * @returns {string}
+ */
+function describeRuleEdit(originalText, field, newValue) {
+    if (field === 'originalText') {
+        return `Renamed rule ${describeRuleKey(originalText)} to ${describeRuleKey(newValue)}`;
+    }
+    if (field === 'enabled') {
+        return `Switched rule ${describeRuleKey(originalText)} ${newValue ? 'on' : 'off'}`;
+    }
+    return `Edited rule ${describeRuleKey(originalText)}`;
+}
+
+/**
+ * Saves the rules after a change, and remembers the change for Undo and in
+ * the history. Use this (not saveRules) for every change to your rules.
+ *
+ * @param {Object} before - A copy of the rules before the change
+ * @param {Object} wordMap - The rules after the change
+ * @param {string} description - What changed, e.g. 'Removed rule "cat"'
+ * @param {Function} callback - Receives an error, or null once saved
+ */
+function saveRuleChange(before, wordMap, description, callback) {
+    saveRules(wordMap, (error) => {
+        if (!error) {
+            undoStack.push({ description, before, after: cloneRules(wordMap) });
+            if (undoStack.length > MAX_UNDO_STEPS) {
+                undoStack.shift();
+            }
+            redoStack = []; // A new change starts a new line of changes
+            updateUndoButtons();
+            addHistoryEntry(description, before);
+        }
+        callback(error);
+    });
+}
+
+/**
+ * Undoes the last change made on this page.
+ */
+function undoRuleChange() {
+    replayRuleChange(true);
+}
+
+/**
+ * Makes the last undone change again.
+ */
+function redoRuleChange() {
+    replayRuleChange(false);
+}
+
+/**
+ * Moves the rules one step back (undo) or forward (redo).
+ *
+ * @param {boolean} undo - True to undo, false to redo
+ */
+function replayRuleChange(undo) {
+    const fromStack = undo ? undoStack : redoStack;
+    const toStack = undo ? redoStack : undoStack;
+    if (undoRunning) return;
+    if (fromStack.length === 0) {
+        showStatus(undo ? 'Nothing to undo.' : 'Nothing to redo.');
+        return;
+    }
+
+    const change = fromStack.pop();
+    const expected = undo ? change.after : change.before;
+    const target = undo ? change.before : change.after;
+    undoRunning = true;
+
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            undoRunning = false;
+            fromStack.push(change);
+            Logger.error('Failed to get word map for undo:', loadError);
+            showStatus('Error loading data. Nothing was changed.', true);
+            return;
+        }
+
+        // Someone else changed the rules since: going back would lose their change
+        if (!rulesMatch(wordMap, expected)) {
+            undoRunning = false;
+            undoStack = [];
+            redoStack = [];
+            updateUndoButtons();
+            showStatus('Your rules were changed in another tab or on another device, so this can\'t be undone. Use History to restore older rules.', true);
+            return;
+        }
+
+        const quotaError = validateStorageQuota(target);
+        if (quotaError) {
+            undoRunning = false;
+            fromStack.push(change);
+            showStatus(quotaError, true);
+            return;
+        }
+
+        saveRules(target, (error) => {
+            undoRunning = false;
+            if (error) {
+                fromStack.push(change);
+                Logger.error('Failed to save undo:', error);
+                showStatus('Error saving changes.', true);
+                return;
+            }
+
+            toStack.push(change);
+            updateUndoButtons();
+            addHistoryEntry(`${undo ? 'Undid' : 'Redid'}: ${change.description}`, wordMap);
+            loadWordMap();
+            showStatus(`${undo ? 'Undone' : 'Redone'}: ${change.description}`, false, {
+                label: undo ? 'Redo' : 'Undo',
+                onClick: () => replayRuleChange(!undo)
+            });
+        });
+    });
+}
+
+/**
+ * Enables the Undo and Redo buttons when there's something to undo or redo,
+ * and names the change in their tooltip.
+ */
+function updateUndoButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const lastUndo = undoStack[undoStack.length - 1];
+    const lastRedo = redoStack[redoStack.length - 1];
+
+    undoBtn.disabled = !lastUndo;
+    undoBtn.title = lastUndo ? `Undo: ${lastUndo.description}` : 'Nothing to undo';
+    redoBtn.disabled = !lastRedo;
+    redoBtn.title = lastRedo ? `Redo: ${lastRedo.description}` : 'Nothing to redo';
+}
+
+/**
+ * Adds a change to the history. Entries are queued and written one batch at
+ * a time, so quick changes in a row can't overwrite each other's entries.
+ *
+ * @param {string} description - What changed
+ * @param {Object} rules - A copy of the rules from before the change
+ */
+function addHistoryEntry(description, rules) {
+    historyQueue.push({ time: Date.now(), description, rules });
+    writeHistoryQueue();
+}
+
+/**
+ * Writes the queued history entries (newest first), keeping the last
+ * MAX_HISTORY_ENTRIES. A failure only costs the history, never the change.
+ */
+function writeHistoryQueue() {
+    if (historyWriting || historyQueue.length === 0) return;
+    historyWriting = true;
+    const entries = historyQueue.splice(0).reverse();
+
+    const done = () => {
+        historyWriting = false;
+        writeHistoryQueue(); // Entries added while we were writing
+    };
+
+    chrome.storage.local.get(HISTORY_KEY, (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to load history:', chrome.runtime.lastError);
+            done();
+            return;
+        }
+
+        const history = [...entries, ...(data[HISTORY_KEY] || [])].slice(0, MAX_HISTORY_ENTRIES);
+        chrome.storage.local.set({ [HISTORY_KEY]: history }, () => {
+            if (chrome.runtime.lastError) {
+                Logger.error('Failed to save history:', chrome.runtime.lastError);
+            }
+            done();
+        });
+    });
+}
+
+/**
+ * Loads the history and shows it in the History box.
+ */
+function loadHistory() {
+    chrome.storage.local.get(HISTORY_KEY, (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to load history:', chrome.runtime.lastError);
+            return;
+        }
+        renderHistory(data[HISTORY_KEY] || []);
+    });
+}
+
+/**
+ * Builds the list in the History box, newest change first.
+ *
+ * @param {Object[]} history - The stored history entries
+ */
+function renderHistory(history) {
+    const list = document.getElementById('historyList');
+    list.textContent = ''; // Clear existing entries
+    document.getElementById('clearHistoryBtn').disabled = history.length === 0;
+
+    if (history.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'settings-hint';
+        empty.textContent = 'No changes yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const entry of history) {
+        const item = document.createElement('li');
+        item.className = 'group-item';
+
+        const text = document.createElement('span');
+        text.className = 'subscription-url';
+        text.textContent = `${new Date(entry.time).toLocaleString()}: ${entry.description}`;
+        text.title = text.textContent;
+
+        const ruleCount = Object.keys(entry.rules).length;
+        const count = document.createElement('span');
+        count.className = 'settings-hint';
+        count.textContent = `${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'} before`;
+
+        const restoreButton = createGroupButton('Restore',
+            `Restore the rules as they were before: ${entry.description}`,
+            () => restoreHistoryEntry(entry));
+
+        item.appendChild(text);
+        item.appendChild(count);
+        item.appendChild(restoreButton);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Puts the rules back the way they were before a change in the history.
+ *
+ * @param {Object} entry - The history entry
+ */
+function restoreHistoryEntry(entry) {
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for restore:', loadError);
+            showStatus('Error loading data. Rules not restored.', true);
+            return;
+        }
+
+        const rules = cloneRules(entry.rules);
+        const quotaError = validateStorageQuota(rules);
+        if (quotaError) {
+            showStatus(quotaError, true);
+            return;
+        }
+
+        const description = `Restored the rules from before: ${entry.description}`;
+        saveRuleChange(wordMap, rules, description, (error) => {
+            if (error) {
+                Logger.error('Failed to restore rules:', error);
+                showStatus('Error restoring rules.', true);
+                return;
+            }
+            loadWordMap();
+            showStatus('Rules restored.', false, UNDO_STATUS_ACTION);
+        });
+    });
+}
+
+/**
+ * Deletes the history (your rules stay as they are).
+ */
+function clearHistory() {
+    if (!confirm('Clear the history of rule changes?\n\nYour rules are not changed.')) {
+        return;
+    }
+
+    chrome.storage.local.remove(HISTORY_KEY, () => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to clear history:', chrome.runtime.lastError);
+            showStatus('Error clearing history.', true);
+            return;
+        }
+        showStatus('History cleared.');
+    });
+}
+
+// -----------------------------------------------------------------------------
+// BACKUPS
+// Copies of your rules and settings, made by the background service worker
+// every day and after changes, or here with "Back Up Now" (see BACKUPS in
+// storage.js). Restoring one first backs up what you have, so a restore can
+// itself be undone by restoring that backup.
+// -----------------------------------------------------------------------------
+
+/**
+ * Loads the backups and the number to keep, and shows them in the Backups box.
+ */
+function loadBackups() {
+    chrome.storage.local.get([BACKUPS_KEY, BACKUP_SETTINGS_KEY], (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to load backups:', chrome.runtime.lastError);
+            return;
+        }
+        document.getElementById('backupKeep').value = String(getBackupsKept(data[BACKUP_SETTINGS_KEY]));
+        renderBackups(data[BACKUPS_KEY] || []);
+    });
+}
+
+/**
+ * Builds the list in the Backups box, newest first.
+ *
+ * @param {Object[]} backups - The stored backups
+ */
+function renderBackups(backups) {
+    const list = document.getElementById('backupList');
+    list.textContent = ''; // Clear existing entries
+
+    if (backups.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'settings-hint';
+        empty.textContent = 'No backups yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const backup of backups) {
+        const item = document.createElement('li');
+        item.className = 'group-item';
+
+        const when = new Date(backup.time).toLocaleString();
+        const text = document.createElement('span');
+        text.className = 'subscription-url';
+        text.textContent = `${when}: ${BACKUP_REASONS[backup.reason] || backup.reason}`;
+
+        const ruleCount = Object.keys(backup.rules).length;
+        const count = document.createElement('span');
+        count.className = 'settings-hint';
+        count.textContent = `${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'}`;
+
+        const compareButton = createGroupButton('Compare', `Show what restoring the backup from ${when} would change`,
+            () => compareBackup(backup));
+        const restoreButton = createGroupButton('Restore', `Restore the rules and settings from ${when}`,
+            () => restoreBackup(backup));
+
+        item.appendChild(text);
+        item.appendChild(count);
+        item.appendChild(compareButton);
+        item.appendChild(restoreButton);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Makes a backup right away (even if nothing changed since the last one).
+ */
+function backUpNow() {
+    createBackup('manual', (error) => {
+        if (error) {
+            Logger.error('Failed to back up rules:', error);
+            showStatus('Error saving backup.', true);
+            return;
+        }
+        showStatus('Backup saved.');
+    });
+}
+
+/**
+ * Saves how many backups to keep, and drops the oldest ones beyond that now.
+ */
+function saveBackupsKept() {
+    const input = document.getElementById('backupKeep');
+    const keep = Number(input.value);
+    if (!Number.isInteger(keep) || keep < 1 || keep > MAX_BACKUPS_KEPT) {
+        showStatus(`Keep between 1 and ${MAX_BACKUPS_KEPT} backups.`, true);
+        loadBackups(); // Reset UI to previous valid state
+        return;
+    }
+
+    chrome.storage.local.get(BACKUPS_KEY, (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to load backups:', chrome.runtime.lastError);
+            showStatus('Error saving setting.', true);
+            return;
+        }
+
+        const backups = (data[BACKUPS_KEY] || []).slice(0, keep);
+        chrome.storage.local.set({ [BACKUP_SETTINGS_KEY]: { keep }, [BACKUPS_KEY]: backups }, () => {
+            if (chrome.runtime.lastError) {
+                Logger.error('Failed to save backup settings:', chrome.runtime.lastError);
+                showStatus('Error saving setting.', true);
+                return;
+            }
+            showStatus(`Keeping the last ${keep} ${keep === 1 ? 'backup' : 'backups'}.`);
+        });
+    });
+}
+
+/**
+ * Lists what restoring a backup would change, compared with what you have now.
+ *
+ * @param {Object} backup - The backup
+ * @param {Object} currentRules - Your rules now
+ * @param {Object} currentSettings - Your backed-up settings now
+ * @returns {string[]} - One line per change (empty if the backup matches)
+ */
+function describeBackupChanges(backup, currentRules, currentSettings) {
+    const lines = [];
+    const describe = (key, rule) => `${describeRuleKey(key)} → "${rule.replacement}"`;
+
+    for (const [key, rule] of Object.entries(backup.rules)) {
+        const current = currentRules[key];
+        if (!current) {
+            lines.push(`Brings back ${describe(key, rule)}`);
+        } else if (!sameRule(current, rule)) {
+            if (current.replacement !== rule.replacement) {
+                lines.push(`Changes ${describeRuleKey(key)} from "${current.replacement}" to "${rule.replacement}"`);
+            } else if (sameRule({ ...current, order: null }, { ...rule, order: null })) {
+                lines.push(`Moves ${describeRuleKey(key)} to another place in the list`);
+            } else {
+                lines.push(`Changes the options of ${describeRuleKey(key)}`);
+            }
+        }
+    }
+    for (const [key, rule] of Object.entries(currentRules)) {
+        if (!(key in backup.rules)) {
+            lines.push(`Removes ${describe(key, rule)}`);
+        }
+    }
+
+    for (const key of BACKED_UP_SETTINGS) {
+        if (JSON.stringify(backup.settings[key]) !== JSON.stringify(currentSettings[key])) {
+            lines.push(`Changes the ${BACKUP_SETTING_LABELS[key]} settings`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Shows what restoring a backup would change, under the list of backups.
+ *
+ * @param {Object} backup - The backup to compare with your current rules and settings
+ */
+function compareBackup(backup) {
+    loadRules((currentRules, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for comparison:', loadError);
+            showStatus('Error loading rules.', true);
+            return;
+        }
+
+        chrome.storage.sync.get(BACKED_UP_SETTINGS, (currentSettings) => {
+            if (chrome.runtime.lastError) {
+                Logger.error('Failed to load settings for comparison:', chrome.runtime.lastError);
+                showStatus('Error loading settings.', true);
+                return;
+            }
+
+            const lines = describeBackupChanges(backup, currentRules, currentSettings);
+            const when = new Date(backup.time).toLocaleString();
+            document.getElementById('backupDiffTitle').textContent = lines.length === 0
+                ? `The backup from ${when} is the same as what you have now.`
+                : `Restoring the backup from ${when}:`;
+
+            const list = document.getElementById('backupDiffList');
+            list.textContent = '';
+            for (const line of lines.slice(0, MAX_LISTED_BACKUP_CHANGES)) {
+                const item = document.createElement('li');
+                item.textContent = line;
+                list.appendChild(item);
+            }
+            if (lines.length > MAX_LISTED_BACKUP_CHANGES) {
+                const more = document.createElement('li');
+                more.textContent = `…and ${lines.length - MAX_LISTED_BACKUP_CHANGES} more.`;
+                list.appendChild(more);
+            }
+            document.getElementById('backupDiff').hidden = false;
+        });
+    });
+}
+
+/**
+ * Replaces your rules and settings with those of a backup.
+ * What you have now is backed up first.
+ *
+ * @param {Object} backup - The backup to restore
+ */
+function restoreBackup(backup) {
+    const when = new Date(backup.time).toLocaleString();
+    if (!confirm(`Restore the backup from ${when}?\n\nYour current rules and settings are replaced. A backup of them is made first.`)) {
+        return;
+    }
+
+    const quotaError = validateStorageQuota(backup.rules);
+    if (quotaError) {
+        showStatus(quotaError, true);
+        return;
+    }
+
+    createBackup('restore', (backupError) => {
+        if (backupError) {
+            Logger.error('Failed to back up before restoring:', backupError);
+            showStatus('Error saving a backup of your current rules. Nothing was restored.', true);
+            return;
+        }
+
+        loadRules((currentRules, loadError) => {
+            if (loadError) {
+                Logger.error('Failed to get word map for restore:', loadError);
+                showStatus('Error loading data. Backup not restored.', true);
+                return;
+            }
+
+            // Settings (and groups) first, so restored rules never point at a missing group.
+            // Settings the backup doesn't have didn't exist yet: go back to their defaults.
+            const missing = BACKED_UP_SETTINGS.filter(key => !(key in backup.settings));
+            chrome.storage.sync.set(backup.settings, () => {
+                if (chrome.runtime.lastError) {
+                    Logger.error('Failed to restore settings:', chrome.runtime.lastError);
+                    showStatus('Error restoring settings. Your rules were not changed.', true);
+                    return;
+                }
+
+                chrome.storage.sync.remove(missing, () => {
+                    if (chrome.runtime.lastError) {
+                        Logger.warn('Failed to reset settings missing from the backup:', chrome.runtime.lastError);
+                    }
+
+                    saveRuleChange(currentRules, cloneRules(backup.rules), `Restored the backup from ${when}`, (error) => {
+                        if (error) {
+                            Logger.error('Failed to restore rules:', error);
+                            showStatus('Error restoring rules. Settings were restored.', true);
+                            return;
+                        }
+                        document.getElementById('backupDiff').hidden = true;
+                        loadSettings();
+                        loadWordMap();
+                        loadSubscriptions();
+                        showStatus('Backup restored.');
+                    });
+                });
+            });
+        });
+    });
+}
+
+// -----------------------------------------------------------------------------
+// EXPORT/IMPORT FUNCTIONALITY
+// Allows users to backup their rules and share them between devices.
+// -----------------------------------------------------------------------------
+
+/**
+ * Exports all replacement rules to a file, in the format picked next to the
+ * Export button: our JSON backup (default), CSV, TSV or "old => new" text.
+ * This creates a downloadable backup that users can save and import later.
+ */
+function exportRules() {
+    const format = document.getElementById('exportFormat').value;
+
+    loadRules((wordMap, error) => {
+        // Error handling: Check if the Chrome API call failed
+        if (error) {
+            Logger.error('Failed to get word map for export:', error);
+            showStatus('Error loading rules for export.', true);
+            return;
+        }
+
+        // Check if there are any rules to export
+        if (Object.keys(wordMap).length === 0) {
+            showStatus('No rules to export!', true);
+            return;
+        }
+
+        // Write the rules in the order they run, so importing the file keeps it
+        wordMap = Object.fromEntries(sortRules(wordMap, ruleGroups));
+
+        // Spreadsheet and text formats (see formats.js)
+        if (format === 'csv' || format === 'tsv') {
+            const rows = rulesToRows(wordMap, groupId => (findRuleGroup(groupId) || { name: '' }).name);
+            const delimiter = format === 'tsv' ? '\t' : ',';
+            const mimeType = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
+            downloadFile(toDelimited(rows, delimiter), format, mimeType);
+            showStatus(`Exported ${rows.length - 1} rules successfully!`);
+            return;
+        }
+
+        if (format === 'txt') {
+            const { text, skipped } = toArrowLines(wordMap);
+            downloadFile(text, 'txt', 'text/plain');
+            const exported = Object.keys(wordMap).length - skipped;
+            showStatus(skipped > 0
+                ? `Exported ${exported} rules. ${skipped} rules contain "${ARROW_SEPARATOR}" or line breaks and were left out.`
+                : `Exported ${exported} rules successfully! (Rule options are only kept in JSON, CSV and TSV.)`);
+            return;
+        }
+
+        // Create a JSON export object with metadata
+        // This helps with version compatibility in the future
+        const exportData = {
+            version: '2.0', // Extension version
+            exportedAt: new Date().toISOString(), // Timestamp for user reference
+            rulesCount: Object.keys(wordMap).length,
+            rules: wordMap,
+            groups: ruleGroups
+        };
+
+        // Convert to pretty-printed JSON (easier to read if user opens the file)
+        const jsonString = JSON.stringify(exportData, null, 2);
+        downloadFile(jsonString, 'json', 'application/json');
+
+        Logger.debug('Rules exported successfully:', Object.keys(wordMap).length, 'rules');
+        showStatus(`Exported ${Object.keys(wordMap).length} rules successfully!`);
+    });
+}
+
+/**
+ * Offers text as a file download, named after today's date.
+ *
+ * @param {string} content - The file contents
+ * @param {string} extension - File extension, e.g. 'json' or 'csv'
+ * @param {string} mimeType - The file type, e.g. 'application/json'
+ */
+function downloadFile(content, extension, mimeType) {
+    // Create a Blob (binary large object) from the text
+    // This is required to create a downloadable file in the browser
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+
+    // Create a temporary download link
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+
+    // Generate filename with current date for easy organization
+    // Example: "text-replacement-rules-2025-01-09.json"
+    const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    a.download = `text-replacement-rules-${dateStr}.${extension}`;
+
+    // Trigger the download by programmatically clicking the link
+    document.body.appendChild(a);
+    a.click();
+
+    // Clean up: remove the temporary link and revoke the blob URL
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Imports replacement rules from a file.
+ * Nothing is saved right away: the file is shown in the Import Preview box,
+ * where you choose to merge or replace and resolve conflicts.
+ *
+ * @param {File} file - The JSON, CSV, TSV or text file selected by the user
+ */
+function importRules(file) {
+    // Validation: Ensure a file was actually selected
+    if (!file) {
+        Logger.warn('Import attempted with no file selected');
+        return;
+    }
+
+    // Spreadsheets and "old => new" text files are read by formats.js
+    const extension = file.name.toLowerCase().split('.').pop();
+    if (TABLE_IMPORT_FORMATS.includes(extension)) {
+        importTableFile(file, extension);
+        return;
+    }
+
+    // Validation: Check file type (basic security check)
+    if (extension !== 'json') {
+        showStatus('Please select a JSON, CSV, TSV or text file!', true);
+        return;
+    }
+
+    // FileReader API allows us to read the contents of the file
+    const reader = new FileReader();
+
+    // This function runs after the file is successfully read
+    reader.onload = (e) => {
+        try {
+            // Parse the JSON file contents
+            const importData = JSON.parse(e.target.result);
+
+            // Validation: Check if this is a valid export file
+            if (!importData || !importData.rules || typeof importData.rules !== 'object' || Array.isArray(importData.rules)) {
+                showStatus('Invalid file format! Please select a valid export file.', true);
+                Logger.error('Invalid import file structure:', importData);
+                return;
+            }
+
+            const importedRules = importData.rules;
+            const importCount = Object.keys(importedRules).length;
+
+            // Validation: Check if the file has any rules
+            if (importCount === 0) {
+                showStatus('The import file contains no rules!', true);
+                return;
+            }
+
+            // Groups used by the imported rules (files exported before groups existed have none)
+            const importedGroups = (Array.isArray(importData.groups) ? importData.groups : [])
+                .filter(group => group && typeof group.id === 'string' && typeof group.name === 'string')
+                .map(group => ({
+                    id: group.id,
+                    name: group.name.trim(),
+                    enabled: group.enabled !== false,
+                    ...(Array.isArray(group.sites) && group.sites.length > 0 ? { sites: parseSitePatterns(group.sites.join('\n')) } : {})
+                }));
+
+            // Nothing is saved yet: every rule is checked and compared in the Import Preview
+            const entries = Object.entries(importedRules).map(([original, data], index) => ({ line: index + 1, original, data }));
+            openImportPreview({ format: 'json', fileName: file.name, entries, mapping: [], hasHeader: false, groups: importedGroups });
+
+        } catch (error) {
+            // Handle JSON parsing errors or other exceptions
+            Logger.error('Failed to parse import file:', error);
+            showStatus('Invalid JSON file! Please check the file format.', true);
+        }
+    };
+
+    // This function runs if file reading fails
+    reader.onerror = () => {
+        Logger.error('Failed to read import file:', reader.error);
+        showStatus('Error reading file. Please try again.', true);
+    };
+
+    // Start reading the file as text
+    // This is asynchronous - the onload function above will be called when done
+    reader.readAsText(file);
+
+    // Reset the file input so the same file can be selected again if needed
+    document.getElementById('importFile').value = '';
+}
+
+// -----------------------------------------------------------------------------
+// IMPORT PREVIEW
+// Every import is shown in the Import Preview box before anything is saved.
+// The box compares the file with your current rules (new, unchanged,
+// conflicting, to be removed), lets you keep your version or take the file's
+// version of each conflicting rule, and lists every row that can't be imported.
+//
+// CSV, TSV and "old => new" files are read with formats.js; for CSV and TSV
+// you can also say which column holds what.
+// -----------------------------------------------------------------------------
+
+/**
+ * Reads a CSV, TSV or text file and opens the import preview.
+ *
+ * @param {File} file - The file selected by the user
+ * @param {string} format - 'csv', 'tsv' or 'txt'
+ */
+function importTableFile(file, format) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+        const text = e.target.result;
+        let entries;
+        let mapping;
+        let hasHeader;
+
+        if (format === 'txt') {
+            // Always exactly "old => new", nothing to map
+            entries = parseArrowLines(text);
+            mapping = ['original', 'replacement'];
+            hasHeader = false;
+        } else {
+            const rows = parseDelimited(text, format === 'tsv' ? '\t' : ',');
+            entries = rows.map((cells, index) => ({ line: index + 1, cells }));
+
+            // Use the header row if we recognize it, otherwise guess "original, replacement, ..."
+            mapping = rows.length > 0 ? guessColumnMapping(rows[0]) : [];
+            hasHeader = mapping.some(field => field !== '');
+            if (!hasHeader) {
+                mapping = (rows[0] || []).map((cell, index) => ['original', 'replacement'][index] || '');
+            }
+        }
+
+        if (entries.length === 0) {
+            showStatus('The import file contains no rules!', true);
+            return;
+        }
+
+        openImportPreview({ format, fileName: file.name, entries, mapping, hasHeader, groups: [] });
+    };
+
+    reader.onerror = () => {
+        Logger.error('Failed to read import file:', reader.error);
+        showStatus('Error reading file. Please try again.', true);
+    };
+
+    reader.readAsText(file);
+    document.getElementById('importFile').value = '';
+}
+
+/**
+ * Loads the current rules (to compare with) and opens the Import Preview box.
+ *
+ * @param {Object} importState - { format, fileName, entries, mapping, hasHeader, groups }
+ */
+function openImportPreview(importState) {
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for import:', loadError);
+            showStatus('Error loading current rules.', true);
+            return;
+        }
+
+        pendingImport = {
+            ...importState,
+            current: wordMap,
+            mode: 'merge',
+            choices: new Map() // Original text -> 'mine' or 'theirs', for conflicting rules
+        };
+        document.getElementById('importMode').value = 'merge';
+        renderImportPreview();
+    });
+}
+
+/**
+ * Turns one row of a CSV/TSV/text file into a rule, checking it like the Add form does.
+ *
+ * @param {Object} entry - { line, cells, error? } from formats.js
+ * @param {string[]} mapping - The field of each column ('' = ignored)
+ * @returns {Object} - { original, rule, group } or { error }
+ */
+function entryToRule(entry, mapping) {
+    if (entry.error) {
+        return { error: entry.error };
+    }
+
+    const cell = (field) => {
+        const index = mapping.indexOf(field);
+        return index === -1 || entry.cells[index] === undefined ? '' : entry.cells[index];
+    };
+
+    // Yes/no columns, with the same defaults as the Add form
+    const values = {};
+    const booleanDefaults = { caseSensitive: false, enabled: true, preserveCase: false, isRegex: false, sync: false, ignoreAccents: false, reveal: false, keepOriginal: false };
+    for (const [field, defaultValue] of Object.entries(booleanDefaults)) {
+        values[field] = parseBooleanCell(cell(field), defaultValue);
+        if (values[field] === null) {
+            const column = RULE_COLUMNS.find(c => c.field === field);
+            return { error: `"${cell(field)}" is not yes/no (${column.label})` };
+        }
+    }
+
+    // Conversions are written "mi>km" (unit ids in any case), with their settings in columns of their own
+    let convert = null;
+    if (cell('convert').trim()) {
+        const units = cell('convert').split(/[>→]/).map(text => text.trim());
+        const unitId = text => Object.values(CONVERSION_KINDS)
+            .flatMap(({ units: kindUnits }) => Object.keys(kindUnits))
+            .find(id => id.toLowerCase() === text.toLowerCase()) || text;
+        if (units.length !== 2) {
+            return { error: `"${cell('convert')}" is not a conversion (write it like mi>km)` };
+        }
+        convert = { from: unitId(units[0]), to: unitId(units[1]) };
+        if (cell('rate').trim()) {
+            convert.rate = Number(cell('rate').trim());
+        }
+        if (cell('decimals').trim()) {
+            convert.decimals = Number(cell('decimals').trim());
+        }
+        if (values.keepOriginal) {
+            convert.keepOriginal = true;
+        }
+    }
+
+    const groupName = cell('group').trim();
+    return checkImportedRule(cell('original'), {
+        ...values,
+        convert,
+        replacement: cell('replacement'),
+        flags: cell('flags').trim(),
+        matchMode: cell('matchMode').trim().toLowerCase() || 'word',
+        normalize: cell('normalize').trim().toUpperCase(),
+        action: cell('action').trim().toLowerCase() || 'replace',
+        sites: parseSitePatterns(cell('sites'))
+    }, groupName ? { name: groupName } : null);
+}
+
+/**
+ * Turns one rule of a JSON backup into a rule, checking every field.
+ * Files can be edited by hand (or come from someone else), so nothing is trusted.
+ *
+ * @param {Object} entry - { line, original, data }
+ * @param {Object[]} groups - The groups listed in the file
+ * @returns {Object} - { original, rule, group } or { error }
+ */
+function jsonEntryToRule(entry, groups) {
+    const data = entry.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { error: 'Not a valid rule' };
+    }
+    if (typeof data.replacement !== 'string') {
+        return { error: '"replacement" must be text' };
+    }
+    for (const field of ['caseSensitive', 'enabled', 'preserveCase', 'isRegex', 'sync', 'ignoreAccents', 'reveal']) {
+        if (field in data && typeof data[field] !== 'boolean') {
+            return { error: `"${field}" must be true or false` };
+        }
+    }
+    for (const field of ['flags', 'matchMode', 'normalize', 'action']) {
+        if (field in data && typeof data[field] !== 'string') {
+            return { error: `"${field}" must be text` };
+        }
+    }
+    if ('sites' in data && (!Array.isArray(data.sites) || data.sites.some(site => typeof site !== 'string'))) {
+        return { error: '"sites" must be a list of sites' };
+    }
+    if ('convert' in data && (!data.convert || typeof data.convert !== 'object' || Array.isArray(data.convert))) {
+        return { error: '"convert" must be conversion settings ({ "from": "mi", "to": "km" })' };
+    }
+
+    // Rules point at groups by ID; unknown IDs simply mean "no group"
+    const group = typeof data.group === 'string' ? groups.find(candidate => candidate.id === data.group) : null;
+
+    return checkImportedRule(entry.original, {
+        replacement: data.replacement,
+        caseSensitive: data.caseSensitive === true,
+        enabled: data.enabled !== false,
+        preserveCase: data.preserveCase === true,
+        isRegex: data.isRegex === true,
+        sync: data.sync === true,
+        ignoreAccents: data.ignoreAccents === true,
+        flags: (data.flags || '').trim(),
+        matchMode: data.matchMode || 'word',
+        normalize: data.normalize || '',
+        action: data.action || 'replace',
+        reveal: data.reveal === true,
+        // Only the known conversion settings are kept
+        convert: data.convert
+            ? Object.fromEntries(['from', 'to', ...CONVERSION_SETTINGS]
+                .filter(field => field in data.convert)
+                .map(field => [field, data.convert[field]]))
+            : null,
+        sites: parseSitePatterns((data.sites || []).join('\n'))
+    }, group || null);
+}
+
+/**
+ * Checks an imported rule like the Add form does, and builds it the way it's stored.
+ *
+ * @param {string} original - The text (or pattern) to find
+ * @param {Object} values - replacement, caseSensitive, enabled, preserveCase, isRegex, sync,
+ *   ignoreAccents, flags, matchMode, normalize, action, reveal, convert (or null), sites
+ * @param {Object|null} group - The rule's group ({ name } at least), or null
+ * @returns {Object} - { original, rule, group } or { error }
+ */
+function checkImportedRule(original, values, group) {
+    if (!original || !original.trim()) {
+        return { error: 'Original text is empty' };
+    }
+    if (original.length > MAX_PATTERN_LENGTH || values.replacement.length > MAX_PATTERN_LENGTH) {
+        return { error: `Text too long (maximum ${MAX_PATTERN_LENGTH} characters)` };
+    }
+    const templateError = validateReplacementTemplate(values.replacement);
+    if (templateError) {
+        return { error: templateError };
+    }
+
+    const rule = {
+        replacement: values.replacement,
+        caseSensitive: values.caseSensitive,
+        enabled: values.enabled
+    };
+
+    if (values.convert) {
+        if (values.isRegex) {
+            return { error: 'A conversion rule can\'t be a regex rule' };
+        }
+        const conversionError = validateConversion(values.convert);
+        if (conversionError) {
+            return { error: conversionError };
+        }
+        rule.convert = values.convert;
+    }
+
+    // Only store optional settings when they're switched on (keeps rules small)
+    if (values.preserveCase && !values.caseSensitive) {
+        rule.preserveCase = true;
+    }
+    if (values.isRegex) {
+        const regexError = validateRegexRule(original, values.flags, values.caseSensitive);
+        if (regexError) {
+            return { error: regexError };
+        }
+        rule.isRegex = true;
+        rule.flags = values.flags;
+    }
+    if (!Object.prototype.hasOwnProperty.call(MATCH_MODES, values.matchMode)) {
+        return { error: `"${values.matchMode}" is not a Match setting (${Object.keys(MATCH_MODES).join(', ')})` };
+    }
+    if (values.matchMode !== 'word') {
+        rule.matchMode = values.matchMode;
+    }
+    if (values.ignoreAccents) {
+        rule.ignoreAccents = true;
+    }
+    if (!Object.prototype.hasOwnProperty.call(NORMALIZE_FORMS, values.normalize)) {
+        return { error: `"${values.normalize}" is not a Unicode normalization (NFC or NFKC)` };
+    }
+    if (values.normalize) {
+        rule.normalize = values.normalize;
+    }
+    if (values.action !== 'replace' && !MASK_ACTIONS.includes(values.action)) {
+        return { error: `"${values.action}" is not an Action (${['replace', ...MASK_ACTIONS].join(', ')})` };
+    }
+    if (values.action !== 'replace') {
+        rule.action = values.action;
+        if (values.reveal) {
+            rule.reveal = true;
+        }
+    }
+    if (values.sync) {
+        rule.sync = true;
+    }
+    if (values.sites.length > 0) {
+        const patternError = validateSitePatterns(values.sites);
+        if (patternError) {
+            return { error: patternError };
+        }
+        rule.sites = values.sites;
+    }
+
+    if (group && (!group.name.trim() || group.name.length > MAX_GROUP_NAME_LENGTH)) {
+        return { error: `Group name must be 1 to ${MAX_GROUP_NAME_LENGTH} characters` };
+    }
+
+    return { original, rule, group };
+}
+
+/**
+ * Describes a rule in a way that can be compared, ignoring how it's stored
+ * (missing vs. false settings, group IDs vs. names).
+ *
+ * @param {Object} rule - A rule as stored
+ * @param {string} groupName - The name of the rule's group ('' for none)
+ * @returns {string}
+ */
+function describeRule(rule, groupName) {
+    return JSON.stringify([
+        rule.replacement,
+        Boolean(rule.caseSensitive),
+        rule.enabled !== false,
+        Boolean(rule.preserveCase),
+        Boolean(rule.isRegex),
+        rule.isRegex ? rule.flags || '' : '',
+        rule.matchMode || 'word',
+        Boolean(rule.ignoreAccents),
+        rule.normalize || '',
+        isMaskingRule(rule) ? rule.action : 'replace',
+        isMaskingRule(rule) && Boolean(rule.reveal),
+        isConversionRule(rule)
+            ? [rule.convert.from, rule.convert.to, rule.convert.rate, rule.convert.decimals, rule.convert.keepOriginal === true]
+            : null,
+        rule.sites || [],
+        groupName.toLowerCase(),
+        Boolean(rule.sync)
+    ]);
+}
+
+/**
+ * Checks every rule of the pending import and compares it with the current rules.
+ *
+ * @returns {Object} - rules: usable rules in file order ({ line, original, rule, group, status }
+ *   where status is 'new', 'same' or 'conflict'), errors: ({ line, message }),
+ *   removed: current rules not in the file (only when replacing)
+ */
+function checkPendingImport() {
+    const { format, entries, mapping, hasHeader, groups, current, mode } = pendingImport;
+    const rules = [];
+    const errors = [];
+    const seen = new Map(); // Original text -> line it was first seen on
+
+    for (const entry of hasHeader ? entries.slice(1) : entries) {
+        const result = format === 'json' ? jsonEntryToRule(entry, groups) : entryToRule(entry, mapping);
+        if (result.error) {
+            errors.push({ line: entry.line, message: result.error });
+            continue;
+        }
+        if (seen.has(result.original)) {
+            errors.push({ line: entry.line, message: `Same original text as row ${seen.get(result.original)}` });
+            continue;
+        }
+        seen.set(result.original, entry.line);
+
+        let status = 'new';
+        const mine = current[result.original];
+        if (mine) {
+            const myGroupName = (findRuleGroup(mine.group) || { name: '' }).name;
+            const theirGroupName = result.group ? result.group.name : '';
+            status = describeRule(mine, myGroupName) === describeRule(result.rule, theirGroupName) ? 'same' : 'conflict';
+        }
+        rules.push({ line: entry.line, ...result, status });
+    }
+
+    const removed = mode === 'replace' ? Object.keys(current).filter(original => !seen.has(original)) : [];
+    return { rules, errors, removed };
+}
+
+/**
+ * Which version of a conflicting rule will be kept.
+ *
+ * @param {string} original - The rule's original text
+ * @returns {string} - 'mine' or 'theirs'
+ */
+function getImportChoice(original) {
+    return pendingImport.choices.get(original) || 'theirs';
+}
+
+/**
+ * Shows the Import Preview box for the pending import: the column choices,
+ * the comparison with your rules, and every row that can't be imported.
+ */
+function renderImportPreview() {
+    const { format, fileName, entries, mapping, hasHeader, current } = pendingImport;
+    const rowWord = format === 'json' ? 'Rule' : 'Row';
+
+    document.getElementById('importPreview').hidden = false;
+    document.getElementById('importFileName').textContent = fileName;
+    document.getElementById('importRowHeader').textContent = rowWord;
+
+    // Column choices (only for spreadsheets; JSON and "old => new" files have fixed fields)
+    const isTable = format === 'csv' || format === 'tsv';
+    const mappingEl = document.getElementById('importMapping');
+    mappingEl.textContent = '';
+    document.getElementById('importHeaderRow').hidden = !isTable;
+    document.getElementById('importHasHeader').checked = hasHeader;
+
+    if (isTable) {
+        const columnCount = Math.max(...entries.map(entry => entry.cells.length), mapping.length);
+        for (let index = 0; index < columnCount; index++) {
+            const group = document.createElement('div');
+            group.className = 'input-group';
+
+            const label = document.createElement('label');
+            label.textContent = hasHeader && entries[0].cells[index] ? entries[0].cells[index] : `Column ${index + 1}`;
+
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', `What column ${index + 1} contains`);
+            for (const [value, text] of [['', 'Ignore'], ...RULE_COLUMNS.map(column => [column.field, column.label])]) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            }
+            select.value = mapping[index] || '';
+            select.addEventListener('change', () => setImportColumn(index, select.value));
+
+            group.appendChild(label);
+            group.appendChild(select);
+            mappingEl.appendChild(group);
+        }
+    }
+
+    const { rules, errors, removed } = checkPendingImport();
+    const missingColumns = isTable ? ['original', 'replacement'].filter(field => !mapping.includes(field)) : [];
+    const count = (status) => rules.filter(rule => rule.status === status).length;
+    const conflicts = rules.filter(rule => rule.status === 'conflict');
+
+    // Summary line
+    document.getElementById('importSummary').textContent = missingColumns.length > 0
+        ? 'Pick the Original and Replacement columns to continue.'
+        : `${count('new')} new, ${count('same')} unchanged, ${conflicts.length} conflicting` +
+          (pendingImport.mode === 'replace' ? `, ${removed.length} of your rules will be removed` : '') +
+          (errors.length > 0 ? `, ${errors.length} ${rowWord.toLowerCase()}s skipped.` : '.');
+    document.getElementById('importConfirmBtn').disabled = missingColumns.length > 0 || rules.length === 0;
+    document.getElementById('importKeepMineBtn').disabled = conflicts.length === 0;
+    document.getElementById('importTakeTheirsBtn').disabled = conflicts.length === 0;
+
+    // Table: every conflict and removal (they need your attention), then the first other rows
+    const previewBody = document.getElementById('importPreviewBody');
+    previewBody.textContent = '';
+    const errorsByLine = new Map(errors.map(error => [error.line, error.message]));
+    const rulesByLine = new Map(rules.map(rule => [rule.line, rule]));
+    const addPreviewRow = (cells, className, choiceCell) => {
+        const row = document.createElement('tr');
+        row.className = className;
+        for (const text of cells) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        }
+        const td = document.createElement('td');
+        if (choiceCell) {
+            td.appendChild(choiceCell);
+        }
+        row.appendChild(td);
+        previewBody.appendChild(row);
+    };
+
+    for (const rule of conflicts) {
+        const choice = document.createElement('select');
+        choice.setAttribute('aria-label', `Which version of "${rule.original}" to keep`);
+        for (const [value, text] of [['theirs', 'Take theirs'], ['mine', 'Keep mine']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            choice.appendChild(option);
+        }
+        choice.value = getImportChoice(rule.original);
+        choice.addEventListener('change', () => pendingImport.choices.set(rule.original, choice.value));
+
+        const yours = current[rule.original].replacement;
+        addPreviewRow([String(rule.line), rule.original, rule.rule.replacement, `Conflict (yours: "${yours}")`], 'import-conflict', choice);
+    }
+
+    for (const original of removed) {
+        addPreviewRow(['—', original, current[original].replacement, 'Will be removed'], 'import-error');
+    }
+
+    const otherEntries = (hasHeader ? entries.slice(1) : entries)
+        .filter(entry => !rulesByLine.has(entry.line) || rulesByLine.get(entry.line).status !== 'conflict');
+    for (const entry of otherEntries.slice(0, IMPORT_PREVIEW_ROWS)) {
+        const rule = rulesByLine.get(entry.line);
+        if (rule) {
+            addPreviewRow([String(entry.line), rule.original, rule.rule.replacement, rule.status === 'new' ? 'New' : 'Unchanged'], '');
+        } else {
+            const original = format === 'json' ? entry.original : entry.cells[mapping.indexOf('original')] || '';
+            addPreviewRow([String(entry.line), original, '', errorsByLine.get(entry.line)], 'import-error');
+        }
+    }
+
+    renderImportErrors(errors, rowWord);
+}
+
+/**
+ * Lists the rows that can't (or couldn't) be imported, with their number.
+ *
+ * @param {Array} errors - { line, message } for each skipped row
+ * @param {string} rowWord - 'Row' for spreadsheets and text, 'Rule' for JSON
  */
-function addReplacement() {
-    const newOriginal = document.getElementById('newOriginal').value;
-    const newReplacement = document.getElementById('newReplacement').value;
-    const newCaseSensitive = document.getElementById('newCaseSensitive').checked;
+function renderImportErrors(errors, rowWord) {
+    const list = document.getElementById('importErrors');
+    list.textContent = '';
 
-    // VALIDATION: Prevent empty strings
-    // Empty original text would match nothing, and empty replacement would just delete text
-    // Both are confusing and likely user errors, so we reject them
-    if (!newOriginal || !newOriginal.trim()) {
-        showStatus('Original text cannot be empty!', true);
-        return;
+    for (const error of errors.slice(0, MAX_LISTED_IMPORT_ERRORS)) {
+        const item = document.createElement('li');
+        item.textContent = `${rowWord} ${error.line}: ${error.message}`;
+        list.appendChild(item);
     }
 
-    if (!newReplacement && newReplacement !== '') {
-        showStatus('Replacement text cannot be empty!', true);
-        return;
+    if (errors.length > MAX_LISTED_IMPORT_ERRORS) {
+        const item = document.createElement('li');
+        item.textContent = `…and ${errors.length - MAX_LISTED_IMPORT_ERRORS} more.`;
+        list.appendChild(item);
     }
+}
 
-    // Note: We allow empty replacement string (newReplacement === '') because
-    // that's a valid use case: user wants to delete/remove the original text entirely
+/**
+ * Changes what a column of the pending import contains.
+ * Each field can only come from one column, so an earlier choice is cleared.
+ *
+ * @param {number} index - The column
+ * @param {string} field - The rule field, or '' to ignore the column
+ */
+function setImportColumn(index, field) {
+    const mapping = pendingImport.mapping.map(current => (field && current === field ? '' : current));
+    mapping[index] = field;
+    pendingImport.mapping = mapping;
+    renderImportPreview();
+}
 
-    // SAFETY CHECK: Validate pattern length to prevent performance issues
-    // Very long patterns can cause the browser to freeze when processing large pages
-    if (newOriginal.length > MAX_PATTERN_LENGTH) {
-        showStatus(`Original text too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`, true);
-        return;
+/**
+ * Keeps your version (or takes the file's version) of every conflicting rule.
+ *
+ * @param {string} choice - 'mine' or 'theirs'
+ */
+function setAllImportChoices(choice) {
+    for (const rule of checkPendingImport().rules) {
+        if (rule.status === 'conflict') {
+            pendingImport.choices.set(rule.original, choice);
+        }
     }
+    renderImportPreview();
+}
 
-    if (newReplacement.length > MAX_PATTERN_LENGTH) {
-        showStatus(`Replacement text too long! Maximum ${MAX_PATTERN_LENGTH} characters allowed.`, true);
-        return;
-    }
+/**
+ * Closes the Import Preview box without importing anything (more).
+ */
+function closeImportPreview() {
+    pendingImport = null;
+    document.getElementById('importPreview').hidden = true;
+}
 
-    chrome.storage.sync.get('wordMap', (data) => {
-        // Error handling: Check if the Chrome API call failed
-        if (chrome.runtime.lastError) {
-            Logger.error('Failed to get word map for adding rule:', chrome.runtime.lastError);
-            showStatus('Error loading data. Rule not added.', true);
+/**
+ * Imports the pending file, as shown in the preview.
+ * Rows that would go over the rule limit or Chrome's storage limits are
+ * skipped and listed too, so the rest still gets imported.
+ */
+function commitImport() {
+    const { rules, errors } = checkPendingImport();
+    const { mode, format, fileName } = pendingImport;
+    const rowWord = format === 'json' ? 'Rule' : 'Row';
+
+    // Read the rules again: they may have been edited while the preview was open
+    loadRules((wordMap, loadError) => {
+        if (loadError) {
+            Logger.error('Failed to get word map for import:', loadError);
+            showStatus('Error loading current rules.', true);
             return;
         }
 
-        const wordMap = data.wordMap || {};
+        // Use existing groups (same ID, or same name), or create the file's groups
+        const groups = [...ruleGroups];
+        const groupIdFor = (imported) => {
+            let group = groups.find(existing => existing.id === imported.id) ||
+                groups.find(existing => existing.name.toLowerCase() === imported.name.toLowerCase());
+            if (!group && groups.length < MAX_RULE_GROUPS) {
+                group = { ...imported, id: imported.id || createGroupId(), enabled: imported.enabled !== false };
+                groups.push(group);
+            }
+            return group ? group.id : null;
+        };
 
-        // SAFETY CHECK: Limit total number of rules to prevent browser slowdown
-        // Having hundreds of rules can make regex compilation and page processing very slow
-        if (Object.keys(wordMap).length >= MAX_RULES) {
-            showStatus(`Maximum ${MAX_RULES} rules allowed. Please remove some rules before adding more.`, true);
-            return;
+        // What to write for each rule of the file ("mine" keeps your current version)
+        const accepted = [];
+        let changed = 0;
+        for (const entry of rules) {
+            const keepMine = wordMap[entry.original] &&
+                (entry.status === 'same' || (entry.status === 'conflict' && getImportChoice(entry.original) === 'mine'));
+            if (keepMine) {
+                // Merging leaves it alone anyway; replacing must keep it explicitly
+                // (in the file's place: when replacing, the file decides the order)
+                if (mode === 'replace') {
+                    const { order, ...mine } = wordMap[entry.original];
+                    accepted.push([entry.original, mine, entry.line]);
+                }
+                continue;
+            }
+
+            const rule = { ...entry.rule };
+            // When merging, a rule replaced by the file's version keeps its place in the list
+            if (mode !== 'replace' && wordMap[entry.original] && typeof wordMap[entry.original].order === 'number') {
+                rule.order = wordMap[entry.original].order;
+            }
+            if (entry.group) {
+                const groupId = groupIdFor(entry.group);
+                if (!groupId) {
+                    errors.push({ line: entry.line, message: `Maximum ${MAX_RULE_GROUPS} groups allowed` });
+                    continue;
+                }
+                rule.group = groupId;
+            }
+            accepted.push([entry.original, rule, entry.line]);
+            changed++;
         }
 
-        // Prevent duplicates
-        if (wordMap[newOriginal]) {
-            showStatus('Rule already exists for this word.', true);
+        if (accepted.length === 0 && mode !== 'replace') {
+            showStatus(errors.length === 0
+                ? 'Nothing to import: your rules already match the file.'
+                : 'Nothing to import: the other rules already match yours.', errors.length > 0);
             return;
         }
 
-        // Add new rule object
-        wordMap[newOriginal] = {
-            replacement: newReplacement,
-            caseSensitive: newCaseSensitive,
-            enabled: true
+        // Find how many rows fit, keeping file order
+        const baseRules = mode === 'replace' ? {} : wordMap;
+        const buildRules = (count) => {
+            const result = { ...baseRules };
+            for (const [original, rule] of accepted.slice(0, count)) {
+                result[original] = rule;
+            }
+            return result;
+        };
+        const fits = (count) => {
+            const candidate = buildRules(count);
+            return Object.keys(candidate).length <= MAX_RULES && !validateStorageQuota(candidate);
         };
 
-        // IMPORTANT: Validate storage quota BEFORE attempting to save.
-        // This prevents cryptic errors and gives users clear feedback.
-        const quotaError = validateStorageQuota(wordMap);
-        if (quotaError) {
-            showStatus(quotaError, true);
-            return;
+        let fitting = accepted.length;
+        if (!fits(fitting)) {
+            // Binary search: the largest number of rows that still fits
+            let low = 0;
+            let high = accepted.length;
+            while (low < high) {
+                const middle = Math.ceil((low + high) / 2);
+                if (fits(middle)) {
+                    low = middle;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            fitting = low;
+            const reason = Object.keys(buildRules(fitting + 1)).length > MAX_RULES
+                ? `Over the maximum of ${MAX_RULES} rules`
+                : 'Does not fit in sync storage (see Rule Storage)';
+            for (const [, , line] of accepted.slice(fitting)) {
+                errors.push({ line, message: reason });
+            }
+            changed = Math.min(changed, fitting);
         }
 
-        // Save
-        chrome.storage.sync.set({ wordMap }, () => {
-            if (chrome.runtime.lastError) {
-                Logger.error('Failed to add new replacement:', chrome.runtime.lastError);
-                showStatus('Error adding replacement. Storage full?', true);
-            } else {
-                Logger.debug('New replacement added:', newOriginal, '→', newReplacement);
-                // On success, update UI instantly without full reload
-                addRowToTable(newOriginal, newReplacement, newCaseSensitive, true);
+        errors.sort((a, b) => a.line - b.line);
+        if (fitting === 0 && accepted.length > 0) {
+            renderImportErrors(errors, rowWord);
+            showStatus('No rules could be imported. See the list in the Import Preview.', true);
+            return;
+        }
 
-                // Clear input fields for next entry
-                document.getElementById('newOriginal').value = '';
-                document.getElementById('newReplacement').value = '';
-                document.getElementById('newCaseSensitive').checked = false;
+        const finalRules = buildRules(fitting);
+        const newGroups = groups.filter(group => !ruleGroups.includes(group));
 
-                showStatus('Replacement added.');
+        // Groups first, so imported rules never point at a group that doesn't exist yet
+        const saveGroups = (done) => {
+            if (newGroups.length === 0) {
+                done();
+                return;
             }
+            chrome.storage.sync.set({ [RULE_GROUPS_KEY]: groups }, () => {
+                if (chrome.runtime.lastError) {
+                    Logger.error('Failed to save imported groups:', chrome.runtime.lastError);
+                    showStatus('Error saving imported groups.', true);
+                    return;
+                }
+                done();
+            });
+        };
+
+        const description = `Imported ${changed} ${changed === 1 ? 'rule' : 'rules'} from ${fileName}`;
+        saveGroups(() => {
+            saveRuleChange(wordMap, finalRules, description, (error) => {
+                if (error) {
+                    Logger.error('Failed to save imported rules:', error);
+                    showStatus('Error saving imported rules.', true);
+                    return;
+                }
+
+                const total = Object.keys(finalRules).length;
+                Logger.debug('Import successful:', mode, changed, 'rules imported,', errors.length, 'skipped');
+                loadWordMap(); // Reload the UI to show new rules
+
+                if (errors.length === 0) {
+                    closeImportPreview();
+                    showStatus(`Successfully imported ${changed} rules! Total: ${total}`, false, UNDO_STATUS_ACTION);
+                    return;
+                }
+
+                // Keep the box open with only the list of skipped rows
+                pendingImport = null;
+                document.getElementById('importSummary').textContent =
+                    `Imported ${changed} rules (total: ${total}). These were skipped:`;
+                document.getElementById('importMapping').textContent = '';
+                document.getElementById('importHeaderRow').hidden = true;
+                document.getElementById('importPreviewBody').textContent = '';
+                for (const id of ['importConfirmBtn', 'importKeepMineBtn', 'importTakeTheirsBtn']) {
+                    document.getElementById(id).disabled = true;
+                }
+                renderImportErrors(errors, rowWord);
+                showStatus(`Imported ${changed} rules, ${errors.length} skipped.`, true);
+            });
         });
     });
 }
 
+// -----------------------------------------------------------------------------
+// RULE TESTER
+// Runs your rules over sample text with the same engine the content script
+// uses on web pages (engine.js), so the result is exactly what a page shows.
+// The sample is treated as one piece of page text. On a real page every
+// paragraph, link, button, ... is a separate piece, and (unless "Match Across
+// Formatting" is on) a rule never matches across two of them.
+// -----------------------------------------------------------------------------
+
 /**
- * Removes a rule permanently.
+ * Loads the rules (your own and subscribed ones), the groups and the
+ * "Chain Replacements" setting for the Rule Tester, then runs it again.
  */
-function removeReplacement(originalText) {
-    chrome.storage.sync.get('wordMap', (data) => {
-        // Error handling: Check if the Chrome API call failed
+function loadTesterRules() {
+    chrome.storage.sync.get([RULE_GROUPS_KEY, 'chainReplacements'], (data) => {
         if (chrome.runtime.lastError) {
-            Logger.error('Failed to get word map for removal:', chrome.runtime.lastError);
-            showStatus('Error loading data. Rule not removed.', true);
+            Logger.error('Failed to load groups for the Rule Tester:', chrome.runtime.lastError);
+            document.getElementById('testerSummary').textContent = 'Could not load your rules.';
             return;
         }
 
-        const wordMap = data.wordMap || {};
-        delete wordMap[originalText]; // Remove key
-
-        chrome.storage.sync.set({ wordMap }, () => {
-            if (chrome.runtime.lastError) {
-                Logger.error('Failed to save after removal:', chrome.runtime.lastError);
-                showStatus('Error removing replacement.', true);
-                loadWordMap(); // Reload to revert to previous state
-            } else {
-                Logger.debug('Replacement removed:', originalText);
-                loadWordMap(); // Reload table to reflect removal
-                showStatus('Replacement removed.');
+        loadActiveRules((wordMap, error) => {
+            if (error) {
+                Logger.error('Failed to load rules for the Rule Tester:', error);
+                document.getElementById('testerSummary').textContent = 'Could not load your rules.';
+                return;
             }
+
+            testerRules = { wordMap, groups: data[RULE_GROUPS_KEY] || [], chain: data.chainReplacements === true };
+            compileTesterRules();
         });
     });
 }
 
 /**
- * Displays a temporary status message to the user.
- * The message automatically disappears after STATUS_DISPLAY_DURATION_MS.
+ * Reads the "Test as page" address. Like in the Sites box, the "https://"
+ * may be left out.
  *
- * @param {string} message - The message to display
- * @param {boolean} isError - Whether this is an error (red) or success (green) message
+ * @returns {URL|null|undefined} - The address, null if the box is empty
+ *   (every rule applies), or undefined if it isn't a valid address
  */
-function showStatus(message, isError = false) {
-    const statusEl = document.getElementById('status');
-    if (statusEl) {
-        statusEl.textContent = message;
-        statusEl.style.color = isError ? '#ff1744' : '#00e676';
+function getTesterUrl() {
+    const text = document.getElementById('testerUrl').value.trim();
+    if (!text) return null;
 
-        // Clear message after configured duration
-        setTimeout(() => {
-            statusEl.textContent = '';
-        }, STATUS_DISPLAY_DURATION_MS);
+    try {
+        return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    } catch (error) {
+        return undefined;
     }
 }
 
-// -----------------------------------------------------------------------------
-// EXPORT/IMPORT FUNCTIONALITY
-// Allows users to backup their rules and share them between devices.
-// -----------------------------------------------------------------------------
-
 /**
- * Exports all replacement rules to a JSON file.
- * This creates a downloadable backup that users can save and import later.
+ * Compiles the rules for the "Test as page" address (rules and groups limited
+ * to other sites are left out, just like on that page), then runs the tester.
  */
-function exportRules() {
-    chrome.storage.sync.get('wordMap', (data) => {
-        // Error handling: Check if the Chrome API call failed
-        if (chrome.runtime.lastError) {
-            Logger.error('Failed to get word map for export:', chrome.runtime.lastError);
-            showStatus('Error loading rules for export.', true);
-            return;
-        }
+function compileTesterRules() {
+    const pageUrl = getTesterUrl();
+    document.getElementById('testerUrl').setAttribute('aria-invalid', String(pageUrl === undefined));
 
-        const wordMap = data.wordMap || {};
+    if (pageUrl === undefined) {
+        document.getElementById('testerOutput').textContent = '';
+        document.getElementById('testerMatches').textContent = '';
+        document.getElementById('testerSummary').textContent = 'Not a valid page address.';
+        return;
+    }
 
-        // Check if there are any rules to export
-        if (Object.keys(wordMap).length === 0) {
-            showStatus('No rules to export!', true);
-            return;
-        }
+    updateRegexes(testerRules.wordMap, testerRules.groups, pageUrl, testerRules.chain);
+    runRuleTester();
+}
 
-        // Create a JSON export object with metadata
-        // This helps with version compatibility in the future
-        const exportData = {
-            version: '2.0', // Extension version
-            exportedAt: new Date().toISOString(), // Timestamp for user reference
-            rulesCount: Object.keys(wordMap).length,
-            rules: wordMap
-        };
+/**
+ * Runs the compiled rules over the sample text, and works out which rule
+ * wrote each part of the result.
+ *
+ * replaceText() runs the rules in passes (just one unless "Chain Replacements"
+ * is on), and reports each replacement with its
+ * pass and where it was in the text at the start of that pass. Replaying the
+ * passes on a list of pieces tells which rule wrote which text, and which
+ * replacements were made on text an earlier rule had already written.
+ *
+ * SAFETY: Throws 'Regex timeout' just like on a web page (see engine.js).
+ *
+ * @param {string} text - The sample text
+ * @returns {{output: string, pieces: Array, steps: Array}} - The result; its pieces
+ *   in order ({ text, step? }, step is set on replaced text); and every replacement
+ *   in the order it was made ({ key, pass, original, replacement, after })
+ */
+function traceReplacements(text) {
+    resetTemplateCounters(); // Every run counts {{count}} from 1, like a freshly loaded page
+    const steps = [];
+    const output = replaceText(text, (key, step) => steps.push({ key, ...step }));
 
-        // Convert to pretty-printed JSON (easier to read if user opens the file)
-        const jsonString = JSON.stringify(exportData, null, 2);
+    let pieces = [{ text }];
 
-        // Create a Blob (binary large object) from the JSON string
-        // This is required to create a downloadable file in the browser
-        const blob = new Blob([jsonString], { type: 'application/json' });
+    // The pieces covering [from, to) of the text as it is now, cut at both ends
+    const slicePieces = (from, to) => {
+        const result = [];
+        let offset = 0;
+        for (const piece of pieces) {
+            const start = Math.max(from, offset);
+            const end = Math.min(to, offset + piece.text.length);
+            if (start < end) {
+                result.push({ ...piece, text: piece.text.slice(start - offset, end - offset) });
+            }
+            offset += piece.text.length;
+        }
+        return result;
+    };
 
-        // Create a temporary download link
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
+    // Steps arrive pass by pass, from left to right within a pass
+    let index = 0;
+    while (index < steps.length) {
+        const pass = steps[index].pass;
+        const next = [];
+        let cursor = 0;
 
-        // Generate filename with current date for easy organization
-        // Example: "text-replacement-rules-2025-01-09.json"
-        const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        a.download = `text-replacement-rules-${dateStr}.json`;
+        for (; index < steps.length && steps[index].pass === pass; index++) {
+            const step = steps[index];
+            const matched = slicePieces(step.start, step.end);
+            step.original = matched.map(piece => piece.text).join('');
+            step.after = [...new Set(matched.filter(piece => piece.step).map(piece => piece.step.key))];
 
-        // Trigger the download by programmatically clicking the link
-        document.body.appendChild(a);
-        a.click();
+            next.push(...slicePieces(cursor, step.start));
+            next.push({ text: step.replacement, step });
+            cursor = step.end;
+        }
+        next.push(...slicePieces(cursor, Infinity));
 
-        // Clean up: remove the temporary link and revoke the blob URL
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        // Text replaced by "" leaves an empty piece behind
+        pieces = next.filter(piece => piece.text !== '');
+    }
 
-        Logger.debug('Rules exported successfully:', Object.keys(wordMap).length, 'rules');
-        showStatus(`Exported ${Object.keys(wordMap).length} rules successfully!`);
-    });
+    return { output, pieces, steps };
 }
 
 /**
- * Imports replacement rules from a JSON file.
- * Users can choose to merge with existing rules or replace them entirely.
+ * Describes one replacement in the Rule Tester, e.g.
+ * "acme" → "Globex" (rule "acme", group Brands).
  *
- * @param {File} file - The JSON file selected by the user
+ * @param {Object} step - A replacement from traceReplacements()
+ * @returns {string}
  */
-function importRules(file) {
-    // Validation: Ensure a file was actually selected
-    if (!file) {
-        Logger.warn('Import attempted with no file selected');
-        return;
-    }
+function describeTesterStep(step) {
+    const rule = testerRules.wordMap[step.key];
+    const group = rule && rule.group ? testerRules.groups.find(item => item.id === rule.group) : undefined;
 
-    // Validation: Check file type (basic security check)
-    if (!file.name.endsWith('.json')) {
-        showStatus('Please select a valid JSON file!', true);
-        return;
+    let text = `"${step.original}" → "${step.replacement}" (rule "${step.key}"`;
+    if (group) {
+        text += `, group ${group.name}`;
     }
+    if (step.after.length > 0) {
+        text += `, on text written by ${step.after.map(key => `"${key}"`).join(', ')}`;
+    }
+    return text + ')';
+}
 
-    // FileReader API allows us to read the contents of the file
-    const reader = new FileReader();
-
-    // This function runs after the file is successfully read
-    reader.onload = (e) => {
-        try {
-            // Parse the JSON file contents
-            const importData = JSON.parse(e.target.result);
-
-            // Validation: Check if this is a valid export file
-            if (!importData.rules || typeof importData.rules !== 'object') {
-                showStatus('Invalid file format! Please select a valid export file.', true);
-                Logger.error('Invalid import file structure:', importData);
-                return;
-            }
-
-            const importedRules = importData.rules;
-            const importCount = Object.keys(importedRules).length;
-
-            // Validation: Check if the file has any rules
-            if (importCount === 0) {
-                showStatus('The import file contains no rules!', true);
-                return;
-            }
-
-            // Ask user how they want to import (merge or replace)
-            // Using confirm() for simplicity - could be upgraded to a custom modal later
-            const shouldReplace = confirm(
-                `Found ${importCount} rules in the file.\n\n` +
-                `Click OK to REPLACE all existing rules.\n` +
-                `Click Cancel to MERGE with existing rules.`
-            );
-
-            // Get current rules from storage
-            chrome.storage.sync.get('wordMap', (data) => {
-                if (chrome.runtime.lastError) {
-                    Logger.error('Failed to get word map for import:', chrome.runtime.lastError);
-                    showStatus('Error loading current rules.', true);
-                    return;
-                }
-
-                let finalRules;
-
-                if (shouldReplace) {
-                    // REPLACE mode: Use only the imported rules
-                    finalRules = importedRules;
-                    Logger.debug('Import mode: REPLACE');
-                } else {
-                    // MERGE mode: Combine existing and imported rules
-                    // Imported rules overwrite existing ones if there's a conflict
-                    finalRules = { ...data.wordMap, ...importedRules };
-                    Logger.debug('Import mode: MERGE');
-                }
+/**
+ * Runs the Rule Tester on the sample text and shows the result, with every
+ * replacement marked, followed by the list of replacements in the order made.
+ */
+function runRuleTester() {
+    const input = document.getElementById('testerInput').value;
+    const outputEl = document.getElementById('testerOutput');
+    const list = document.getElementById('testerMatches');
+    const summary = document.getElementById('testerSummary');
+    outputEl.textContent = ''; // Clear the previous result
+    list.textContent = '';
 
-                // Validation: Check if result would exceed rule limit
-                const finalCount = Object.keys(finalRules).length;
-                if (finalCount > MAX_RULES) {
-                    showStatus(`Import would exceed maximum of ${MAX_RULES} rules! (Would have ${finalCount})`, true);
-                    return;
-                }
+    if (!input) {
+        summary.textContent = '';
+        return;
+    }
 
-                // Validation: Check storage quota
-                const quotaError = validateStorageQuota(finalRules);
-                if (quotaError) {
-                    showStatus(quotaError, true);
-                    return;
-                }
+    let trace;
+    try {
+        trace = traceReplacements(input);
+    } catch (error) {
+        if (error.message === 'Regex timeout') {
+            summary.textContent = `Took longer than ${REGEX_TIMEOUT_MS} ms, so web pages leave text like this unchanged.`;
+            return;
+        }
+        throw error;
+    }
 
-                // Save the imported rules
-                chrome.storage.sync.set({ wordMap: finalRules }, () => {
-                    if (chrome.runtime.lastError) {
-                        Logger.error('Failed to save imported rules:', chrome.runtime.lastError);
-                        showStatus('Error saving imported rules.', true);
-                    } else {
-                        Logger.debug('Import successful:', finalCount, 'total rules');
-                        loadWordMap(); // Reload the UI to show new rules
-                        showStatus(`Successfully imported ${importCount} rules! Total: ${finalCount}`);
-                    }
-                });
-            });
+    // Should never happen, but wrong marks would be worse than none
+    if (trace.pieces.map(piece => piece.text).join('') !== trace.output) {
+        Logger.warn('Rule Tester pieces do not add up to the result');
+        trace.pieces = [{ text: trace.output }];
+    }
 
-        } catch (error) {
-            // Handle JSON parsing errors or other exceptions
-            Logger.error('Failed to parse import file:', error);
-            showStatus('Invalid JSON file! Please check the file format.', true);
+    for (const piece of trace.pieces) {
+        if (!piece.step) {
+            outputEl.appendChild(document.createTextNode(piece.text));
+            continue;
         }
-    };
-
-    // This function runs if file reading fails
-    reader.onerror = () => {
-        Logger.error('Failed to read import file:', reader.error);
-        showStatus('Error reading file. Please try again.', true);
-    };
+        const mark = document.createElement('mark');
+        mark.textContent = piece.text;
+        mark.title = describeTesterStep(piece.step);
+        outputEl.appendChild(mark);
+    }
 
-    // Start reading the file as text
-    // This is asynchronous - the onload function above will be called when done
-    reader.readAsText(file);
+    for (const step of trace.steps.slice(0, MAX_LISTED_TESTER_MATCHES)) {
+        const item = document.createElement('li');
+        item.textContent = describeTesterStep(step);
+        list.appendChild(item);
+    }
+    if (trace.steps.length > MAX_LISTED_TESTER_MATCHES) {
+        const more = document.createElement('li');
+        more.textContent = `…and ${trace.steps.length - MAX_LISTED_TESTER_MATCHES} more.`;
+        list.appendChild(more);
+    }
 
-    // Reset the file input so the same file can be selected again if needed
-    document.getElementById('importFile').value = '';
+    const replacementCount = trace.steps.length;
+    const ruleCount = new Set(trace.steps.map(step => step.key)).size;
+    summary.textContent = replacementCount === 0
+        ? 'No rule matches this text.'
+        : `${replacementCount} ${replacementCount === 1 ? 'replacement' : 'replacements'} by ${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'}.`;
 }
 
 // -----------------------------------------------------------------------------
@@ -749,15 +4517,23 @@ function importRules(file) {
  */
 function filterRules(query) {
     const searchQuery = query.toLowerCase().trim();
-    const rows = document.querySelectorAll('#replacementList tr');
+    const groupFilter = document.getElementById('groupFilter').value;
+    const rows = document.querySelectorAll('#replacementList tr.rule-row');
     let visibleCount = 0;
     let totalCount = rows.length;
 
-    // If search is empty, show all rows
-    if (!searchQuery) {
-        rows.forEach(row => {
-            row.style.display = '';
-        });
+    // Each rule's options row follows its main row, and is only shown if expanded
+    const setRowVisible = (row, visible) => {
+        row.style.display = visible ? '' : 'none';
+        const optionsRow = row.nextElementSibling;
+        if (optionsRow && optionsRow.classList.contains('options-row')) {
+            optionsRow.style.display = visible && row.dataset.expanded === 'true' ? '' : 'none';
+        }
+    };
+
+    // If search is empty and no group is picked, show all rows
+    if (!searchQuery && groupFilter === GROUP_FILTER_ALL) {
+        rows.forEach(row => setRowVisible(row, true));
         document.getElementById('searchResults').textContent = '';
         return;
     }
@@ -771,15 +4547,14 @@ function filterRules(query) {
         const originalText = inputs[0].value.toLowerCase();
         const replacementText = inputs[1].value.toLowerCase();
 
-        // Check if either column contains the search query
-        const matches = originalText.includes(searchQuery) || replacementText.includes(searchQuery);
+        // Check the group, and if either column contains the search query
+        const inGroup = groupFilter === GROUP_FILTER_ALL || row.dataset.group === groupFilter;
+        const matches = inGroup && (originalText.includes(searchQuery) || replacementText.includes(searchQuery));
 
         // Show or hide the row based on match
+        setRowVisible(row, matches);
         if (matches) {
-            row.style.display = '';
             visibleCount++;
-        } else {
-            row.style.display = 'none';
         }
     });
 
@@ -0,0 +1,244 @@
+// popup.js
+// -----------------------------------------------------------------------------
+// This script runs the small popup that opens when you click the toolbar icon.
+// It shows what the extension did on the current tab, and lets you pause it
+// for the current site or just for the current tab.
+//
+// The popup talks to the content script of the current tab (for its state)
+// and to the background service worker (for the counts of all frames in the
+// tab, and for the per-tab pause).
+// -----------------------------------------------------------------------------
+
+// -----------------------------------------------------------------------------
+// UI CONSTANTS
+// -----------------------------------------------------------------------------
+const STATS_REFRESH_DELAY_MS = 250; // Wait for the page to re-apply rules before re-reading counts
+
+// -----------------------------------------------------------------------------
+// LOGGING UTILITY
+// Simple logging system for consistent error reporting and debugging.
+// -----------------------------------------------------------------------------
+const ENABLE_DEBUG_LOGGING = false; // Toggle for debug logs
+
+const Logger = {
+    info: (message, ...args) => console.log(`[Text Replacement] ${message}`, ...args),
+    debug: (message, ...args) => ENABLE_DEBUG_LOGGING && console.log(`[Text Replacement DEBUG] ${message}`, ...args),
+    warn: (message, ...args) => console.warn(`[Text Replacement WARNING] ${message}`, ...args),
+    error: (message, ...args) => console.error(`[Text Replacement ERROR] ${message}`, ...args)
+};
+
+// The tab the popup was opened on (set once the popup loads)
+let currentTab = null;
+let currentUrl = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (chrome.runtime.lastError || tabs.length === 0) {
+            Logger.error('Failed to find the current tab:', chrome.runtime.lastError);
+            setPageStatus('Could not read the current tab.');
+            return;
+        }
+
+        currentTab = tabs[0];
+        try {
+            currentUrl = new URL(currentTab.url);
+        } catch (error) {
+            currentUrl = null; // No URL access (should not happen with our host permissions)
+        }
+
+        // The content script only runs on normal web pages
+        if (!currentUrl || !['http:', 'https:', 'file:'].includes(currentUrl.protocol)) {
+            setPageStatus('Text replacement is not available on this page.');
+            disablePauseControls();
+            return;
+        }
+
+        document.getElementById('siteName').textContent = currentUrl.hostname || 'this site';
+        refreshStats();
+    });
+
+    document.getElementById('pauseSite').addEventListener('change', (e) => {
+        updateSitePaused(e.target.checked);
+    });
+
+    document.getElementById('pauseTab').addEventListener('change', (e) => {
+        updateTabPaused(e.target.checked);
+    });
+
+    document.getElementById('showOriginals').addEventListener('change', (e) => {
+        updateShowOriginals(e.target.checked);
+    });
+
+    document.getElementById('openManagerBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: 'manage.html' });
+        window.close();
+    });
+});
+
+/**
+ * Shows a short line of text under the popup title.
+ *
+ * @param {string} message - The text to display
+ */
+function setPageStatus(message) {
+    document.getElementById('pageStatus').textContent = message;
+}
+
+/**
+ * Greys out the pause and "show original" switches (used on pages we can't run on).
+ */
+function disablePauseControls() {
+    document.getElementById('pauseSite').disabled = true;
+    document.getElementById('pauseTab').disabled = true;
+    document.getElementById('showOriginals').disabled = true;
+}
+
+/**
+ * Asks the current tab's content script for its state, then fills in the popup.
+ * Only the top frame of the tab is asked; the counts come from the background,
+ * which adds up every frame (iframes included).
+ */
+function refreshStats() {
+    chrome.tabs.sendMessage(currentTab.id, { type: 'getPageStats' }, { frameId: 0 }, (stats) => {
+        if (chrome.runtime.lastError || !stats) {
+            // Usually means the page was open before the extension was installed/reloaded
+            Logger.debug('No content script in tab:', chrome.runtime.lastError);
+            setPageStatus('Reload this page to start replacing text.');
+            disablePauseControls();
+            return;
+        }
+
+        if (!stats.extensionEnabled) {
+            setPageStatus('The extension is switched off.');
+        } else if (stats.showingOriginals) {
+            setPageStatus('Showing the original text in this tab.');
+        } else if (stats.tabPaused) {
+            setPageStatus('Paused in this tab.');
+        } else if (!stats.siteAllowed) {
+            setPageStatus('Paused on this site.');
+        } else {
+            setPageStatus('Active on this page.');
+        }
+
+        document.getElementById('pauseSite').checked = !stats.siteAllowed;
+        // Sites without a host name (like local files) can't be paused by site
+        document.getElementById('pauseSite').disabled = !currentUrl.hostname;
+        document.getElementById('pauseTab').checked = stats.tabPaused;
+        document.getElementById('showOriginals').checked = stats.showingOriginals;
+
+        chrome.runtime.sendMessage({ type: 'getTabCounts', tabId: currentTab.id }, (tabCounts) => {
+            if (chrome.runtime.lastError || !tabCounts) {
+                Logger.error('Failed to load replacement counts:', chrome.runtime.lastError);
+                return;
+            }
+            renderCounts(tabCounts.counts, tabCounts.total);
+        });
+    });
+}
+
+/**
+ * Fills in the total and the per-rule breakdown, most-used rule first.
+ *
+ * @param {Object} counts - Rule key -> number of replacements
+ * @param {number} total - Total number of replacements
+ */
+function renderCounts(counts, total) {
+    document.getElementById('totalCount').textContent = String(total);
+
+    // Subscribed rules are counted too, so they need a name as well
+    loadActiveRules((wordMap, error) => {
+        if (error) {
+            Logger.error('Failed to load rules:', error);
+            return;
+        }
+
+        const list = document.getElementById('ruleCounts');
+        list.textContent = ''; // Clear existing entries
+
+        const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+        for (const [key, count] of entries) {
+            const item = document.createElement('li');
+
+            // Show "original → replacement" so the user recognizes the rule
+            // (rules that hide text have no replacement to show, and
+            // conversion rules are named after what they convert)
+            const name = document.createElement('span');
+            name.className = 'rule-name';
+            const rule = wordMap[key];
+            const replacement = !rule ? '' : (MASK_ACTIONS.includes(rule.action) ? '(hidden)' : rule.replacement);
+            name.textContent = rule && rule.convert ? key : `${key} → ${replacement}`;
+            name.title = name.textContent;
+
+            const countEl = document.createElement('span');
+            countEl.className = 'rule-count';
+            countEl.textContent = String(count);
+
+            item.appendChild(name);
+            item.appendChild(countEl);
+            list.appendChild(item);
+        }
+    });
+}
+
+/**
+ * Pauses or resumes the extension on the current site.
+ * This edits the global site filter (the "Sites" box in the Manage page).
+ *
+ * @param {boolean} paused - True to pause, false to resume
+ */
+function updateSitePaused(paused) {
+    chrome.storage.sync.get('siteFilter', (data) => {
+        if (chrome.runtime.lastError) {
+            Logger.error('Failed to load site filter:', chrome.runtime.lastError);
+            setPageStatus('Error loading settings.');
+            return;
+        }
+
+        const siteFilter = setSitePaused(data.siteFilter, currentUrl, paused);
+        chrome.storage.sync.set({ siteFilter }, () => {
+            if (chrome.runtime.lastError) {
+                Logger.error('Failed to save site filter:', chrome.runtime.lastError);
+                setPageStatus('Error saving setting.');
+                return;
+            }
+            Logger.debug('Site paused:', currentUrl.hostname, paused);
+            setTimeout(refreshStats, STATS_REFRESH_DELAY_MS);
+        });
+    });
+}
+
+/**
+ * Pauses or resumes the extension in the current tab only.
+ * The background service worker remembers this until the tab is closed.
+ *
+ * @param {boolean} paused - True to pause, false to resume
+ */
+function updateTabPaused(paused) {
+    chrome.runtime.sendMessage({ type: 'setTabPaused', tabId: currentTab.id, paused }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            Logger.error('Failed to pause tab:', chrome.runtime.lastError);
+            setPageStatus('Error saving setting.');
+            return;
+        }
+        setTimeout(refreshStats, STATS_REFRESH_DELAY_MS);
+    });
+}
+
+/**
+ * Shows the original text in the current tab, or goes back to the replaced text.
+ * Like the per-tab pause, the background service worker remembers this until
+ * the tab is closed (the keyboard shortcut switches the same setting).
+ *
+ * @param {boolean} showOriginals - True to show the original text
+ */
+function updateShowOriginals(showOriginals) {
+    chrome.runtime.sendMessage({ type: 'setShowOriginals', tabId: currentTab.id, showOriginals }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+            Logger.error('Failed to show original text:', chrome.runtime.lastError);
+            setPageStatus('Error saving setting.');
+            return;
+        }
+        setTimeout(refreshStats, STATS_REFRESH_DELAY_MS);
+    });
+}
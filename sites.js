@@ -0,0 +1,98 @@
+// sites.js
+// -----------------------------------------------------------------------------
+// Site pattern matching. Decides WHERE the extension, and each rule, may run.
+//
+// This file is shared: it is loaded by the content script (before content.js),
+// by the toolbar popup, and by the background service worker. It only contains
+// plain functions, and never reads or writes storage by itself.
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether a single site pattern matches a page URL.
+ * Patterns are written by the user in the Manage page. Supported forms:
+ *   "example.com"                → example.com and all of its subdomains
+ *   "*.example.com"              → same as above
+ *   "news.*"                     → wildcard match on the host name only
+ *   "example.com/blog/*"         → host name + path (wildcards allowed)
+ *   "https://example.com/*"      → the full URL (wildcards allowed)
+ * Matching ignores capitalization.
+ *
+ * @param {string} pattern - The site pattern
+ * @param {URL} url - The page URL to test
+ * @returns {boolean}
+ */
+function matchesSitePattern(pattern, url) {
+  pattern = pattern.trim().toLowerCase();
+  if (!pattern) return false;
+
+  // Turn a "glob" (where * means "anything") into an anchored regex.
+  // Every other character is escaped so it is matched literally.
+  const escapePart = (part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const globToRegex = (glob) => new RegExp(`^${glob.split('*').map(escapePart).join('.*')}$`, 'i');
+  const host = url.hostname.toLowerCase();
+
+  if (pattern.includes('://')) return globToRegex(pattern).test(url.href);
+  if (pattern.includes('/')) return globToRegex(pattern).test(host + url.pathname);
+
+  // "*.example.com" means the domain itself plus every subdomain
+  if (pattern.startsWith('*.') && !pattern.slice(2).includes('*')) {
+    pattern = pattern.slice(2);
+  }
+  if (pattern.includes('*')) return globToRegex(pattern).test(host);
+
+  return host === pattern || host.endsWith(`.${pattern}`);
+}
+
+/**
+ * Applies the global site filter from the Manage page to a page URL.
+ * - "block" mode: run everywhere EXCEPT the listed sites (the default)
+ * - "allow" mode: run ONLY on the listed sites
+ *
+ * @param {Object|undefined} siteFilter - { mode: 'block'|'allow', patterns: string[] }
+ * @param {URL} url - The page URL to test
+ * @returns {boolean} - True if the extension may run on this page
+ */
+function isSiteAllowed(siteFilter, url) {
+  const patterns = (siteFilter && siteFilter.patterns) || [];
+  const listed = patterns.some(pattern => matchesSitePattern(pattern, url));
+  return siteFilter && siteFilter.mode === 'allow' ? listed : !listed;
+}
+
+/**
+ * Checks a rule's optional site scope. Rules without a scope apply everywhere.
+ *
+ * @param {Object} data - The rule settings (may contain a 'sites' array)
+ * @param {URL} url - The page URL to test
+ * @returns {boolean}
+ */
+function ruleAppliesToPage(data, url) {
+  if (!Array.isArray(data.sites) || data.sites.length === 0) return true;
+  return data.sites.some(pattern => matchesSitePattern(pattern, url));
+}
+
+/**
+ * Returns a copy of the site filter with the given page's site paused or resumed.
+ * Used by the toolbar popup's "Pause on this site" switch.
+ *
+ * - In "block" mode, pausing adds the host name to the list, and resuming
+ *   removes every pattern that matches the page.
+ * - In "allow" mode it's the other way around.
+ *
+ * @param {Object|undefined} siteFilter - { mode: 'block'|'allow', patterns: string[] }
+ * @param {URL} url - The page URL
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Object} - The updated site filter
+ */
+function setSitePaused(siteFilter, url, paused) {
+  const mode = siteFilter && siteFilter.mode === 'allow' ? 'allow' : 'block';
+  const patterns = (siteFilter && siteFilter.patterns) || [];
+  const host = url.hostname.toLowerCase();
+
+  // Lists the site (if needed) or unlists every pattern matching it
+  const listed = mode === 'block' ? paused : !paused;
+  if (listed) {
+    const alreadyListed = patterns.some(pattern => matchesSitePattern(pattern, url));
+    return { mode, patterns: alreadyListed ? patterns : [...patterns, host] };
+  }
+  return { mode, patterns: patterns.filter(pattern => !matchesSitePattern(pattern, url)) };
+}
@@ -0,0 +1,631 @@
+// storage.js
+// -----------------------------------------------------------------------------
+// Rule storage. Decides WHERE the replacement rules are kept.
+//
+// Google Chrome limits a single chrome.storage.sync item to 8 KB, and all of
+// sync storage to 100 KB. Keeping every rule in one "wordMap" item therefore
+// capped the extension at a few hundred short rules. Instead:
+//
+//   - "sync" mode (default): rules are split over several sync items
+//     ("shards": wordMap_0, wordMap_1, ...), so they can use the full 100 KB
+//     and still follow you to every signed-in Chrome.
+//   - "local" mode: rules are kept on this computer only, in
+//     chrome.storage.local, which has no practical size limit. Single rules
+//     can still be marked "Sync across devices"; those are kept in the
+//     sync shards, so a small subset follows you around.
+//
+// The mode is a per-computer choice, so it is kept in chrome.storage.local.
+// The sync shards are shared by all your computers, so a computer in "local"
+// mode never shrinks them: it only adds, changes or removes its own marked
+// rules there, and leaves the rest for your computers in "sync" mode. For the
+// same reason it only reads the marked rules from the shards.
+//
+// Rules can also come from subscriptions (see SUBSCRIPTIONS), and copies of the
+// rules and settings are kept as backups (see BACKUPS at the end).
+//
+// This file is shared: it is loaded by the content script (before content.js),
+// by the toolbar popup, by the Manage page, and by the background service worker.
+// -----------------------------------------------------------------------------
+
+const RULE_STORAGE_MODE_KEY = 'ruleStorageMode'; // In chrome.storage.local: 'sync' or 'local'
+const LEGACY_RULES_KEY = 'wordMap';              // Old single sync item (before sharding)
+const LOCAL_RULES_KEY = 'wordMap';               // Rules kept in chrome.storage.local
+const RULE_SHARD_COUNT_KEY = 'wordMapShards';    // Number of sync shards in use
+const RULE_SHARD_PREFIX = 'wordMap_';            // Sync shards: wordMap_0, wordMap_1, ...
+
+// Room left in each 8 KB shard for the item's key name and rounding
+const RULE_SHARD_MAX_BYTES = (chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192) - 256;
+
+/**
+ * Measures how many bytes a value takes once stored (storage keeps JSON).
+ *
+ * @param {*} value - Any JSON-compatible value
+ * @returns {number} - Size in bytes
+ */
+function getStoredSize(value) {
+  return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Splits rules over as few sync items as possible, each below the 8 KB item limit.
+ * A rule is never split; a single rule larger than a shard gets a shard of its own
+ * (and saving it will fail, which the Manage page checks for beforehand).
+ *
+ * @param {Object} wordMap - The rules to store
+ * @returns {Object[]} - One rules object per shard
+ */
+function splitIntoShards(wordMap) {
+  const shards = [];
+  let shard = {};
+  let shardSize = 2; // The "{}" around the shard
+
+  for (const [key, data] of Object.entries(wordMap)) {
+    // "key":{...}, (the extra 2 bytes are the colon and the comma)
+    const entrySize = getStoredSize(key) + getStoredSize(data) + 2;
+    if (shardSize + entrySize > RULE_SHARD_MAX_BYTES && Object.keys(shard).length > 0) {
+      shards.push(shard);
+      shard = {};
+      shardSize = 2;
+    }
+    shard[key] = data;
+    shardSize += entrySize;
+  }
+
+  if (Object.keys(shard).length > 0) {
+    shards.push(shard);
+  }
+  return shards;
+}
+
+/**
+ * Splits rules by where they will be kept in the given mode.
+ *
+ * @param {Object} wordMap - All rules
+ * @param {string} mode - 'sync' or 'local'
+ * @returns {{syncRules: Object, localRules: Object}}
+ */
+function partitionRules(wordMap, mode) {
+  const syncRules = {};
+  const localRules = {};
+  for (const [key, data] of Object.entries(wordMap)) {
+    if (mode !== 'local' || data.sync) {
+      syncRules[key] = data;
+    } else {
+      localRules[key] = data;
+    }
+  }
+  return { syncRules, localRules };
+}
+
+/**
+ * Reads every rule kept in the sync shards.
+ *
+ * @param {Object} syncData - Items read from chrome.storage.sync
+ * @returns {Object} - The synced rules
+ */
+function readSyncRules(syncData) {
+  if (typeof syncData[RULE_SHARD_COUNT_KEY] === 'number') {
+    const syncRules = {};
+    for (let index = 0; index < syncData[RULE_SHARD_COUNT_KEY]; index++) {
+      Object.assign(syncRules, syncData[RULE_SHARD_PREFIX + index]);
+    }
+    return syncRules;
+  }
+  // Not migrated yet (see migrateLegacyRules)
+  return syncData[LEGACY_RULES_KEY] || {};
+}
+
+/**
+ * Puts the rules back together from raw storage contents.
+ * In "local" mode only the marked rules are taken from the sync shards; the
+ * other synced rules belong to your computers in "sync" mode. Without a mode
+ * in localData, every synced rule is taken.
+ *
+ * @param {Object} syncData - Items read from chrome.storage.sync
+ * @param {Object} localData - Items read from chrome.storage.local (rules and mode)
+ * @returns {Object} - All rules (the "wordMap")
+ */
+function readRules(syncData, localData) {
+  const syncRules = readSyncRules(syncData);
+
+  if (localData[RULE_STORAGE_MODE_KEY] === 'local') {
+    for (const [key, data] of Object.entries(syncRules)) {
+      if (!data.sync) {
+        delete syncRules[key];
+      }
+    }
+  }
+
+  // A rule that is in both places was just moved; the synced copy is the newest
+  return { ...localData[LOCAL_RULES_KEY], ...syncRules };
+}
+
+/**
+ * Loads all rules, wherever they are kept.
+ *
+ * @param {Function} callback - Called with (wordMap, error); error is a message or null
+ */
+function loadRules(callback) {
+  // Shard keys aren't known in advance, and sync storage is small, so read it all
+  chrome.storage.sync.get(null, (syncData) => {
+    if (chrome.runtime.lastError) {
+      callback({}, chrome.runtime.lastError.message);
+      return;
+    }
+
+    chrome.storage.local.get([LOCAL_RULES_KEY, RULE_STORAGE_MODE_KEY], (localData) => {
+      if (chrome.runtime.lastError) {
+        callback({}, chrome.runtime.lastError.message);
+        return;
+      }
+      callback(readRules(syncData, localData), null);
+    });
+  });
+}
+
+/**
+ * Loads where rules are kept on this computer.
+ *
+ * @param {Function} callback - Called with 'sync' or 'local'
+ */
+function getRuleStorageMode(callback) {
+  chrome.storage.local.get(RULE_STORAGE_MODE_KEY, (data) => {
+    if (chrome.runtime.lastError) {
+      callback('sync');
+      return;
+    }
+    callback(data[RULE_STORAGE_MODE_KEY] === 'local' ? 'local' : 'sync');
+  });
+}
+
+/**
+ * Replaces the rules kept in the sync shards.
+ *
+ * @param {Object} syncRules - The rules to keep in sync storage
+ * @param {Function} callback - Called with an error message, or null on success
+ */
+function writeSyncRules(syncRules, callback) {
+  const shards = splitIntoShards(syncRules);
+
+  chrome.storage.sync.get(RULE_SHARD_COUNT_KEY, (data) => {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+      return;
+    }
+
+    const items = { [RULE_SHARD_COUNT_KEY]: shards.length };
+    shards.forEach((shard, index) => {
+      items[RULE_SHARD_PREFIX + index] = shard;
+    });
+
+    chrome.storage.sync.set(items, () => {
+      if (chrome.runtime.lastError) {
+        callback(chrome.runtime.lastError.message);
+        return;
+      }
+
+      // Shards no longer needed (fewer rules than before), and the old single item
+      const staleKeys = [LEGACY_RULES_KEY];
+      for (let index = shards.length; index < (data[RULE_SHARD_COUNT_KEY] || 0); index++) {
+        staleKeys.push(RULE_SHARD_PREFIX + index);
+      }
+
+      chrome.storage.sync.remove(staleKeys, () => {
+        // Leftovers only waste space; the shard count above already ignores them
+        void chrome.runtime.lastError;
+        callback(null);
+      });
+    });
+  });
+}
+
+/**
+ * Saves the marked rules of a computer in "local" mode into the sync shards.
+ * Synced rules that aren't marked are kept as they are: they belong to your
+ * computers in "sync" mode. Marked rules that are no longer marked here (or
+ * were deleted) are removed.
+ *
+ * @param {Object} markedRules - This computer's rules marked "Sync across devices"
+ * @param {Function} callback - Called with an error message, or null on success
+ */
+function mergeSyncRules(markedRules, callback) {
+  chrome.storage.sync.get(null, (syncData) => {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+      return;
+    }
+
+    const syncRules = readSyncRules(syncData);
+    for (const [key, data] of Object.entries(syncRules)) {
+      if (data.sync && !(key in markedRules)) {
+        delete syncRules[key];
+      }
+    }
+    writeSyncRules({ ...syncRules, ...markedRules }, callback);
+  });
+}
+
+/**
+ * Replaces the rules kept in chrome.storage.local.
+ *
+ * @param {Object} localRules - The rules to keep on this computer only
+ * @param {Function} callback - Called with an error message, or null on success
+ */
+function writeLocalRules(localRules, callback) {
+  chrome.storage.local.set({ [LOCAL_RULES_KEY]: localRules }, () => {
+    callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+  });
+}
+
+/**
+ * Saves all rules, replacing the stored ones.
+ * The place that holds most rules in the current mode is written first, so if
+ * the second write fails, rules are at worst kept twice but never lost.
+ *
+ * @param {Object} wordMap - All rules
+ * @param {Function} callback - Called with an error message, or null on success
+ */
+function saveRules(wordMap, callback) {
+  getRuleStorageMode((mode) => {
+    const { syncRules, localRules } = partitionRules(wordMap, mode);
+    const [first, second] = mode === 'local'
+      ? [(done) => writeLocalRules(localRules, done), (done) => mergeSyncRules(syncRules, done)]
+      : [(done) => writeSyncRules(syncRules, done), (done) => writeLocalRules(localRules, done)];
+
+    first((firstError) => {
+      if (firstError) {
+        callback(firstError);
+        return;
+      }
+      second(callback);
+    });
+  });
+}
+
+/**
+ * Changes where rules are kept on this computer, and moves them there.
+ * Every synced rule is moved along, including the ones of your other
+ * computers, so nothing is dropped from the sync shards: switching to
+ * "local" copies them all to this computer, and switching back to "sync"
+ * adds this computer's rules to them.
+ *
+ * @param {string} mode - 'sync' or 'local'
+ * @param {Function} callback - Called with an error message, or null on success
+ */
+function setRuleStorageMode(mode, callback) {
+  chrome.storage.sync.get(null, (syncData) => {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+      return;
+    }
+
+    // Read without the mode, so every synced rule is included
+    chrome.storage.local.get(LOCAL_RULES_KEY, (localData) => {
+      if (chrome.runtime.lastError) {
+        callback(chrome.runtime.lastError.message);
+        return;
+      }
+
+      const wordMap = readRules(syncData, localData);
+      chrome.storage.local.set({ [RULE_STORAGE_MODE_KEY]: mode }, () => {
+        if (chrome.runtime.lastError) {
+          callback(chrome.runtime.lastError.message);
+          return;
+        }
+        saveRules(wordMap, callback);
+      });
+    });
+  });
+}
+
+/**
+ * One-time move of the old single "wordMap" sync item into shards.
+ * Safe to run any number of times: it does nothing once migrated.
+ *
+ * @param {Function} callback - Called with an error message, or null
+ */
+function migrateLegacyRules(callback) {
+  chrome.storage.sync.get([LEGACY_RULES_KEY, RULE_SHARD_COUNT_KEY], (data) => {
+    if (chrome.runtime.lastError) {
+      callback(chrome.runtime.lastError.message);
+      return;
+    }
+
+    if (!data[LEGACY_RULES_KEY] || typeof data[RULE_SHARD_COUNT_KEY] === 'number') {
+      callback(null);
+      return;
+    }
+
+    // loadRules() understands the old item, so this keeps any local rules too
+    loadRules((wordMap, loadError) => {
+      if (loadError) {
+        callback(loadError);
+        return;
+      }
+      saveRules(wordMap, callback);
+    });
+  });
+}
+
+/**
+ * Checks whether a storage change touched the rules.
+ *
+ * @param {Object} changes - The changes passed to chrome.storage.onChanged
+ * @param {string} area - The storage area ('sync', 'local', ...)
+ * @returns {boolean}
+ */
+function isRuleStorageChange(changes, area) {
+  if (area === 'local') {
+    // The mode decides which synced rules are read (see readRules)
+    return LOCAL_RULES_KEY in changes || RULE_STORAGE_MODE_KEY in changes;
+  }
+  if (area === 'sync') {
+    return Object.keys(changes).some(key =>
+      key === LEGACY_RULES_KEY || key === RULE_SHARD_COUNT_KEY || key.startsWith(RULE_SHARD_PREFIX));
+  }
+  return false;
+}
+
+// -----------------------------------------------------------------------------
+// RULE GROUPS
+// Rules can belong to a named group ("Brand renames", "Spoilers", ...), stored
+// as the rule's optional "group" field holding the group's ID. The groups
+// themselves are a small ordered list in chrome.storage.sync:
+//   [{ id, name, enabled, sites? }, ...]
+// A switched-off group switches off all of its rules, and a group can be
+// limited to certain sites just like a single rule. Rules without a group
+// (or whose group was deleted) behave exactly like before groups existed.
+// -----------------------------------------------------------------------------
+
+const RULE_GROUPS_KEY = 'ruleGroups'; // In chrome.storage.sync
+
+/**
+ * Lists rules in the order they run on pages (and are shown in the Manage
+ * page): rules without a group first, then each group's rules in the order the
+ * groups are listed. Within a group, rules follow their optional "order"
+ * field (their place in the list, set by dragging rules in the Manage page);
+ * rules that were never moved come after those, in their stored order.
+ *
+ * When two rules match the same text, the one listed first wins.
+ *
+ * @param {Object} wordMap - All rules
+ * @param {Object[]} ruleGroups - The groups, in order
+ * @returns {Array} - [key, data] pairs
+ */
+function sortRules(wordMap, ruleGroups) {
+  const groupOrder = new Map(ruleGroups.map((group, index) => [group.id, index + 1]));
+  const groupOf = (data) => groupOrder.get(data.group) || 0; // 0 = no (known) group
+  const placeOf = (data) => (typeof data.order === 'number' ? data.order : Number.MAX_SAFE_INTEGER);
+
+  // Array.prototype.sort is stable, so rules that were never moved keep their order
+  return Object.entries(wordMap).sort((a, b) => groupOf(a[1]) - groupOf(b[1]) || placeOf(a[1]) - placeOf(b[1]));
+}
+
+// -----------------------------------------------------------------------------
+// REGEX RULES
+// Rules in "regex mode" use the original text as a real regular expression.
+// - 'g' is always added by the content script (replace every match)
+// - 'i' is controlled by the Match Case toggle
+// - Only the flags listed here may be added by the user
+// The check is kept here so the Manage page and the background service worker
+// (for subscribed rules) accept the same patterns.
+// -----------------------------------------------------------------------------
+
+const ALLOWED_REGEX_FLAGS = 'msu'; // multiline, dotAll, unicode
+
+/**
+ * Checks that a regex-mode rule can be compiled and used safely.
+ * Returns an error message if the pattern is unusable, or null if OK.
+ *
+ * @param {string} pattern - The regular expression source
+ * @param {string} flags - Extra flags chosen by the user (e.g. "m", "su")
+ * @param {boolean} caseSensitive - Whether the rule matches exact casing
+ * @returns {string|null} - Error message or null if valid
+ */
+function validateRegexRule(pattern, flags, caseSensitive) {
+  flags = flags || '';
+
+  // Only allow known flags, and each one at most once
+  const invalidFlag = [...flags].find(flag => !ALLOWED_REGEX_FLAGS.includes(flag));
+  if (invalidFlag) {
+    return `Unsupported regex flag "${invalidFlag}". Allowed flags: ${ALLOWED_REGEX_FLAGS.split('').join(', ')}.`;
+  }
+  if (new Set(flags).size !== flags.length) {
+    return 'Each regex flag can only be used once.';
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, (caseSensitive ? '' : 'i') + flags);
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`;
+  }
+
+  // A pattern that matches empty text (like "a*" or "x?") would insert the
+  // replacement between every character on the page, so we refuse it.
+  if (regex.test('')) {
+    return 'This pattern matches empty text. Please make it match at least one character.';
+  }
+
+  return null; // All good!
+}
+
+// -----------------------------------------------------------------------------
+// RULE ACTIONS
+// A rule normally writes its replacement. Its optional "action" can instead
+// hide what it finds (see MASKING in engine.js for what each one does). The
+// list is kept here so every part of the extension accepts the same actions.
+// -----------------------------------------------------------------------------
+
+const MASK_ACTIONS = ['bullets', 'redact', 'blur', 'blackout']; // Actions that hide text
+
+// -----------------------------------------------------------------------------
+// SUBSCRIPTIONS
+// A subscription is a rule list published at a web address, in the same JSON
+// format as "Export Rules". The background service worker downloads it every
+// few hours. Subscribed rules work like your own rules but can't be edited, and
+// when you have a rule with the same original text, yours wins.
+//
+//   - The subscriptions are a small list in chrome.storage.sync, so they follow
+//     you to every computer:  [{ id, url, enabled }, ...]
+//   - Downloaded rules (which can be large) and the download status are kept in
+//     chrome.storage.local:  { [id]: { rules, lastUpdated, lastChecked, error } }
+// -----------------------------------------------------------------------------
+
+const SUBSCRIPTIONS_KEY = 'ruleSubscriptions';     // In chrome.storage.sync
+const SUBSCRIPTION_DATA_KEY = 'subscriptionData';  // In chrome.storage.local
+
+/**
+ * Puts together the rules of all switched-on subscriptions.
+ * When two subscriptions have the same rule, the one listed first wins.
+ * Subscribed rules run in the order they are published in (their "order"
+ * field, which only means something in the publisher's own list, is dropped).
+ *
+ * @param {Object[]} subscriptions - The subscriptions, in order
+ * @param {Object} subscriptionData - Downloaded rules and status, by subscription ID
+ * @returns {Object} - The subscribed rules
+ */
+function readSubscribedRules(subscriptions, subscriptionData) {
+  const rules = {};
+  for (const subscription of subscriptions || []) {
+    const data = (subscriptionData || {})[subscription.id];
+    if (subscription.enabled === false || !data || !data.rules) continue;
+
+    for (const [key, rule] of Object.entries(data.rules)) {
+      if (!(key in rules)) {
+        const { order, ...withoutOrder } = rule;
+        rules[key] = withoutOrder;
+      }
+    }
+  }
+  return rules;
+}
+
+/**
+ * Loads every rule that applies to pages: your own rules plus subscribed rules.
+ * Use loadRules() instead when the rules will be edited and saved.
+ *
+ * @param {Function} callback - Called with (wordMap, error); error is a message or null
+ */
+function loadActiveRules(callback) {
+  chrome.storage.sync.get(null, (syncData) => {
+    if (chrome.runtime.lastError) {
+      callback({}, chrome.runtime.lastError.message);
+      return;
+    }
+
+    chrome.storage.local.get([LOCAL_RULES_KEY, RULE_STORAGE_MODE_KEY, SUBSCRIPTION_DATA_KEY], (localData) => {
+      if (chrome.runtime.lastError) {
+        callback({}, chrome.runtime.lastError.message);
+        return;
+      }
+
+      const subscribedRules = readSubscribedRules(syncData[SUBSCRIPTIONS_KEY], localData[SUBSCRIPTION_DATA_KEY]);
+      const wordMap = readRules(syncData, localData);
+
+      // Your own rules override subscribed rules with the same original text,
+      // and come first, so they also win when two rules match the same text
+      for (const [key, rule] of Object.entries(subscribedRules)) {
+        if (!(key in wordMap)) {
+          wordMap[key] = rule;
+        }
+      }
+      callback(wordMap, null);
+    });
+  });
+}
+
+/**
+ * Checks whether a storage change touched the subscriptions or their rules.
+ *
+ * @param {Object} changes - The changes passed to chrome.storage.onChanged
+ * @param {string} area - The storage area ('sync', 'local', ...)
+ * @returns {boolean}
+ */
+function isSubscriptionChange(changes, area) {
+  return (area === 'sync' && SUBSCRIPTIONS_KEY in changes) ||
+    (area === 'local' && SUBSCRIPTION_DATA_KEY in changes);
+}
+
+// -----------------------------------------------------------------------------
+// BACKUPS
+// Rolling copies of your rules and settings, kept in chrome.storage.local (so
+// they survive even if sync storage is wiped). The background service worker
+// makes one every day and a few minutes after every change; the Manage page
+// can make one by hand, and lists them to compare and restore.
+//
+//   [{ time, reason, rules, settings }, ...]   newest first
+//
+// reason is 'daily', 'change', 'manual' or 'restore' (made right before a restore).
+// -----------------------------------------------------------------------------
+
+const BACKUPS_KEY = 'ruleBackups';             // In chrome.storage.local
+const BACKUP_SETTINGS_KEY = 'backupSettings';  // In chrome.storage.local: { keep }
+const DEFAULT_BACKUPS_KEPT = 20;               // Backups kept unless changed in the Manage page
+const MAX_BACKUPS_KEPT = 100;                  // Largest number of backups that can be kept
+
+// The settings saved in a backup (all in chrome.storage.sync). Subscribed rules
+// are not saved: they are downloaded again from the subscriptions.
+const BACKED_UP_SETTINGS = ['extensionEnabled', 'siteFilter', 'attributeSettings', 'matchAcrossElements',
+  'chainReplacements', 'highlightSettings', RULE_GROUPS_KEY, SUBSCRIPTIONS_KEY];
+
+/**
+ * Reads how many backups to keep.
+ *
+ * @param {Object|undefined} backupSettings - The stored { keep } settings
+ * @returns {number}
+ */
+function getBackupsKept(backupSettings) {
+  const keep = backupSettings && Number(backupSettings.keep);
+  return Number.isInteger(keep) && keep >= 1 ? Math.min(keep, MAX_BACKUPS_KEPT) : DEFAULT_BACKUPS_KEPT;
+}
+
+/**
+ * Saves a backup of the current rules and settings, dropping the oldest ones
+ * beyond the number to keep. Automatic backups are skipped when nothing
+ * changed since the newest backup.
+ *
+ * @param {string} reason - 'daily', 'change', 'manual' or 'restore'
+ * @param {Function} callback - Called with (error, created); error is a message or null
+ */
+function createBackup(reason, callback) {
+  loadRules((rules, loadError) => {
+    if (loadError) {
+      callback(loadError, false);
+      return;
+    }
+
+    chrome.storage.sync.get(BACKED_UP_SETTINGS, (settings) => {
+      if (chrome.runtime.lastError) {
+        callback(chrome.runtime.lastError.message, false);
+        return;
+      }
+
+      chrome.storage.local.get([BACKUPS_KEY, BACKUP_SETTINGS_KEY], (localData) => {
+        if (chrome.runtime.lastError) {
+          callback(chrome.runtime.lastError.message, false);
+          return;
+        }
+
+        const backups = localData[BACKUPS_KEY] || [];
+        const newest = backups[0];
+        const unchanged = newest &&
+          JSON.stringify({ rules: newest.rules, settings: newest.settings }) === JSON.stringify({ rules, settings });
+        if (unchanged && (reason === 'daily' || reason === 'change')) {
+          callback(null, false);
+          return;
+        }
+
+        const backup = { time: Date.now(), reason, rules, settings };
+        const kept = [backup, ...backups].slice(0, getBackupsKept(localData[BACKUP_SETTINGS_KEY]));
+        chrome.storage.local.set({ [BACKUPS_KEY]: kept }, () => {
+          if (chrome.runtime.lastError) {
+            callback(chrome.runtime.lastError.message, false);
+            return;
+          }
+          callback(null, true);
+        });
+      });
+    });
+  });
+}